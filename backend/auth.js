@@ -1,5 +1,7 @@
+import crypto from 'crypto';
 import { clerkMiddleware, getAuth, clerkClient } from '@clerk/express';
-import { logUserSession, logAuditEvent, getLastLogin, getUserSessions } from './database.js';
+import { appConfig, isEmailAllowed, describeAllowedDomains } from './config.js';
+import { logUserSession, logAuditEvent, getLastLogin, getUserSessions, getSessionById, getUserRoleAssignment, getRolePermissions, roleExists, getManagedAgentEmails, getFileOwnerEmail } from './database.js';
 
 // Initialize Clerk with required environment variables
 if (!process.env.CLERK_SECRET_KEY) {
@@ -18,6 +20,28 @@ export const clerkAuth = clerkMiddleware({
   secretKey: process.env.CLERK_SECRET_KEY,
 });
 
+// Role used for signed-in users with neither a local assignment nor a Clerk role
+export const DEFAULT_ROLE = process.env.DEFAULT_ROLE || 'viewer';
+
+// Effective role: local user_roles assignment, else Clerk publicMetadata.role (if it names a
+// known role), else DEFAULT_ROLE. Permissions always come from the local role_permissions table.
+export function resolveAccess(userId, clerkRole = null) {
+  const assignment = getUserRoleAssignment(userId);
+  let role;
+  let roleSource;
+  if (assignment) {
+    role = assignment.role;
+    roleSource = 'local';
+  } else if (clerkRole && roleExists(clerkRole)) {
+    role = clerkRole;
+    roleSource = 'clerk';
+  } else {
+    role = DEFAULT_ROLE;
+    roleSource = 'default';
+  }
+  return { role, roleSource, permissions: getRolePermissions(role) };
+}
+
 // Middleware to ensure user is authenticated and populate user data
 export const requireAuth = async (req, res, next) => {
   try {
@@ -38,12 +62,12 @@ export const requireAuth = async (req, res, next) => {
     const userEmail = primaryEmailAddress?.emailAddress;
     const isEmailVerified = primaryEmailAddress?.verification?.status === 'verified';
     
-    // DOMAIN RESTRICTION: Only allow @mtgpros.com domain
-    if (!userEmail || !userEmail.endsWith('@mtgpros.com')) {
-      console.log(`🚫 [DOMAIN ACCESS DENIED] User ${userEmail} attempted access - not @mtgpros.com domain`);
+    // DOMAIN RESTRICTION: allowed domains / individual addresses come from config.js
+    if (!isEmailAllowed(userEmail)) {
+      console.log(`🚫 [DOMAIN ACCESS DENIED] User ${userEmail} attempted access - not on the allowlist`);
       return res.status(403).json({ 
         error: 'Access denied', 
-        message: 'Access is restricted to @mtgpros.com email addresses only' 
+        message: `Access is restricted to ${describeAllowedDomains()} email addresses only` 
       });
     }
     
@@ -52,11 +76,11 @@ export const requireAuth = async (req, res, next) => {
       console.log(`🚫 [EMAIL NOT VERIFIED] User ${userEmail} attempted access - email not verified`);
       return res.status(403).json({ 
         error: 'Email verification required', 
-        message: 'Please verify your email address to access this application' 
+        message: `Please verify your email address to access ${appConfig.appTitle}` 
       });
     }
     
-    console.log(`✅ [DOMAIN ACCESS] User ${userEmail} granted access (@mtgpros.com domain, verified)`);
+    console.log(`✅ [DOMAIN ACCESS] User ${userEmail} granted access (allowlisted, verified)`);
 
     // Get client IP and user agent for audit logging
     const ipAddress = req.realClientIP || req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
@@ -111,10 +135,15 @@ export const requireAuth = async (req, res, next) => {
     }
 
     // Add user info to request for easier access (include Clerk sessionId for potential revocation)
+    const clerkRole = user.publicMetadata?.role || null;
+    const access = resolveAccess(user.id, clerkRole);
     req.user = {
       id: user.id,
       email: userEmail,
-      role: user.publicMetadata?.role || null,
+      role: access.role,
+      roleSource: access.roleSource,
+      permissions: access.permissions,
+      clerkRole,
       firstName: user.firstName,
       lastName: user.lastName,
       ipAddress: ipAddress,  // Real client IP (from realClientIP)
@@ -130,29 +159,56 @@ export const requireAuth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user has admin role
-export const requireAdmin = (req, res, next) => {
+// Permission guard, e.g. requirePermission('download'). Permissions come from the user's
+// resolved role (see resolveAccess); passing several requires all of them.
+export const requirePermission = (...required) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: 'User not authenticated' });
   }
-  
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+
+  const granted = req.user.permissions || [];
+  const missing = required.filter(p => !granted.includes(p));
+  if (missing.length) {
+    console.log(`🚫 [PERMISSION] ${req.user.email} (${req.user.role || 'no-role'}) lacks ${missing.join(', ')} for ${req.method} ${req.path}`);
+    return res.status(403).json({ error: 'Forbidden', missingPermissions: missing });
   }
-  
+
   next();
 };
 
-// Middleware to check if user has member or admin role
-export const requireMemberOrAdmin = (req, res, next) => {
+// Which agents' recordings a user may see: null = everything (view_all_files), otherwise a
+// lowercase email list of their own address plus, with view_team_files, the agents in the
+// teams they manage. Applied to the file list (queryFiles) and to every per-file route.
+export function getFileScope(user) {
+  const permissions = user?.permissions || [];
+  if (permissions.includes('view_all_files')) return null;
+  const emails = new Set();
+  if (user?.email) emails.add(user.email.toLowerCase());
+  if (permissions.includes('view_team_files')) {
+    for (const agentEmail of getManagedAgentEmails(user.email)) emails.add(agentEmail);
+  }
+  return [...emails];
+}
+
+export function canAccessFile(user, filename) {
+  const scope = getFileScope(user);
+  if (scope === null) return true;
+  const owner = getFileOwnerEmail(recordingKeyFor(filename));
+  return !!owner && scope.includes(owner.toLowerCase());
+}
+
+// Per-file guard for the wildcard routes (/api/audio/*, /api/download/*, ...)
+export const requireFileAccess = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: 'User not authenticated' });
   }
-  
-  if (!req.user.role || (req.user.role !== 'admin' && req.user.role !== 'member')) {
-    return res.status(403).json({ error: 'Forbidden' });
+
+  const filename = decodeURIComponent(req.params[0] || '');
+  if (!canAccessFile(req.user, filename)) {
+    console.log(`🚫 [SCOPE] ${req.user.email} (${req.user.role || 'no-role'}) denied access to ${filename}`);
+    return res.status(403).json({ error: 'You do not have access to this recording' });
   }
-  
+
   next();
 };
 
@@ -165,15 +221,131 @@ export const requireAuthenticatedUser = (req, res, next) => {
   next();
 };
 
-// Middleware for manager/admin access (for downloads, etc.)
-export const requireManagerOrAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ error: 'User not authenticated' });
+// --- Playback tickets ---
+// <audio> elements can't send an Authorization header, so instead of putting the Clerk JWT in
+// the query string the client asks for a short-lived ticket that only unlocks one recording.
+// Tickets are HMAC-signed, bound to the user, the Clerk session and our session row, and stop
+// working as soon as that session is logged out. Without PLAYBACK_TICKET_SECRET a per-process
+// secret is used, which means tickets don't survive a restart (or work across replicas).
+const PLAYBACK_TICKET_TTL_SECONDS = Math.max(30, parseInt(process.env.PLAYBACK_TICKET_TTL_SECONDS || '300', 10) || 300);
+const PLAYBACK_TICKET_SECRET = process.env.PLAYBACK_TICKET_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.PLAYBACK_TICKET_SECRET) {
+  console.warn('⚠️ PLAYBACK_TICKET_SECRET not set - using a random per-process secret for playback tickets');
+}
+
+// Same normalisation the audio/waveform/download routes apply to the wildcard path
+export function recordingKeyFor(filename) {
+  return filename.startsWith('recordings/') ? filename : `recordings/${filename}`;
+}
+
+function signTicketPayload(encodedPayload) {
+  return crypto.createHmac('sha256', PLAYBACK_TICKET_SECRET).update(encodedPayload).digest('base64url');
+}
+
+export function issuePlaybackTicket({ user, clerkSessionId, sessionId, filename }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    v: 1,
+    uid: user.id,
+    email: user.email,
+    crole: user.clerkRole || null,
+    sid: clerkSessionId || null,
+    dsid: sessionId || null,
+    key: recordingKeyFor(filename),
+    iat: issuedAt,
+    exp: issuedAt + PLAYBACK_TICKET_TTL_SECONDS
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    ticket: `${encodedPayload}.${signTicketPayload(encodedPayload)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    payload
+  };
+}
+
+// Returns { payload } on success or { error, status } describing why the ticket was refused
+export function verifyPlaybackTicket(ticket, filename) {
+  const [encodedPayload, signature, extra] = String(ticket || '').split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return { error: 'Malformed playback ticket', status: 401 };
   }
-  
-  if (!req.user.role || (req.user.role !== 'admin' && req.user.role !== 'manager')) {
-    return res.status(403).json({ error: 'Forbidden' });
+  const expected = Buffer.from(signTicketPayload(encodedPayload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'Invalid playback ticket', status: 401 };
   }
-  
-  next();
-};
\ No newline at end of file
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { error: 'Malformed playback ticket', status: 401 };
+  }
+  if (payload.v !== 1 || !payload.uid || !payload.key) {
+    return { error: 'Malformed playback ticket', status: 401 };
+  }
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return { error: 'Playback ticket expired', status: 401 };
+  }
+  if (payload.key !== recordingKeyFor(filename)) {
+    return { error: 'Playback ticket is not valid for this recording', status: 403 };
+  }
+  return { payload };
+}
+
+// Accept either a normal Clerk-authenticated request or ?ticket= for the recording in the
+// wildcard path. Ticket requests get the same req.user shape so downstream guards/audit work.
+export const requireAuthOrTicket = async (req, res, next) => {
+  const ticket = req.query?.ticket;
+  if (!ticket) return requireAuth(req, res, next);
+
+  try {
+    const filename = decodeURIComponent(req.params[0] || '');
+    const result = verifyPlaybackTicket(ticket, filename);
+    if (result.error) {
+      console.log(`🚫 [TICKET] Rejected playback ticket for ${filename}: ${result.error}`);
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { payload } = result;
+
+    // Session binding: a ticket dies with the session it was issued under
+    if (payload.dsid) {
+      const session = getSessionById(payload.dsid);
+      if (!session || session.user_id !== payload.uid || session.logout_time) {
+        console.log(`🚫 [TICKET] Session ${payload.dsid} for ${payload.email} is no longer active`);
+        return res.status(401).json({ error: 'Session for playback ticket has ended' });
+      }
+    }
+
+    // Same allowlist as requireAuth, so removing an address also stops its unexpired tickets
+    if (!isEmailAllowed(payload.email)) {
+      console.log(`🚫 [TICKET] Playback ticket for ${payload.email} rejected - not on the allowlist`);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Access is restricted to ${describeAllowedDomains()} email addresses only`
+      });
+    }
+
+    const ipAddress = req.realClientIP || req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+    // Re-resolve so a role change takes effect even for tickets issued before it
+    const access = resolveAccess(payload.uid, payload.crole);
+    req.user = {
+      id: payload.uid,
+      email: payload.email,
+      role: access.role,
+      roleSource: access.roleSource,
+      permissions: access.permissions,
+      clerkRole: payload.crole,
+      ipAddress,
+      userAgent,
+      sessionClaims: null,
+      viaTicket: true
+    };
+    req.clerkSessionId = payload.sid;
+    req.playbackTicket = payload;
+    next();
+  } catch (error) {
+    console.error('Playback ticket error:', error);
+    return res.status(401).json({ error: 'Authentication failed' });
+  }
+};
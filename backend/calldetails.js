@@ -0,0 +1,136 @@
+// Sidecar call metadata from Five9 call-log CSV exports. Rows are keyed by call ID and stored in
+// call_details (database.js), which /api/wav-files joins onto files.call_id.
+//
+// The column mapping (CSV header -> field) is saved in app_settings so it can be adjusted from the
+// Admin Dashboard when a report template changes; header matching ignores case and surrounding spaces.
+export const CALL_DETAIL_FIELDS = ['callId', 'disposition', 'campaign', 'skill', 'queueWaitMs', 'direction', 'ani', 'dnis'];
+
+// Column names used by Five9's standard "Call Log" report
+export const DEFAULT_CALL_CSV_MAPPING = {
+  callId: 'CALL ID',
+  disposition: 'DISPOSITION',
+  campaign: 'CAMPAIGN',
+  skill: 'SKILL',
+  queueWaitMs: 'QUEUE WAIT TIME',
+  direction: 'CALL TYPE',
+  ani: 'ANI',
+  dnis: 'DNIS'
+};
+
+export function normalizeCallCsvMapping(mapping) {
+  const result = {};
+  for (const field of CALL_DETAIL_FIELDS) {
+    const column = mapping?.[field];
+    if (column !== undefined && column !== null && String(column).trim()) result[field] = String(column).trim();
+  }
+  return result;
+}
+
+export function validateCallCsvMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object') return 'mapping must be an object of field -> CSV column';
+  for (const field of Object.keys(mapping)) {
+    if (!CALL_DETAIL_FIELDS.includes(field)) return `Unknown field: ${field}`;
+  }
+  if (!normalizeCallCsvMapping(mapping).callId) return 'The callId field must be mapped to a column';
+  return null;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// "00:01:23", "1:23" or plain seconds -> milliseconds (also used for the duration filters)
+export function parseDurationMs(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const parts = text.split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Math.round(seconds * 1000);
+}
+
+// Turn CSV text into call_details rows using the mapping. Rows without a numeric call ID are skipped.
+export function buildCallDetailRows(text, mapping) {
+  const table = parseCsv(text);
+  if (!table.length) return { headers: [], rows: [], skipped: 0, missingColumns: Object.values(mapping) };
+
+  const headers = table[0].map(h => h.trim());
+  const lookup = new Map(headers.map((h, index) => [h.toLowerCase(), index]));
+  const columnIndex = {};
+  const missingColumns = [];
+  for (const [field, column] of Object.entries(mapping)) {
+    const index = lookup.get(column.toLowerCase());
+    if (index === undefined) missingColumns.push(column);
+    else columnIndex[field] = index;
+  }
+  if (columnIndex.callId === undefined) {
+    return { headers, rows: [], skipped: table.length - 1, missingColumns };
+  }
+
+  const rows = [];
+  let skipped = 0;
+  for (const cells of table.slice(1)) {
+    const value = (field) => {
+      const index = columnIndex[field];
+      if (index === undefined) return null;
+      const cell = (cells[index] ?? '').trim();
+      return cell === '' ? null : cell;
+    };
+    const callId = value('callId');
+    if (!callId || !/^\d+$/.test(callId)) {
+      skipped++;
+      continue;
+    }
+    rows.push({
+      callId,
+      disposition: value('disposition'),
+      campaign: value('campaign'),
+      skill: value('skill'),
+      queueWaitMs: parseDurationMs(value('queueWaitMs')),
+      direction: value('direction'),
+      ani: value('ani'),
+      dnis: value('dnis')
+    });
+  }
+  return { headers, rows, skipped, missingColumns };
+}
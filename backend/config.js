@@ -0,0 +1,68 @@
+// Deployment-level settings that differ between business units. Everything comes from env so
+// the same image can be deployed for another team without a rebuild.
+//
+//   APP_TITLE               Title shown in the UI and browser tab
+//   ALLOWED_EMAIL_DOMAINS   Comma-separated domains allowed to sign in (ALLOWED_EMAIL_DOMAIN also accepted)
+//   ALLOWED_EMAILS          Comma-separated individual addresses allowed regardless of domain (contractors)
+//   BUSINESS_TIMEZONE       IANA zone the call center's recording filenames are written in (e.g. America/Chicago);
+//                           time-of-day filters compare against it. Defaults to the server's zone.
+import { isValidTimeZone } from './timeofday.js';
+
+const DEFAULT_APP_TITLE = 'MTGPros Five9 Recordings';
+const DEFAULT_ALLOWED_DOMAIN = 'mtgpros.com';
+
+function parseList(value) {
+  return String(value || '')
+    .split(/[,\s]+/)
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const allowedDomains = parseList(process.env.ALLOWED_EMAIL_DOMAINS || process.env.ALLOWED_EMAIL_DOMAIN || DEFAULT_ALLOWED_DOMAIN)
+  .map(domain => domain.replace(/^@/, ''));
+const allowedEmails = parseList(process.env.ALLOWED_EMAILS);
+
+function resolveBusinessTimezone(value) {
+  const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const zone = String(value || '').trim();
+  if (!zone) return serverZone;
+  if (isValidTimeZone(zone)) return zone;
+  console.warn(`⚠️ [CONFIG] Unknown BUSINESS_TIMEZONE "${zone}", using ${serverZone}`);
+  return serverZone;
+}
+
+export const appConfig = {
+  appTitle: (process.env.APP_TITLE || '').trim() || DEFAULT_APP_TITLE,
+  allowedDomains,
+  allowedEmails,
+  businessTimezone: resolveBusinessTimezone(process.env.BUSINESS_TIMEZONE)
+};
+
+console.log(`🔒 [ACCESS] Allowed domains: ${allowedDomains.map(d => '@' + d).join(', ') || '(none)'}; individual addresses: ${allowedEmails.length}`);
+
+export function isEmailAllowed(email) {
+  if (!email) return false;
+  const normalized = String(email).trim().toLowerCase();
+  if (allowedEmails.includes(normalized)) return true;
+  const at = normalized.lastIndexOf('@');
+  if (at === -1) return false;
+  return allowedDomains.includes(normalized.slice(at + 1));
+}
+
+// Human readable form for denial messages, e.g. "@mtgpros.com or @example.com"
+export function describeAllowedDomains() {
+  const domains = allowedDomains.map(d => '@' + d);
+  if (domains.length <= 1) return domains[0] || 'approved';
+  return `${domains.slice(0, -1).join(', ')} or ${domains[domains.length - 1]}`;
+}
+
+// Safe subset for the unauthenticated /api/config endpoint. Individual addresses are not
+// published; the client only learns that some exist and defers to the server for those users.
+export function getPublicAccessConfig() {
+  return {
+    appTitle: appConfig.appTitle,
+    allowedEmailDomains: allowedDomains,
+    hasAllowedEmails: allowedEmails.length > 0,
+    businessTimezone: appConfig.businessTimezone
+  };
+}
@@ -2,6 +2,9 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { DEFAULT_PARSE_RULES, compileParseRules, parseWithRules } from './filenames.js';
+import { appConfig } from './config.js';
+import { wallClockToInstant } from './timeofday.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,6 +21,11 @@ db.pragma('synchronous = NORMAL');
 db.pragma('cache_size = 10000');
 db.pragma('temp_store = MEMORY');
 
+// Every timestamp column holds ISO-8601 UTC ('2025-09-05T14:03:27.512Z'), the same shape as
+// Date.prototype.toISOString(), so values written from SQL and from JS sort and compare alike.
+// (CURRENT_TIMESTAMP has no zone marker and browsers parse it as local time.)
+const UTC_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
 // Create files table for metadata indexing
 db.exec(`
   CREATE TABLE IF NOT EXISTS files (
@@ -30,8 +38,8 @@ db.exec(`
     call_id TEXT,    -- New: numeric call identifier extracted from filename
     duration_ms INTEGER,
     file_size INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    updated_at DATETIME DEFAULT (${UTC_NOW})
   );
 `);
 
@@ -44,6 +52,7 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_files_duration ON files(duration_ms);
   CREATE INDEX IF NOT EXISTS idx_files_created_at ON files(created_at);
   CREATE INDEX IF NOT EXISTS idx_files_composite ON files(call_date, phone, email);
+  CREATE INDEX IF NOT EXISTS idx_files_date_time ON files(call_date, call_time);
 `);
 
 // Migration: ensure call_id column exists on files and index created AFTER confirmation
@@ -62,13 +71,176 @@ try {
   console.warn('⚠️  [MIGRATION] files.call_id migration/index issue:', e.message);
 }
 
+// Migration: object metadata captured by sync (size/last-modified/etag) and a missing marker for
+// rows whose object has disappeared from storage
+try {
+  const fileCols = db.prepare("PRAGMA table_info(files)").all();
+  const addColumn = (name, type) => {
+    if (fileCols.some(c => c.name === name)) return;
+    console.log(`⚙️  [MIGRATION] Adding ${name} column to files`);
+    db.exec(`ALTER TABLE files ADD COLUMN ${name} ${type};`);
+  };
+  addColumn('last_modified', 'TEXT');
+  addColumn('etag', 'TEXT');
+  addColumn('missing_at', 'DATETIME');
+  // call_date/call_time are the wall clock in the filename; call_tz is the zone it was read in
+  // (BUSINESS_TIMEZONE at index time) and call_at the resulting instant as ISO UTC
+  addColumn('call_tz', 'TEXT');
+  addColumn('call_at', 'TEXT');
+  // Partial index: only missing rows are looked up by missing_at, and a full index on it would
+  // tempt the planner away from the date/sort indexes for the `missing_at IS NULL` list filter
+  db.exec(`
+    DROP INDEX IF EXISTS idx_files_missing_at;
+    CREATE INDEX IF NOT EXISTS idx_files_missing ON files(missing_at) WHERE missing_at IS NOT NULL;
+  `);
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] files sync metadata migration issue:', e.message);
+}
+
+// Full-text index over the searchable metadata. The trigram tokenizer matches any substring of
+// 3+ characters, so partial phone numbers and call IDs use the index instead of a LIKE '%...%'
+// scan. It is an external-content table over files, kept in sync by the triggers below.
+try {
+  const ftsExists = !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'files_fts'").get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS files_fts USING fts5(
+      phone, email, call_id,
+      content = 'files', content_rowid = 'id', tokenize = 'trigram'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS files_fts_insert AFTER INSERT ON files BEGIN
+      INSERT INTO files_fts (rowid, phone, email, call_id) VALUES (new.id, new.phone, new.email, new.call_id);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS files_fts_delete AFTER DELETE ON files BEGIN
+      INSERT INTO files_fts (files_fts, rowid, phone, email, call_id) VALUES ('delete', old.id, old.phone, old.email, old.call_id);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS files_fts_update AFTER UPDATE OF phone, email, call_id ON files BEGIN
+      INSERT INTO files_fts (files_fts, rowid, phone, email, call_id) VALUES ('delete', old.id, old.phone, old.email, old.call_id);
+      INSERT INTO files_fts (rowid, phone, email, call_id) VALUES (new.id, new.phone, new.email, new.call_id);
+    END;
+  `);
+  if (!ftsExists) {
+    console.log('⚙️  [MIGRATION] Building full-text index over existing files');
+    db.exec(`INSERT INTO files_fts (files_fts) VALUES ('rebuild');`);
+  }
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] files full-text index issue:', e.message);
+}
+
+// Small key/value store for settings changed at runtime from the Admin Dashboard
+db.exec(`
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+`);
+
+// Filename parsing rules (see filenames.js). files.parse_version records the rule set version a
+// row was parsed with; every rule change bumps the version so a re-parse job can find stale rows.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS parse_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    pattern TEXT NOT NULL,
+    fields TEXT NOT NULL, -- JSON { field: capture group name or number }
+    date_format TEXT NOT NULL,
+    time_format TEXT,
+    duration_unit TEXT DEFAULT 'ms',
+    enabled INTEGER DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+`);
+
+try {
+  const fileCols = db.prepare("PRAGMA table_info(files)").all();
+  if (!fileCols.some(c => c.name === 'parse_rule_id')) {
+    console.log('⚙️  [MIGRATION] Adding parse_rule_id/parse_version columns to files');
+    db.exec(`ALTER TABLE files ADD COLUMN parse_rule_id INTEGER;`);
+    db.exec(`ALTER TABLE files ADD COLUMN parse_version INTEGER;`);
+    // Existing rows were parsed by the hardcoded parser the default rules reproduce
+    db.exec(`UPDATE files SET parse_version = 1;`);
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_files_parse_version ON files(parse_version);`);
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] files parse rule migration issue:', e.message);
+}
+
+try {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM parse_rules').get();
+  if (count === 0) {
+    const insert = db.prepare(`
+      INSERT INTO parse_rules (name, position, pattern, fields, date_format, time_format, duration_unit, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'system')
+    `);
+    db.transaction(() => {
+      DEFAULT_PARSE_RULES.forEach((rule, index) => {
+        insert.run(rule.name, index + 1, rule.pattern, JSON.stringify(rule.fields), rule.dateFormat, rule.timeFormat, rule.durationUnit);
+      });
+      db.prepare(`INSERT OR IGNORE INTO app_settings (key, value) VALUES ('parse_rules_version', '1')`).run();
+    })();
+    console.log(`⚙️  [INIT] Seeded ${DEFAULT_PARSE_RULES.length} default filename parsing rules`);
+  }
+} catch (e) {
+  console.warn('⚠️  [INIT] Failed to seed filename parsing rules:', e.message);
+}
+
+// Call metadata imported from Five9 call-log CSV exports (calldetails.js), joined to files by
+// call_id at query time so rows imported before a recording is indexed still match later
+db.exec(`
+  CREATE TABLE IF NOT EXISTS call_details (
+    call_id TEXT PRIMARY KEY,
+    disposition TEXT,
+    campaign TEXT,
+    skill TEXT,
+    queue_wait_ms INTEGER,
+    direction TEXT,
+    ani TEXT,
+    dnis TEXT,
+    import_id INTEGER,
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE TABLE IF NOT EXISTS call_imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT,
+    rows_total INTEGER,
+    rows_imported INTEGER,
+    rows_skipped INTEGER,
+    rows_matched INTEGER,
+    mapping TEXT,
+    imported_by TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_call_details_disposition ON call_details(disposition COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_call_details_campaign ON call_details(campaign COLLATE NOCASE);
+`);
+
+// Per-prefix sync watermark: what the last listing of a prefix looked like, so an unchanged
+// prefix can be skipped without touching the files table
+db.exec(`
+  CREATE TABLE IF NOT EXISTS sync_watermarks (
+    prefix TEXT PRIMARY KEY,
+    object_count INTEGER NOT NULL DEFAULT 0,
+    max_last_modified TEXT,
+    last_key TEXT,
+    synced_at DATETIME DEFAULT (${UTC_NOW})
+  );
+`);
+
 // Create audit logging tables
 db.exec(`
   CREATE TABLE IF NOT EXISTS user_sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id TEXT NOT NULL,
     user_email TEXT NOT NULL,
-    login_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+    login_time DATETIME DEFAULT (${UTC_NOW}),
     logout_time DATETIME,
     session_duration_ms INTEGER,
     ip_address TEXT,
@@ -98,12 +270,12 @@ db.exec(`
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id TEXT NOT NULL,
     user_email TEXT NOT NULL,
-    action_type TEXT NOT NULL, -- 'LOGIN', 'LOGOUT', 'PLAY_FILE', 'DOWNLOAD_FILE', 'VIEW_FILES'
+    action_type TEXT NOT NULL, -- 'LOGIN', 'LOGOUT', 'PLAY_FILE', 'VIEW_WAVEFORM', 'DOWNLOAD_FILE', 'VIEW_FILES', 'ROLE_ASSIGNED', 'ROLE_REVOKED', 'TEAM_UPDATED', 'RETENTION_POLICY_UPDATED', 'RETENTION_PURGE', 'PARSE_RULES_UPDATED', 'CALL_DETAILS_IMPORTED', 'VIEW_TRANSCRIPT'
     file_path TEXT, -- For file-related actions
     file_phone TEXT, -- Phone from file metadata
     file_email TEXT, -- Email from file metadata
     call_id TEXT, -- Call ID for file related events
-    action_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    action_timestamp DATETIME DEFAULT (${UTC_NOW}),
     ip_address TEXT,
     user_agent TEXT,
     session_id TEXT,
@@ -140,74 +312,349 @@ try {
   console.warn('⚠️  [MIGRATION] audit_logs.call_id migration/index issue:', e.message);
 }
 
+// --- Roles & permissions ---
+// Local source of truth for authorization. Clerk publicMetadata.role is only a fallback for
+// users that have no row in user_roles (e.g. the first admin before anyone was assigned).
+export const PERMISSIONS = {
+  play: 'Stream recordings and view waveforms',
+  download: 'Download original recordings',
+  view_audit: 'View audit logs and user sessions',
+  run_sync: 'Run database sync and maintenance jobs',
+  manage_users: 'Assign roles to users and manage teams',
+  export: 'Export file lists and reports',
+  view_all_files: 'See every agent\'s recordings',
+  view_team_files: 'See recordings of agents in teams you manage',
+  manage_retention: 'Manage retention rules, legal holds and purges',
+  view_unredacted: 'Hear, download and read recordings without PII redaction'
+};
+
+export const DEFAULT_ROLES = {
+  admin: { description: 'Full access', permissions: Object.keys(PERMISSIONS) },
+  manager: { description: 'Play, download and export team recordings', permissions: ['play', 'download', 'export', 'view_team_files'] },
+  member: { description: 'Play own recordings', permissions: ['play'] },
+  viewer: { description: 'Play own recordings (default for users without a role)', permissions: ['play'] }
+};
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS roles (
+    name TEXT PRIMARY KEY,
+    description TEXT,
+    is_system INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE TABLE IF NOT EXISTS permissions (
+    name TEXT PRIMARY KEY,
+    description TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS role_permissions (
+    role TEXT NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission TEXT NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_roles (
+    user_id TEXT PRIMARY KEY,
+    user_email TEXT,
+    role TEXT NOT NULL REFERENCES roles(name),
+    assigned_by TEXT,
+    assigned_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+`);
+
+// Seed permissions and built-in roles; a role's permissions are only seeded when the role is
+// first created so later edits to role_permissions are not overwritten on restart. A permission
+// that is new to this database is granted to the built-in roles that include it by default.
+try {
+  const insertPermission = db.prepare('INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)');
+  const insertRole = db.prepare('INSERT OR IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)');
+  const insertRolePermission = db.prepare('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)');
+  db.transaction(() => {
+    const addedPermissions = new Set();
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      if (insertPermission.run(name, description).changes > 0) addedPermissions.add(name);
+    }
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      const created = insertRole.run(name, role.description).changes > 0;
+      const grants = created ? role.permissions : role.permissions.filter(p => addedPermissions.has(p));
+      if (grants.length) {
+        console.log(`⚙️  [MIGRATION] Granting role ${name}: ${grants.join(', ')}`);
+        for (const permission of grants) insertRolePermission.run(name, permission);
+      }
+    }
+  })();
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] roles/permissions seed issue:', e.message);
+}
+
+// --- Teams ---
+// Teams group agents (matched against files.email) under one or more managers. Managers with
+// view_team_files see their own calls plus those of every agent in the teams they manage.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE TABLE IF NOT EXISTS team_members (
+    team_id INTEGER NOT NULL REFERENCES teams(id),
+    agent_email TEXT NOT NULL, -- stored lowercase
+    added_at DATETIME DEFAULT (${UTC_NOW}),
+    PRIMARY KEY (team_id, agent_email)
+  );
+
+  CREATE TABLE IF NOT EXISTS team_managers (
+    team_id INTEGER NOT NULL REFERENCES teams(id),
+    manager_email TEXT NOT NULL, -- stored lowercase
+    added_at DATETIME DEFAULT (${UTC_NOW}),
+    PRIMARY KEY (team_id, manager_email)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_team_members_email ON team_members(agent_email);
+  CREATE INDEX IF NOT EXISTS idx_team_managers_email ON team_managers(manager_email);
+`);
+
+// --- Retention ---
+// A recording is purged once it is older than the longest retain_days of the enabled rules that
+// match it (rules with NULL filters match everything). Recordings matched by no rule are kept.
+// legal_holds exempt individual recordings (file_path) or every recording of a call (call_id).
+db.exec(`
+  CREATE TABLE IF NOT EXISTS retention_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    retain_days INTEGER NOT NULL,
+    email_domain TEXT, -- agent email domain, lowercase; NULL = any
+    path_prefix TEXT,  -- storage key prefix, e.g. 'recordings/12_' ; NULL = any
+    enabled INTEGER DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE TABLE IF NOT EXISTS legal_holds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_path TEXT,
+    call_id TEXT,
+    reason TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    CHECK (file_path IS NOT NULL OR call_id IS NOT NULL)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_legal_holds_file_path ON legal_holds(file_path);
+  CREATE INDEX IF NOT EXISTS idx_legal_holds_call_id ON legal_holds(call_id);
+`);
+
+// --- Background jobs ---
+// Long-running maintenance (sync, backfills, repairs) is queued here and run by the worker in
+// jobs.js. `checkpoint` is handler-defined JSON (e.g. the last S3 continuation token) so a job
+// interrupted by a restart resumes instead of starting over.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued', -- queued | running | completed | failed | cancelled
+    params TEXT,          -- JSON
+    progress_current INTEGER DEFAULT 0,
+    progress_total INTEGER, -- NULL when unknown
+    progress_message TEXT,
+    checkpoint TEXT,      -- JSON
+    result TEXT,          -- JSON
+    error TEXT,
+    cancel_requested INTEGER DEFAULT 0,
+    attempts INTEGER DEFAULT 0,
+    created_by_id TEXT,
+    created_by_email TEXT,
+    actor TEXT,           -- JSON { ipAddress, userAgent, sessionId } for audit events
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    started_at DATETIME,
+    finished_at DATETIME,
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+  CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
+`);
+
+// --- Transcripts ---
+// Speech-to-text output per recording (transcribe.js). A row doubles as the recording's place in
+// the transcription queue: queued rows are claimed highest priority first, newest recording first.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS transcripts (
+    file_id INTEGER PRIMARY KEY,             -- files.id
+    status TEXT NOT NULL DEFAULT 'queued',   -- queued | running | completed | failed
+    priority INTEGER NOT NULL DEFAULT 0,     -- 1 = requested by a viewer
+    attempts INTEGER NOT NULL DEFAULT 0,
+    model TEXT,
+    language TEXT,
+    text TEXT,
+    segments TEXT,                           -- JSON [{ startMs, endMs, text }]
+    redactions TEXT,                         -- JSON [{ type, startMs, endMs }] of PII spans; NULL = not scanned
+    redacted_text TEXT,
+    redacted_segments TEXT,                  -- segments with the PII spans replaced (redaction.js)
+    processing_ms INTEGER,
+    error TEXT,
+    created_at DATETIME DEFAULT (${UTC_NOW}),
+    started_at DATETIME,
+    finished_at DATETIME,
+    updated_at DATETIME DEFAULT (${UTC_NOW})
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_transcripts_queue ON transcripts(status, priority, file_id);
+
+  CREATE TRIGGER IF NOT EXISTS transcripts_file_delete AFTER DELETE ON files BEGIN
+    DELETE FROM transcripts WHERE file_id = old.id;
+  END;
+`);
+
+// Migration: PII redaction columns on transcripts created before redaction existed
+try {
+  const transcriptColumns = db.prepare('PRAGMA table_info(transcripts)').all().map(c => c.name);
+  if (!transcriptColumns.includes('redactions')) {
+    console.log('⚙️  [MIGRATION] Adding redaction columns to transcripts');
+    db.exec(`
+      ALTER TABLE transcripts ADD COLUMN redactions TEXT;
+      ALTER TABLE transcripts ADD COLUMN redacted_text TEXT;
+      ALTER TABLE transcripts ADD COLUMN redacted_segments TEXT;
+    `);
+  }
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] transcripts redaction columns issue:', e.message);
+}
+
+// Transcript search. Completed transcripts are split into one row per segment so a hit carries
+// its timestamp; the triggers rebuild a recording's rows whenever its transcript is written and
+// transcript_segments_fts (porter-stemmed words, external content like files_fts) follows them.
+// The redacted segments are indexed when present, so search never surfaces card numbers or SSNs.
+try {
+  const segmentsExist = !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'transcript_segments'").get();
+  // Older databases index the raw segments; the trigger is replaced and re-fires as transcripts are redacted
+  const syncTrigger = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'transcript_segments_sync'").get();
+  if (syncTrigger && !syncTrigger.sql.includes('redacted_segments')) db.exec('DROP TRIGGER transcript_segments_sync');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transcript_segments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL,              -- transcripts.file_id
+      seq INTEGER NOT NULL,                  -- position in transcripts.segments
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      text TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transcript_segments_file ON transcript_segments(file_id, seq);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS transcript_segments_fts USING fts5(
+      text,
+      content = 'transcript_segments', content_rowid = 'id', tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS transcript_segments_fts_insert AFTER INSERT ON transcript_segments BEGIN
+      INSERT INTO transcript_segments_fts (rowid, text) VALUES (new.id, new.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transcript_segments_fts_delete AFTER DELETE ON transcript_segments BEGIN
+      INSERT INTO transcript_segments_fts (transcript_segments_fts, rowid, text) VALUES ('delete', old.id, old.text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transcript_segments_sync AFTER UPDATE OF status, segments, redacted_segments ON transcripts BEGIN
+      DELETE FROM transcript_segments WHERE file_id = old.file_id;
+      INSERT INTO transcript_segments (file_id, seq, start_ms, end_ms, text)
+        SELECT new.file_id, key, json_extract(value, '$.startMs'), json_extract(value, '$.endMs'), json_extract(value, '$.text')
+        FROM json_each(COALESCE(new.redacted_segments, new.segments))
+        WHERE new.status = 'completed';
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transcript_segments_transcript_delete AFTER DELETE ON transcripts BEGIN
+      DELETE FROM transcript_segments WHERE file_id = old.file_id;
+    END;
+  `);
+  if (!segmentsExist) {
+    const { changes } = db.prepare(`
+      INSERT INTO transcript_segments (file_id, seq, start_ms, end_ms, text)
+      SELECT t.file_id, s.key, json_extract(s.value, '$.startMs'), json_extract(s.value, '$.endMs'), json_extract(s.value, '$.text')
+      FROM transcripts t, json_each(COALESCE(t.redacted_segments, t.segments)) s
+      WHERE t.status = 'completed'
+      ORDER BY t.file_id, s.key
+    `).run();
+    if (changes) console.log(`⚙️  [MIGRATION] Indexed ${changes} transcript segment(s) for search`);
+  }
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] transcript search index issue:', e.message);
+}
+
+// Migration: timestamps written before ISO-8601 UTC (CURRENT_TIMESTAMP, 'YYYY-MM-DD HH:MM:SS' in
+// UTC). Column defaults cannot be altered, so the stored CREATE TABLE text is edited in place -
+// the procedure SQLite documents for default-value changes, which leave the on-disk format alone -
+// and every DATETIME column is rewritten. Runs once: afterwards no table declares the old default.
+try {
+  const legacyTables = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND sql LIKE '%DEFAULT CURRENT_TIMESTAMP%'
+  `).all().map(r => r.name);
+  if (legacyTables.length) {
+    console.log(`⚙️  [MIGRATION] Converting timestamps to ISO-8601 UTC (${legacyTables.length} table(s) with legacy defaults)`);
+    const tables = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'files_fts%'
+    `).all().map(r => r.name);
+    const schemaVersion = db.pragma('schema_version', { simple: true });
+    db.unsafeMode(true);
+    try {
+      db.transaction(() => {
+        db.pragma('writable_schema = ON');
+        db.prepare(`
+          UPDATE sqlite_master SET sql = replace(sql, 'DEFAULT CURRENT_TIMESTAMP', 'DEFAULT (' || ? || ')')
+          WHERE type = 'table' AND sql LIKE '%DEFAULT CURRENT_TIMESTAMP%'
+        `).run(UTC_NOW);
+        db.pragma(`schema_version = ${schemaVersion + 1}`);
+        db.pragma('writable_schema = OFF');
+
+        for (const table of tables) {
+          const columns = db.prepare(`PRAGMA table_info(${table})`).all().filter(c => /^DATETIME$/i.test(c.type));
+          for (const { name } of columns) {
+            const converted = db.prepare(`
+              UPDATE ${table} SET ${name} = strftime('%Y-%m-%dT%H:%M:%fZ', ${name})
+              WHERE ${name} LIKE '____-__-__ __:__:__%'
+            `).run().changes;
+            if (converted) console.log(`⚙️  [MIGRATION] ${table}.${name}: ${converted} row(s)`);
+          }
+        }
+      })();
+    } finally {
+      db.unsafeMode(false);
+    }
+    const integrity = db.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') console.warn('⚠️  [MIGRATION] Integrity check after timestamp migration:', integrity);
+  }
+} catch (e) {
+  console.warn('⚠️  [MIGRATION] ISO timestamp migration issue:', e.message);
+}
+
 // Prepared statements for performance
 const statements = {
   // Insert or update file metadata
   upsertFile: db.prepare(`
-    INSERT INTO files (file_path, phone, email, call_date, call_time, call_id, duration_ms, file_size)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO files (file_path, phone, email, call_date, call_time, call_tz, call_at, call_id, duration_ms, file_size, last_modified, etag, parse_rule_id, parse_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(file_path) DO UPDATE SET
       phone = excluded.phone,
       email = excluded.email,
       call_date = excluded.call_date,
       call_time = excluded.call_time,
+      call_tz = excluded.call_tz,
+      call_at = excluded.call_at,
       call_id = excluded.call_id,
       duration_ms = excluded.duration_ms,
-      file_size = excluded.file_size,
-      updated_at = CURRENT_TIMESTAMP
-  `),
-  
-  // Get files with pagination and filtering
-  getFiles: db.prepare(`
-    SELECT 
-      file_path,
-      phone,
-      email,
-      call_date,
-      call_time,
-      call_id,
-      duration_ms,
-      file_size
-    FROM files
-    WHERE 1=1
-      AND (? IS NULL OR call_date >= ?)
-      AND (? IS NULL OR call_date <= ?)
-      AND (? IS NULL OR phone LIKE '%' || ? || '%')
-      AND (? IS NULL OR email LIKE '%' || ? || '%')
-      AND (? IS NULL OR duration_ms >= ? * 1000)
-      AND (? IS NULL OR call_time >= ?)
-  AND (? IS NULL OR call_time <= ?)
-  AND (? IS NULL OR call_id LIKE '%' || ? || '%')
-    ORDER BY 
-      CASE WHEN ? = 'date' AND ? = 'asc' THEN call_date END ASC,
-      CASE WHEN ? = 'date' AND ? = 'desc' THEN call_date END DESC,
-      CASE WHEN ? = 'time' AND ? = 'asc' THEN call_time END ASC,
-      CASE WHEN ? = 'time' AND ? = 'desc' THEN call_time END DESC,
-      CASE WHEN ? = 'phone' AND ? = 'asc' THEN phone END ASC,
-      CASE WHEN ? = 'phone' AND ? = 'desc' THEN phone END DESC,
-      CASE WHEN ? = 'email' AND ? = 'asc' THEN email END ASC,
-      CASE WHEN ? = 'email' AND ? = 'desc' THEN email END DESC,
-      CASE WHEN ? = 'durationMs' AND ? = 'asc' THEN duration_ms END ASC,
-      CASE WHEN ? = 'durationMs' AND ? = 'desc' THEN duration_ms END DESC,
-       CASE WHEN ? = 'callId' AND ? = 'asc' THEN call_id END ASC,
-       CASE WHEN ? = 'callId' AND ? = 'desc' THEN call_id END DESC,
-      call_date DESC, call_time DESC
-    LIMIT ? OFFSET ?
-  `),
-  
-  // Count total files matching filters
-  countFiles: db.prepare(`
-    SELECT COUNT(*) as total
-    FROM files
-    WHERE 1=1
-      AND (? IS NULL OR call_date >= ?)
-      AND (? IS NULL OR call_date <= ?)
-      AND (? IS NULL OR phone LIKE '%' || ? || '%')
-      AND (? IS NULL OR email LIKE '%' || ? || '%')
-      AND (? IS NULL OR duration_ms >= ? * 1000)
-      AND (? IS NULL OR call_time >= ?)
-  AND (? IS NULL OR call_time <= ?)
-  AND (? IS NULL OR call_id LIKE '%' || ? || '%')
+      file_size = COALESCE(excluded.file_size, files.file_size),
+      last_modified = COALESCE(excluded.last_modified, files.last_modified),
+      etag = COALESCE(excluded.etag, files.etag),
+      parse_rule_id = excluded.parse_rule_id,
+      parse_version = excluded.parse_version,
+      missing_at = NULL,
+      updated_at = ${UTC_NOW}
   `),
   
   // Check if file exists
@@ -217,17 +664,100 @@ const statements = {
   deleteFile: db.prepare('DELETE FROM files WHERE file_path = ?'),
   
   // Get total file count
-  getTotalCount: db.prepare('SELECT COUNT(*) as total FROM files'),
-  // Rows needing backfill (missing call_id or zero/NULL duration)
-  getFilesNeedingBackfill: db.prepare(`
-    SELECT file_path FROM files
-    WHERE (call_id IS NULL OR call_id = '')
-       OR (duration_ms IS NULL OR duration_ms = 0)
+  getTotalCount: db.prepare('SELECT COUNT(*) as total FROM files WHERE missing_at IS NULL'),
+  getMissingCount: db.prepare('SELECT COUNT(*) as total FROM files WHERE missing_at IS NOT NULL'),
+
+  // Sync reconciliation: indexed rows in a key range, compared against a storage listing
+  getFilesInKeyRange: db.prepare(`
+    SELECT file_path, file_size, etag, missing_at FROM files
+    WHERE file_path > ? AND file_path <= ?
+    ORDER BY file_path
+  `),
+  markFileMissing: db.prepare(`
+    UPDATE files SET missing_at = ${UTC_NOW}, updated_at = ${UTC_NOW}
+    WHERE file_path = ? AND missing_at IS NULL
+  `),
+  getSetting: db.prepare('SELECT value FROM app_settings WHERE key = ?'),
+  setSetting: db.prepare(`
+    INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, ${UTC_NOW})
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = ${UTC_NOW}
+  `),
+
+  getParseRules: db.prepare('SELECT * FROM parse_rules ORDER BY position, id'),
+  getParseRule: db.prepare('SELECT * FROM parse_rules WHERE id = ?'),
+  insertParseRule: db.prepare(`
+    INSERT INTO parse_rules (name, position, pattern, fields, date_format, time_format, duration_unit, enabled, created_by)
+    VALUES (?, (SELECT COALESCE(MAX(position), 0) + 1 FROM parse_rules), ?, ?, ?, ?, ?, ?, ?)
+  `),
+  updateParseRule: db.prepare(`
+    UPDATE parse_rules
+    SET name = ?, pattern = ?, fields = ?, date_format = ?, time_format = ?, duration_unit = ?, enabled = ?, updated_at = ${UTC_NOW}
+    WHERE id = ?
+  `),
+  setParseRulePosition: db.prepare(`UPDATE parse_rules SET position = ?, updated_at = ${UTC_NOW} WHERE id = ?`),
+  deleteParseRule: db.prepare('DELETE FROM parse_rules WHERE id = ?'),
+
+  // Rows parsed with an older rule set version
+  getFilesNeedingReparseAfter: db.prepare(`
+    SELECT id, file_path FROM files
+    WHERE id > ? AND (parse_version IS NULL OR parse_version <> ?)
+    ORDER BY id
     LIMIT ?
   `),
+  countFilesNeedingReparse: db.prepare(`
+    SELECT COUNT(*) AS total FROM files WHERE parse_version IS NULL OR parse_version <> ?
+  `),
+  updateFileReparsed: db.prepare(`
+    UPDATE files
+    SET phone = ?, email = ?, call_date = ?, call_time = ?, call_tz = ?, call_at = ?, call_id = ?, duration_ms = ?,
+        parse_rule_id = ?, parse_version = ?, updated_at = ${UTC_NOW}
+    WHERE id = ?
+  `),
+  // No rule matches any more: keep the old values, but stop offering the row for re-parse
+  markFileUnparsed: db.prepare('UPDATE files SET parse_rule_id = NULL, parse_version = ? WHERE id = ?'),
+  upsertCallDetail: db.prepare(`
+    INSERT INTO call_details (call_id, disposition, campaign, skill, queue_wait_ms, direction, ani, dnis, import_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(call_id) DO UPDATE SET
+      disposition = COALESCE(excluded.disposition, call_details.disposition),
+      campaign = COALESCE(excluded.campaign, call_details.campaign),
+      skill = COALESCE(excluded.skill, call_details.skill),
+      queue_wait_ms = COALESCE(excluded.queue_wait_ms, call_details.queue_wait_ms),
+      direction = COALESCE(excluded.direction, call_details.direction),
+      ani = COALESCE(excluded.ani, call_details.ani),
+      dnis = COALESCE(excluded.dnis, call_details.dnis),
+      import_id = excluded.import_id,
+      updated_at = ${UTC_NOW}
+  `),
+  insertCallImport: db.prepare(`
+    INSERT INTO call_imports (filename, rows_total, rows_skipped, mapping, imported_by)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  finishCallImport: db.prepare(`
+    UPDATE call_imports SET rows_imported = ?, rows_matched = (
+      SELECT COUNT(DISTINCT f.call_id) FROM files f JOIN call_details d ON d.call_id = f.call_id WHERE d.import_id = ?
+    ) WHERE id = ?
+  `),
+  getCallImport: db.prepare('SELECT * FROM call_imports WHERE id = ?'),
+  getCallImports: db.prepare('SELECT * FROM call_imports ORDER BY id DESC LIMIT ?'),
+  getCallDetailsCount: db.prepare('SELECT COUNT(*) AS total FROM call_details'),
+
+  getRecentFilePaths: db.prepare('SELECT file_path FROM files WHERE missing_at IS NULL ORDER BY id DESC LIMIT ?'),
+
+  getSyncWatermark: db.prepare('SELECT * FROM sync_watermarks WHERE prefix = ?'),
+  upsertSyncWatermark: db.prepare(`
+    INSERT INTO sync_watermarks (prefix, object_count, max_last_modified, last_key, synced_at)
+    VALUES (?, ?, ?, ?, ${UTC_NOW})
+    ON CONFLICT(prefix) DO UPDATE SET
+      object_count = excluded.object_count,
+      max_last_modified = excluded.max_last_modified,
+      last_key = excluded.last_key,
+      synced_at = ${UTC_NOW}
+  `),
+  // Rows needing backfill (missing call_id or zero/NULL duration)
   updateFileParsedMeta: db.prepare(`
     UPDATE files
-    SET call_id = ?, duration_ms = ?, updated_at = CURRENT_TIMESTAMP
+    SET call_id = ?, duration_ms = ?, updated_at = ${UTC_NOW}
     WHERE file_path = ?
   `),
   
@@ -240,18 +770,18 @@ const statements = {
   // Audit logging statements
   createUserSession: db.prepare(`
     INSERT INTO user_sessions (user_id, user_email, ip_address, user_agent, last_activity)
-    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    VALUES (?, ?, ?, ?, ${UTC_NOW})
   `),
   
   updateUserSession: db.prepare(`
     UPDATE user_sessions 
-    SET logout_time = CURRENT_TIMESTAMP, 
+    SET logout_time = ${UTC_NOW}, 
         session_duration_ms = (strftime('%s', 'now') - strftime('%s', login_time)) * 1000
     WHERE user_id = ? AND logout_time IS NULL
   `),
   updateSessionActivity: db.prepare(`
     UPDATE user_sessions
-    SET last_activity = CURRENT_TIMESTAMP
+    SET last_activity = ${UTC_NOW}
     WHERE user_id = ? AND logout_time IS NULL
   `),
   getInactiveOpenSessions: db.prepare(`
@@ -276,7 +806,7 @@ const statements = {
   `),
   forceExpireSessionById: db.prepare(`
     UPDATE user_sessions
-    SET logout_time = CURRENT_TIMESTAMP,
+    SET logout_time = ${UTC_NOW},
         session_duration_ms = (strftime('%s','now') - strftime('%s', login_time)) * 1000
     WHERE id = ? AND logout_time IS NULL
   `),
@@ -298,8 +828,8 @@ const statements = {
     SELECT * FROM audit_logs 
     WHERE (? IS NULL OR user_id = ?)
       AND (? IS NULL OR action_type = ?)
-      AND (? IS NULL OR DATE(action_timestamp) >= ?)
-      AND (? IS NULL OR DATE(action_timestamp) <= ?)
+      AND (? IS NULL OR action_timestamp >= ?)
+      AND (? IS NULL OR action_timestamp < ?)
       AND (? IS NULL OR call_id LIKE '%' || ? || '%')
     ORDER BY action_timestamp DESC 
     LIMIT ? OFFSET ?
@@ -308,12 +838,18 @@ const statements = {
   getUserSessions: db.prepare(`
     SELECT * FROM user_sessions 
     WHERE (? IS NULL OR user_id = ?)
-      AND (? IS NULL OR DATE(login_time) >= ?)
-      AND (? IS NULL OR DATE(login_time) <= ?)
+      AND (? IS NULL OR login_time >= ?)
+      AND (? IS NULL OR login_time < ?)
     ORDER BY login_time DESC 
     LIMIT ? OFFSET ?
   `),
   
+  getSessionById: db.prepare(`
+    SELECT id, user_id, user_email, login_time, logout_time, last_activity
+    FROM user_sessions
+    WHERE id = ?
+  `),
+
   getLastLogin: db.prepare(`
     SELECT login_time FROM user_sessions 
     WHERE user_id = ? 
@@ -321,6 +857,198 @@ const statements = {
     LIMIT 1
   `),
 
+  getRoles: db.prepare(`
+    SELECT r.name, r.description, r.is_system, GROUP_CONCAT(rp.permission) AS permissions
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role = r.name
+    GROUP BY r.name
+    ORDER BY r.name
+  `),
+
+  getRolePermissions: db.prepare('SELECT permission FROM role_permissions WHERE role = ?'),
+
+  roleExists: db.prepare('SELECT 1 FROM roles WHERE name = ?'),
+
+  getUserRole: db.prepare('SELECT user_id, user_email, role, assigned_by, assigned_at FROM user_roles WHERE user_id = ?'),
+
+  getUserRoles: db.prepare('SELECT user_id, user_email, role, assigned_by, assigned_at FROM user_roles ORDER BY user_email'),
+
+  upsertUserRole: db.prepare(`
+    INSERT INTO user_roles (user_id, user_email, role, assigned_by, assigned_at)
+    VALUES (?, ?, ?, ?, ${UTC_NOW})
+    ON CONFLICT(user_id) DO UPDATE SET
+      user_email = COALESCE(excluded.user_email, user_roles.user_email),
+      role = excluded.role,
+      assigned_by = excluded.assigned_by,
+      assigned_at = ${UTC_NOW}
+  `),
+
+  deleteUserRole: db.prepare('DELETE FROM user_roles WHERE user_id = ?'),
+
+  getFileEmail: db.prepare('SELECT email FROM files WHERE file_path = ?'),
+
+  getTeams: db.prepare('SELECT id, name, description, created_at FROM teams ORDER BY name'),
+  getTeamMembers: db.prepare('SELECT team_id, agent_email FROM team_members ORDER BY agent_email'),
+  getTeamManagers: db.prepare('SELECT team_id, manager_email FROM team_managers ORDER BY manager_email'),
+  getTeamById: db.prepare('SELECT id, name, description FROM teams WHERE id = ?'),
+  insertTeam: db.prepare('INSERT INTO teams (name, description) VALUES (?, ?)'),
+  deleteTeam: db.prepare('DELETE FROM teams WHERE id = ?'),
+  deleteTeamMembers: db.prepare('DELETE FROM team_members WHERE team_id = ?'),
+  deleteTeamManagers: db.prepare('DELETE FROM team_managers WHERE team_id = ?'),
+  insertTeamMember: db.prepare('INSERT OR IGNORE INTO team_members (team_id, agent_email) VALUES (?, ?)'),
+  deleteTeamMember: db.prepare('DELETE FROM team_members WHERE team_id = ? AND agent_email = ?'),
+  insertTeamManager: db.prepare('INSERT OR IGNORE INTO team_managers (team_id, manager_email) VALUES (?, ?)'),
+  deleteTeamManager: db.prepare('DELETE FROM team_managers WHERE team_id = ? AND manager_email = ?'),
+  getManagedAgentEmails: db.prepare(`
+    SELECT DISTINCT m.agent_email
+    FROM team_managers tm
+    JOIN team_members m ON m.team_id = tm.team_id
+    WHERE tm.manager_email = ?
+  `),
+
+  getRetentionRules: db.prepare('SELECT * FROM retention_rules ORDER BY id'),
+  getRetentionRule: db.prepare('SELECT * FROM retention_rules WHERE id = ?'),
+  insertRetentionRule: db.prepare(`
+    INSERT INTO retention_rules (name, retain_days, email_domain, path_prefix, enabled, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  updateRetentionRule: db.prepare(`
+    UPDATE retention_rules
+    SET name = ?, retain_days = ?, email_domain = ?, path_prefix = ?, enabled = ?, updated_at = ${UTC_NOW}
+    WHERE id = ?
+  `),
+  deleteRetentionRule: db.prepare('DELETE FROM retention_rules WHERE id = ?'),
+
+  getLegalHolds: db.prepare('SELECT * FROM legal_holds ORDER BY created_at DESC'),
+  getLegalHold: db.prepare('SELECT * FROM legal_holds WHERE id = ?'),
+  insertLegalHold: db.prepare('INSERT INTO legal_holds (file_path, call_id, reason, created_by) VALUES (?, ?, ?, ?)'),
+  deleteLegalHold: db.prepare('DELETE FROM legal_holds WHERE id = ?'),
+
+  // Files older than a cutoff, flagged if a legal hold covers them (oldest first)
+  getRetentionCandidates: db.prepare(`
+    SELECT f.file_path, f.email, f.call_date, f.call_id,
+      EXISTS (
+        SELECT 1 FROM legal_holds h
+        WHERE h.file_path = f.file_path OR (h.call_id IS NOT NULL AND h.call_id = f.call_id)
+      ) AS held
+    FROM files f
+    WHERE f.call_date < ?
+    ORDER BY f.call_date ASC
+  `),
+
+  insertJob: db.prepare(`
+    INSERT INTO jobs (type, params, created_by_id, created_by_email, actor)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+  listJobs: db.prepare('SELECT * FROM jobs ORDER BY id DESC LIMIT ?'),
+  getActiveJobByType: db.prepare(`SELECT * FROM jobs WHERE type = ? AND status IN ('queued', 'running') ORDER BY id LIMIT 1`),
+  claimNextJob: db.prepare(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, started_at = COALESCE(started_at, ${UTC_NOW}), updated_at = ${UTC_NOW}
+    WHERE id = (SELECT id FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1)
+    RETURNING *
+  `),
+  updateJobProgress: db.prepare(`
+    UPDATE jobs
+    SET progress_current = ?, progress_total = ?, progress_message = ?, checkpoint = ?, updated_at = ${UTC_NOW}
+    WHERE id = ?
+  `),
+  finishJob: db.prepare(`
+    UPDATE jobs
+    SET status = ?, result = ?, error = ?, finished_at = ${UTC_NOW}, updated_at = ${UTC_NOW}
+    WHERE id = ?
+  `),
+  cancelQueuedJob: db.prepare(`
+    UPDATE jobs SET status = 'cancelled', cancel_requested = 1, finished_at = ${UTC_NOW}, updated_at = ${UTC_NOW}
+    WHERE id = ? AND status = 'queued'
+  `),
+  requestJobCancel: db.prepare(`UPDATE jobs SET cancel_requested = 1, updated_at = ${UTC_NOW} WHERE id = ? AND status = 'running'`),
+  isJobCancelRequested: db.prepare('SELECT cancel_requested FROM jobs WHERE id = ?'),
+  requeueRunningJobs: db.prepare(`UPDATE jobs SET status = 'queued', updated_at = ${UTC_NOW} WHERE status = 'running'`),
+
+  // Keyset scans used by the resumable backfill jobs
+  getFilesNeedingBackfillAfter: db.prepare(`
+    SELECT id, file_path FROM files
+    WHERE id > ?
+      AND ((call_id IS NULL OR call_id = '') OR (duration_ms IS NULL OR duration_ms = 0))
+    ORDER BY id
+    LIMIT ?
+  `),
+  countFilesNeedingBackfill: db.prepare(`
+    SELECT COUNT(*) AS total FROM files
+    WHERE (call_id IS NULL OR call_id = '') OR (duration_ms IS NULL OR duration_ms = 0)
+  `),
+  // Rows indexed before call_tz/call_at existed
+  getFilesNeedingCallInstantAfter: db.prepare(`
+    SELECT id, call_date, call_time FROM files
+    WHERE id > ? AND call_tz IS NULL
+    ORDER BY id
+    LIMIT ?
+  `),
+  countFilesNeedingCallInstant: db.prepare('SELECT COUNT(*) AS total FROM files WHERE call_tz IS NULL'),
+  updateFileCallInstant: db.prepare('UPDATE files SET call_tz = ?, call_at = ? WHERE id = ?'),
+
+  // Transcription queue (transcribe.js)
+  enqueueNewTranscripts: db.prepare(`
+    INSERT INTO transcripts (file_id)
+    SELECT f.id FROM files f
+    WHERE f.call_date >= ? AND f.missing_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM transcripts t WHERE t.file_id = f.id)
+    ORDER BY f.id DESC
+    LIMIT ?
+  `),
+  requestTranscript: db.prepare(`
+    INSERT INTO transcripts (file_id, priority) VALUES (?, 1)
+    ON CONFLICT(file_id) DO UPDATE SET
+      priority = 1,
+      attempts = CASE WHEN status = 'failed' THEN 0 ELSE attempts END,
+      status = CASE WHEN status = 'failed' THEN 'queued' ELSE status END,
+      updated_at = ${UTC_NOW}
+  `),
+  claimNextTranscript: db.prepare(`
+    UPDATE transcripts
+    SET status = 'running', attempts = attempts + 1, started_at = ${UTC_NOW}, updated_at = ${UTC_NOW}
+    WHERE file_id = (
+      SELECT file_id FROM transcripts WHERE status = 'queued' ORDER BY priority DESC, file_id DESC LIMIT 1
+    )
+    RETURNING file_id, attempts
+  `),
+  completeTranscript: db.prepare(`
+    UPDATE transcripts
+    SET status = 'completed', model = ?, language = ?, text = ?, segments = ?, processing_ms = ?, error = NULL,
+        redactions = ?, redacted_text = ?, redacted_segments = ?,
+        finished_at = ${UTC_NOW}, updated_at = ${UTC_NOW}
+    WHERE file_id = ?
+  `),
+  saveTranscriptRedaction: db.prepare(`
+    UPDATE transcripts SET redactions = ?, redacted_text = ?, redacted_segments = ?, updated_at = ${UTC_NOW} WHERE file_id = ?
+  `),
+  getUnscannedTranscripts: db.prepare(`
+    SELECT t.file_id, t.segments, f.file_path FROM transcripts t JOIN files f ON f.id = t.file_id
+    WHERE t.status = 'completed' AND t.redactions IS NULL
+    LIMIT ?
+  `),
+  failTranscript: db.prepare(`
+    UPDATE transcripts SET status = ?, error = ?, finished_at = ${UTC_NOW}, updated_at = ${UTC_NOW} WHERE file_id = ?
+  `),
+  requeueRunningTranscripts: db.prepare(`UPDATE transcripts SET status = 'queued', updated_at = ${UTC_NOW} WHERE status = 'running'`),
+  getTranscript: db.prepare('SELECT * FROM transcripts WHERE file_id = ?'),
+  getFileIdByPath: db.prepare('SELECT id, file_path, duration_ms FROM files WHERE file_path = ?'),
+  getFileById: db.prepare('SELECT id, file_path, duration_ms FROM files WHERE id = ?'),
+  getTranscriptCounts: db.prepare('SELECT status, COUNT(*) AS total FROM transcripts GROUP BY status'),
+  // Transcript search hits within a page of files, earliest first; the snippet marks matched
+  // words with \u0002 ... \u0003 (see parseSnippet)
+  getTranscriptHits: db.prepare(`
+    SELECT s.file_id, s.start_ms, s.end_ms,
+      snippet(transcript_segments_fts, 0, char(2), char(3), '…', 24) AS snippet
+    FROM transcript_segments_fts
+    JOIN transcript_segments s ON s.id = transcript_segments_fts.rowid
+    WHERE transcript_segments_fts MATCH ?
+      AND s.file_id IN (SELECT value FROM json_each(?))
+    ORDER BY s.file_id, s.seq
+  `),
+
   // Distinct users from audit_logs and user_sessions for autocomplete
   getDistinctUsers: db.prepare(`
     SELECT user_id, user_email FROM (
@@ -337,98 +1065,159 @@ const statements = {
 
 // Additional maintenance statements for backfilling missing call_id values on audit_logs
 try {
-  statements.getAuditLogsNeedingCallId = db.prepare(`
+  statements.updateAuditLogCallId = db.prepare(`
+    UPDATE audit_logs SET call_id = ? WHERE id = ?
+  `);
+  statements.getAuditLogsNeedingCallIdAfter = db.prepare(`
     SELECT id, additional_data FROM audit_logs
-    WHERE call_id IS NULL
+    WHERE id > ?
+      AND call_id IS NULL
       AND additional_data IS NOT NULL
       AND (additional_data LIKE '%callId%' OR additional_data LIKE '%call_id%')
+    ORDER BY id
     LIMIT ?
   `);
-  statements.updateAuditLogCallId = db.prepare(`
-    UPDATE audit_logs SET call_id = ? WHERE id = ?
+  statements.countAuditLogsNeedingCallId = db.prepare(`
+    SELECT COUNT(*) AS total FROM audit_logs
+    WHERE call_id IS NULL
+      AND additional_data IS NOT NULL
+      AND (additional_data LIKE '%callId%' OR additional_data LIKE '%call_id%')
   `);
 } catch (e) {
   console.warn('⚠️  [INIT] Failed to prepare audit call_id backfill statements:', e.message);
 }
 
+// --- Filename parsing (rules in parse_rules, engine in filenames.js) ---
+let compiledParseRules = null;
+let parseRulesVersion = null;
+
+function loadParseRules() {
+  if (!compiledParseRules) {
+    compiledParseRules = compileParseRules(getParseRules().filter(rule => rule.enabled));
+  }
+  return compiledParseRules;
+}
+
+export function getParseRulesVersion() {
+  if (parseRulesVersion === null) {
+    parseRulesVersion = parseInt(statements.getSetting.get('parse_rules_version')?.value || '1', 10);
+  }
+  return parseRulesVersion;
+}
+
+// Any rule change invalidates the compiled cache and makes every indexed row stale
+function bumpParseRulesVersion() {
+  const version = getParseRulesVersion() + 1;
+  statements.setSetting.run('parse_rules_version', String(version));
+  compiledParseRules = null;
+  parseRulesVersion = version;
+  return version;
+}
+
+// Filename date/time are wall clock in the business timezone; the instant is null without a time
+function callInstant(callDate, callTime, callTz = appConfig.businessTimezone) {
+  return { callTz, callAt: callDate && callTime ? wallClockToInstant(callDate, callTime, callTz) : null };
+}
+
 // Helper function to parse filename and extract metadata
 export function parseFileMetadata(filePath) {
-  const cleanFile = filePath.startsWith('recordings/') ? filePath.slice('recordings/'.length) : filePath;
-  const [folder, filename] = cleanFile.split('/');
-  
-  if (!folder || !filename) return null;
-  
-  // Parse date from folder (M_D_YYYY -> YYYY-MM-DD)
-  const dateParts = folder.split('_');
-  if (dateParts.length !== 3) return null;
-  
-  const [month, day, year] = dateParts;
-  const callDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  
-  // Parse filename: {phone} by {email} @ {time}_{duration}.wav
-  const phoneMatch = filename.match(/^(\d+)/);
-  const phone = phoneMatch ? phoneMatch[1] : '';
-  
-  const emailMatch = filename.match(/by ([^@]+@[^ ]+)/);
-  const email = emailMatch ? emailMatch[1] : '';
-  
-  const timeMatch = filename.match(/@ ([\d_]+ [AP]M)/);
-  const timeStr = timeMatch ? timeMatch[1].replace(/_/g, ':') : '';
-  
-  // Convert to 24-hour format for database storage
-  let callTime = '';
-  if (timeStr) {
-    try {
-      const parsed = new Date(`1970-01-01 ${timeStr}`);
-      if (!isNaN(parsed.getTime())) {
-        callTime = parsed.toTimeString().slice(0, 8); // HH:MM:SS
-      }
-    } catch (e) {
-      console.warn('Failed to parse time:', timeStr);
-    }
-  }
-  
-  // Precise pattern extraction: expect suffix "@ <HH_MM_SS AM|PM>_<duration>(_<callId>)?.wav"
-  // Example: "@ 11_15_02 AM_2660_300000002997148.wav"
-  let callId = null;
-  let durationMs = 0;
   try {
-    const suffixRegex = /@ ([0-9_]+ [AP]M)_(\d+)(?:_(\d+))?\.wav$/;
-    const match = filename.match(suffixRegex);
-    if (match) {
-      const rawDuration = match[2];
-      const rawCallId = match[3] || null;
-      if (rawDuration && /^\d+$/.test(rawDuration)) {
-        // Treat duration strictly as milliseconds as per requirement
-        durationMs = parseInt(rawDuration, 10);
-      }
-      if (rawCallId && /^\d+$/.test(rawCallId)) callId = rawCallId;
-    } else {
-      // Fallback: legacy single duration
-      const legacy = filename.match(/@ [0-9_]+ [AP]M_(\d+)\.wav$/);
-      if (legacy) {
-        const d = parseInt(legacy[1], 10);
-        if (!isNaN(d)) durationMs = d;
-      }
-    }
+    const parsed = parseWithRules(loadParseRules(), filePath);
+    return parsed && { ...parsed, ...callInstant(parsed.callDate, parsed.callTime) };
   } catch (e) {
-    console.warn('Filename tail parse error:', e.message, filename);
+    console.warn('Filename parse error:', e.message, filePath);
+    return null;
   }
-  
+}
+
+function toParseRule(row) {
+  if (!row) return null;
+  let fields = {};
+  try { fields = JSON.parse(row.fields) || {}; } catch { fields = {}; }
   return {
-    filePath,
-    phone,
-    email,
-    callDate,
-    callTime,
-    callId,
-    durationMs,
-    fileSize: 0 // Will be updated when available
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    pattern: row.pattern,
+    fields,
+    dateFormat: row.date_format,
+    timeFormat: row.time_format,
+    durationUnit: row.duration_unit || 'ms',
+    enabled: !!row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
   };
 }
 
-// Index a single file
-export function indexFile(filePath, fileSize = 0) {
+export function getParseRules() {
+  return statements.getParseRules.all().map(toParseRule);
+}
+
+export function getParseRule(id) {
+  return toParseRule(statements.getParseRule.get(id));
+}
+
+function parseRuleParams(rule) {
+  return [
+    String(rule.name).trim(),
+    rule.pattern,
+    JSON.stringify(rule.fields || {}),
+    rule.dateFormat,
+    rule.timeFormat || null,
+    rule.durationUnit || 'ms',
+    rule.enabled === undefined || rule.enabled ? 1 : 0
+  ];
+}
+
+export function createParseRule(rule, createdBy = null) {
+  const [name, ...rest] = parseRuleParams(rule);
+  const id = statements.insertParseRule.run(name, ...rest, createdBy).lastInsertRowid;
+  bumpParseRulesVersion();
+  return id;
+}
+
+export function updateParseRule(id, rule) {
+  const changed = statements.updateParseRule.run(...parseRuleParams(rule), id).changes > 0;
+  if (changed) bumpParseRulesVersion();
+  return changed;
+}
+
+export function deleteParseRule(id) {
+  const deleted = statements.deleteParseRule.run(id).changes > 0;
+  if (deleted) bumpParseRulesVersion();
+  return deleted;
+}
+
+// ids in the new evaluation order; rules not listed keep their relative order after them
+export function reorderParseRules(ids) {
+  const rules = getParseRules();
+  const order = [...ids.filter(id => rules.some(r => r.id === id)), ...rules.map(r => r.id).filter(id => !ids.includes(id))];
+  db.transaction(() => {
+    order.forEach((id, index) => statements.setParseRulePosition.run(index + 1, id));
+  })();
+  bumpParseRulesVersion();
+  return getParseRules();
+}
+
+// Dry run for the admin preview: which rule each sample hits and what it extracts. `draftRules`
+// (unsaved rules from the editor) are evaluated instead of the stored ones when given.
+export function previewParseRules(samples, draftRules = null) {
+  const compiled = draftRules ? compileParseRules(draftRules.filter(r => r.enabled !== false)) : loadParseRules();
+  return samples.map(sample => {
+    const filePath = sample.startsWith('recordings/') ? sample : `recordings/${sample}`;
+    const parsed = parseWithRules(compiled, filePath);
+    return { sample, matched: !!parsed, ruleId: parsed?.ruleId ?? null, ruleName: parsed?.ruleName || null, metadata: parsed };
+  });
+}
+
+export function getRecentFilePaths(limit = 10) {
+  return statements.getRecentFilePaths.all(limit).map(r => r.file_path);
+}
+
+// Index a single file. Object stats come from the storage listing; when they are not known
+// (null) an existing row keeps the values it already has.
+export function indexFile(filePath, fileSize = null, { lastModified = null, etag = null } = {}) {
   const metadata = parseFileMetadata(filePath);
   if (!metadata) return false;
   
@@ -439,9 +1228,15 @@ export function indexFile(filePath, fileSize = 0) {
       metadata.email,
       metadata.callDate,
       metadata.callTime,
+      metadata.callTz,
+      metadata.callAt,
       metadata.callId || null,
       metadata.durationMs,
-      fileSize
+      fileSize,
+      lastModified,
+      etag,
+      metadata.ruleId,
+      getParseRulesVersion()
     );
     return true;
   } catch (error) {
@@ -450,152 +1245,701 @@ export function indexFile(filePath, fileSize = 0) {
   }
 }
 
-// Backfill any existing file rows missing call_id or duration_ms using current parsing logic
-export function backfillFileMetadata(batchSize = 500) {
-  let processed = 0;
-  let updated = 0;
-  for (;;) {
-    const rows = statements.getFilesNeedingBackfill.all(batchSize);
-    if (!rows.length) break;
-    for (const row of rows) {
-      processed++;
-      const meta = parseFileMetadata(row.file_path);
-      if (!meta) continue;
-      try {
-        statements.updateFileParsedMeta.run(meta.callId || null, meta.durationMs || 0, row.file_path);
-        updated++;
-      } catch (e) {
-        console.warn('Backfill update failed for', row.file_path, e.message);
+// Batch index multiple files (for initial indexing)
+export function indexFiles(files) {
+  const transaction = db.transaction((fileList) => {
+    let indexed = 0;
+    for (const file of fileList) {
+      const filePath = typeof file === 'string' ? file : file.filePath;
+      const stats = typeof file === 'object' ? file : {};
+      
+      if (indexFile(filePath, stats.fileSize ?? null, stats)) {
+        indexed++;
+      }
+    }
+    return indexed;
+  });
+  
+  return transaction(files);
+}
+
+// Highest key that still starts with `prefix` (S3 lists keys in UTF-8 byte order, as SQLite compares them)
+function prefixUpperBound(prefix) {
+  return prefix + '\u{10FFFF}';
+}
+
+// Reconcile one sorted storage listing of .wav objects against the rows in the same key range
+// (afterKey, upToKey]; with no upToKey the range runs to the end of the prefix. New keys are
+// indexed, rows whose size/etag changed (or that reappeared) are refreshed, and rows with no
+// object any more are marked missing - or deleted when deleteMissing is set.
+export function reconcileListedFiles(prefix, objects, { afterKey = null, upToKey = null, deleteMissing = false } = {}) {
+  const counts = { listed: objects.length, added: 0, updated: 0, restored: 0, unchanged: 0, missing: 0, unparsed: 0 };
+  const apply = db.transaction(() => {
+    const lower = afterKey && afterKey > prefix ? afterKey : prefix;
+    const known = new Map(
+      statements.getFilesInKeyRange.all(lower, upToKey || prefixUpperBound(prefix)).map(row => [row.file_path, row])
+    );
+
+    for (const obj of objects) {
+      const row = known.get(obj.key);
+      known.delete(obj.key);
+      const size = obj.size ?? null;
+      const etag = obj.etag || null;
+      if (row) {
+        const changed = row.etag !== etag || (size !== null && row.file_size !== size);
+        if (!changed && !row.missing_at) {
+          counts.unchanged++;
+          continue;
+        }
+      }
+      if (!indexFile(obj.key, size, { lastModified: obj.lastModified || null, etag })) {
+        counts.unparsed++;
+      } else if (!row) {
+        counts.added++;
+      } else if (row.missing_at) {
+        counts.restored++;
+      } else {
+        counts.updated++;
+      }
+    }
+
+    // Whatever is left in range was not listed: the object is gone
+    for (const row of known.values()) {
+      if (row.missing_at && !deleteMissing) continue;
+      if (deleteMissing) {
+        statements.deleteFile.run(row.file_path);
+      } else {
+        statements.markFileMissing.run(row.file_path);
       }
+      counts.missing++;
+    }
+  });
+  apply();
+  return counts;
+}
+
+// Single-object removal (event ingestion): mark missing, or drop the row when deleteMissing is set
+export function markFileMissing(filePath, { deleteMissing = false } = {}) {
+  const result = deleteMissing ? statements.deleteFile.run(filePath) : statements.markFileMissing.run(filePath);
+  return result.changes > 0;
+}
+
+export function getSetting(key, fallback = null) {
+  const row = statements.getSetting.get(key);
+  return row ? row.value : fallback;
+}
+
+export function setSetting(key, value) {
+  statements.setSetting.run(key, value === null || value === undefined ? null : String(value));
+}
+
+// Store one CSV import (rows from calldetails.js) in a single transaction
+export function importCallDetails(rows, { filename = null, totalRows = 0, skipped = 0, mapping = {}, importedBy = null } = {}) {
+  const run = db.transaction(() => {
+    const importId = statements.insertCallImport.run(filename, totalRows, skipped, JSON.stringify(mapping), importedBy).lastInsertRowid;
+    for (const r of rows) {
+      statements.upsertCallDetail.run(r.callId, r.disposition, r.campaign, r.skill, r.queueWaitMs, r.direction, r.ani, r.dnis, importId);
+    }
+    statements.finishCallImport.run(rows.length, importId, importId);
+    return importId;
+  });
+  return statements.getCallImport.get(run());
+}
+
+export function getCallImports(limit = 20) {
+  return statements.getCallImports.all(limit);
+}
+
+export function getCallDetailsCount() {
+  return statements.getCallDetailsCount.get().total;
+}
+
+// Distinct values for the FileViewer filter dropdowns. With a scope (getFileScope's email list)
+// only details of calls recorded by those agents are listed, so team-scoped users don't see
+// other teams' dispositions and campaigns.
+export function getCallDetailFacets(scopeEmails = null, limit = 200) {
+  const scopeJson = Array.isArray(scopeEmails) ? JSON.stringify(scopeEmails.map(e => String(e).toLowerCase())) : null;
+  const scopeClause = scopeJson
+    ? 'AND call_id IN (SELECT call_id FROM files WHERE call_id IS NOT NULL AND lower(email) IN (SELECT value FROM json_each(?)))'
+    : '';
+  const params = scopeJson ? [scopeJson, limit] : [limit];
+  const distinct = (column) => db.prepare(`
+    SELECT DISTINCT ${column} AS value FROM call_details
+    WHERE ${column} IS NOT NULL AND ${column} <> '' ${scopeClause}
+    ORDER BY ${column} COLLATE NOCASE
+    LIMIT ?
+  `).all(...params).map(r => r.value);
+  return {
+    dispositions: distinct('disposition'),
+    campaigns: distinct('campaign'),
+    skills: distinct('skill'),
+    directions: distinct('direction')
+  };
+}
+
+export function getSyncWatermark(prefix) {
+  return statements.getSyncWatermark.get(prefix) || null;
+}
+
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toTranscript(row) {
+  if (!row) return null;
+  const segments = parseJsonColumn(row.segments, []);
+  return {
+    fileId: row.file_id,
+    status: row.status,
+    attempts: row.attempts,
+    model: row.model,
+    language: row.language,
+    text: row.text,
+    segments,
+    redactions: parseJsonColumn(row.redactions, null),
+    redactedText: row.redacted_text,
+    redactedSegments: parseJsonColumn(row.redacted_segments, null),
+    processingMs: row.processing_ms,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// Queue transcripts for recordings with call_date >= sinceDate that have none yet
+export function enqueueNewTranscripts(sinceDate, limit = 500) {
+  return statements.enqueueNewTranscripts.run(sinceDate, limit).changes;
+}
+
+// A viewer asked for this transcript: move it to the front of the queue (and retry a failure)
+export function requestTranscript(fileId) {
+  statements.requestTranscript.run(fileId);
+  return toTranscript(statements.getTranscript.get(fileId));
+}
+
+// Next queued recording as { fileId, attempts, filePath, durationMs }, marked running; null when idle
+export const claimNextTranscript = db.transaction(() => {
+  const claimed = statements.claimNextTranscript.get();
+  if (!claimed) return null;
+  const file = statements.getFileById.get(claimed.file_id);
+  if (!file) {
+    statements.failTranscript.run('failed', 'Recording no longer indexed', claimed.file_id);
+    return null;
+  }
+  return { fileId: claimed.file_id, attempts: claimed.attempts, filePath: file.file_path, durationMs: file.duration_ms };
+});
+
+// `redaction` ({ redactions, segments } from redaction.js) is null when PII redaction is off
+export function completeTranscript(fileId, { model, language, segments, processingMs, redaction = null }) {
+  const text = segments.map(s => s.text).join(' ');
+  statements.completeTranscript.run(
+    model, language, text, JSON.stringify(segments), processingMs,
+    ...redactionColumns(redaction),
+    fileId
+  );
+}
+
+function redactionColumns(redaction) {
+  if (!redaction) return [null, null, null];
+  return [
+    JSON.stringify(redaction.redactions),
+    redaction.segments.map(s => s.text).join(' '),
+    JSON.stringify(redaction.segments)
+  ];
+}
+
+export function saveTranscriptRedaction(fileId, redaction) {
+  statements.saveTranscriptRedaction.run(...redactionColumns(redaction), fileId);
+}
+
+// Completed transcripts not yet scanned for PII: [{ fileId, filePath, segments }]
+export function getUnscannedTranscripts(limit = 200) {
+  return statements.getUnscannedTranscripts.all(limit).map(row => ({
+    fileId: row.file_id,
+    filePath: row.file_path,
+    segments: parseJsonColumn(row.segments, [])
+  }));
+}
+
+// `retry` puts the recording back in the queue instead of marking it failed
+export function failTranscript(fileId, error, { retry = false } = {}) {
+  statements.failTranscript.run(retry ? 'queued' : 'failed', String(error).slice(0, 2000), fileId);
+}
+
+export function requeueInterruptedTranscripts() {
+  return statements.requeueRunningTranscripts.run().changes;
+}
+
+// { fileId, transcript } for an indexed recording (transcript null when never queued); null when not indexed
+export function getTranscriptForPath(filePath) {
+  const file = statements.getFileIdByPath.get(filePath);
+  if (!file) return null;
+  return { fileId: file.id, transcript: toTranscript(statements.getTranscript.get(file.id)) };
+}
+
+export function getTranscriptCounts() {
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+  for (const row of statements.getTranscriptCounts.all()) counts[row.status] = row.total;
+  return counts;
+}
+
+export function setSyncWatermark(prefix, { objectCount = 0, maxLastModified = null, lastKey = null } = {}) {
+  statements.upsertSyncWatermark.run(prefix, objectCount, maxLastModified, lastKey);
+}
+
+// --- Files list query builder ---
+// Each active filter adds one predicate and inactive ones (null / undefined / '' / []) are left
+// out, so the SQL text depends only on which filters are in use. Statements are prepared once per
+// distinct SQL text (see cachedStatement). Column conditions accept:
+//   value                 equality
+//   [a, b]                IN list (same as { in: [...] })
+//   { eq, not, in, notIn, min, max, like }
+// `not` / `notIn` also keep rows where the column is NULL (e.g. recordings without call details).
+const MAX_CACHED_STATEMENTS = 200;
+const statementCache = new Map();
+
+function cachedStatement(sql) {
+  let statement = statementCache.get(sql);
+  if (!statement) {
+    if (statementCache.size >= MAX_CACHED_STATEMENTS) statementCache.clear();
+    statement = db.prepare(sql);
+    statementCache.set(sql, statement);
+  }
+  return statement;
+}
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+function normalizeCondition(condition) {
+  if (isBlank(condition)) return null;
+  if (Array.isArray(condition)) return condition.length ? { in: condition } : null;
+  if (typeof condition === 'object') return condition;
+  return { eq: condition };
+}
+
+function createWhereBuilder() {
+  const clauses = [];
+  const params = [];
+  const joins = new Set();
+
+  const builder = {
+    params,
+    joins,
+    clone() {
+      const copy = createWhereBuilder();
+      copy.restore(clauses, params, joins);
+      return copy;
+    },
+    restore(fromClauses, fromParams, fromJoins) {
+      clauses.push(...fromClauses);
+      params.push(...fromParams);
+      fromJoins.forEach(join => joins.add(join));
+    },
+    add(sql, ...values) {
+      clauses.push(sql);
+      params.push(...values);
+      return builder;
+    },
+    // `options.collate` applies to equality / list comparisons, `options.join` marks the joined
+    // table the column lives in so counts can skip joins they do not need
+    column(expr, condition, { collate = null, join = null } = {}) {
+      const c = normalizeCondition(condition);
+      if (!c) return builder;
+      if (join) joins.add(join);
+      const compared = collate ? `${expr} COLLATE ${collate}` : expr;
+      if (!isBlank(c.eq)) builder.add(`${compared} = ?`, c.eq);
+      if (!isBlank(c.not)) builder.add(`(${expr} IS NULL OR ${compared} <> ?)`, c.not);
+      if (Array.isArray(c.in) && c.in.length) builder.add(`${compared} IN (SELECT value FROM json_each(?))`, JSON.stringify(c.in));
+      if (Array.isArray(c.notIn) && c.notIn.length) builder.add(`(${expr} IS NULL OR ${compared} NOT IN (SELECT value FROM json_each(?)))`, JSON.stringify(c.notIn));
+      if (!isBlank(c.min)) builder.add(`${expr} >= ?`, c.min);
+      if (!isBlank(c.max)) builder.add(`${expr} <= ?`, c.max);
+      if (!isBlank(c.like)) builder.add(`${expr} LIKE '%' || ? || '%'`, c.like);
+      return builder;
+    },
+    sql() {
+      return clauses.length ? `WHERE ${clauses.join('\n      AND ')}` : '';
+    }
+  };
+  return builder;
+}
+
+// Joined tables the files list can filter on
+const FILE_JOINS = {
+  details: 'LEFT JOIN call_details d ON d.call_id = files.call_id'
+};
+
+// Call detail columns (call_details, imported from CSV) that /api/wav-files can filter on
+export const CALL_DETAIL_FILTERS = {
+  disposition: { expr: 'd.disposition', collate: 'NOCASE' },
+  campaign: { expr: 'd.campaign', collate: 'NOCASE' },
+  skill: { expr: 'd.skill', collate: 'NOCASE' },
+  direction: { expr: 'd.direction', collate: 'NOCASE' },
+  ani: { expr: 'd.ani' },
+  dnis: { expr: 'd.dnis' },
+  queueWaitMs: { expr: 'd.queue_wait_ms' }
+};
+
+// Time-of-day window from buildTimeWindow (timeofday.js). call_time is 'HH:MM:SS' (or '' when the
+// filename had no time), so plain string comparison orders it; a wrapping window (22:00-02:00)
+// matches either side of midnight.
+function addTimeWindow(where, window) {
+  if (!window) return;
+  where.add(`call_time <> ''`);
+  if (window.mode === 'older') where.add('call_time < ?', window.start);
+  else if (window.mode === 'newer') where.add('call_time > ?', window.start);
+  else if (window.mode === 'wrap') where.add('(call_time >= ? OR call_time <= ?)', window.start, window.end);
+  else where.column('call_time', { min: window.start, max: window.end });
+}
+
+// Predicates for the files list filters (everything except paging and sorting)
+function buildFileFilters(filters) {
+  const {
+    startDate,
+    endDate,
+    durationMinMs,
+    durationMaxMs,
+    timeWindow,
+    search,
+    transcriptMatch,
+    scopeJson,
+    details = {}
+  } = filters;
+
+  const where = createWhereBuilder()
+    .column('call_date', { min: startDate, max: endDate })
+    .column('duration_ms', { min: durationMinMs, max: durationMaxMs })
+    .column('phone', { like: search.phone })
+    .column('email', { like: search.email })
+    .column('files.call_id', { like: search.callId });
+
+  addTimeWindow(where, timeWindow);
+  for (const term of search.any) {
+    where.add(`(phone LIKE '%' || ? || '%' OR email LIKE '%' || ? || '%' OR files.call_id LIKE '%' || ? || '%')`, term, term, term);
+  }
+  if (search.match) where.add('files.id IN (SELECT rowid FROM files_fts WHERE files_fts MATCH ?)', search.match);
+  if (transcriptMatch) {
+    where.add(`files.id IN (
+        SELECT s.file_id FROM transcript_segments s
+        WHERE s.id IN (SELECT rowid FROM transcript_segments_fts WHERE transcript_segments_fts MATCH ?)
+      )`, transcriptMatch);
+  }
+  if (scopeJson) where.add('lower(email) IN (SELECT value FROM json_each(?))', scopeJson);
+
+  for (const [name, condition] of Object.entries(details)) {
+    const column = CALL_DETAIL_FILTERS[name];
+    if (!column) throw new Error(`Unknown call detail filter: ${name}`);
+    where.column(column.expr, condition, { collate: column.collate, join: 'details' });
+  }
+
+  return where.add('missing_at IS NULL');
+}
+
+const joinSql = (joins) => [...joins].map(name => FILE_JOINS[name]).join('\n    ');
+
+// FTS5 trigram queries need at least 3 characters; shorter terms fall back to LIKE on the column
+const MIN_TRIGRAM_LENGTH = 3;
+
+const ftsPhrase = (term) => `"${term.replace(/"/g, '""')}"`;
+
+// Split the text filters into an FTS5 MATCH expression plus LIKE fallbacks for short terms.
+// `q` is whitespace-separated; every term must match one of the indexed fields, so short terms
+// ("Jo Smith") are checked with LIKE in `any` rather than dropped.
+export function buildFileSearch({ q, phone, email, callId } = {}) {
+  const clauses = [];
+  const fallback = { phone: null, email: null, callId: null, any: [] };
+
+  for (const [field, column, value] of [['phone', 'phone', phone], ['email', 'email', email], ['callId', 'call_id', callId]]) {
+    const term = value ? String(value).trim() : '';
+    if (!term) continue;
+    if (term.length >= MIN_TRIGRAM_LENGTH) clauses.push(`${column} : ${ftsPhrase(term)}`);
+    else fallback[field] = term;
+  }
+
+  const terms = q ? String(q).trim().split(/\s+/).filter(Boolean) : [];
+  for (const term of terms) {
+    if (term.length >= MIN_TRIGRAM_LENGTH) clauses.push(ftsPhrase(term));
+    else fallback.any.push(term);
+  }
+
+  return { match: clauses.length ? clauses.join(' AND ') : null, ...fallback };
+}
+
+// Transcript search text -> FTS5 MATCH expression, or null when nothing searchable is left.
+// "Quoted phrases" must appear in that order, other words anywhere in the same segment; a trailing
+// * matches a prefix (disclos*). Words are stemmed, so "record" also finds "recorded".
+export function buildTranscriptMatch(query) {
+  const clauses = [];
+  for (const [, phrase, word] of String(query || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const prefix = !!word && word.endsWith('*');
+    const text = (phrase ?? word).replace(/\*+$/, '').trim();
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    clauses.push(`${ftsPhrase(text)}${prefix ? ' *' : ''}`);
+  }
+  return clauses.length ? clauses.join(' AND ') : null;
+}
+
+// snippet() output -> [{ text, match }] so clients can highlight without parsing markup
+function parseSnippet(snippet) {
+  return String(snippet || '').split(/(\u0002[^\u0003]*\u0003)/).filter(Boolean).map(part => (
+    part.startsWith('\u0002') ? { text: part.slice(1, -1), match: true } : { text: part, match: false }
+  ));
+}
+
+// First hit (and hit count) per file for a page of results
+function transcriptHitsFor(fileIds, transcriptMatch) {
+  const hits = new Map();
+  if (!fileIds.length) return hits;
+  for (const row of statements.getTranscriptHits.all(transcriptMatch, JSON.stringify(fileIds))) {
+    const hit = hits.get(row.file_id);
+    if (hit) {
+      hit.hitCount++;
+      continue;
     }
-    if (rows.length < batchSize) break; // no more
+    hits.set(row.file_id, { startMs: row.start_ms, endMs: row.end_ms, snippet: parseSnippet(row.snippet), hitCount: 1 });
   }
-  return { processed, updated };
+  return hits;
 }
 
-// Backfill audit_logs.call_id from additional_data JSON where missing
-export function backfillAuditLogCallIds(batchSize = 500) {
-  if (!statements.getAuditLogsNeedingCallId) {
-    return { processed: 0, updated: 0, error: 'Statement not prepared' };
+// Sortable columns for the files list: API name -> key expressions and the row field each comes
+// from. files.id is appended to every key as a tiebreaker so each row has a unique position for
+// keyset pagination.
+const FILE_SORTS = {
+  date: [{ expr: 'call_date', field: 'call_date' }, { expr: 'call_time', field: 'call_time' }],
+  time: [{ expr: 'call_time', field: 'call_time' }],
+  phone: [{ expr: 'phone', field: 'phone' }],
+  email: [{ expr: 'email', field: 'email' }],
+  durationMs: [{ expr: 'duration_ms', field: 'duration_ms' }],
+  callId: [{ expr: "COALESCE(files.call_id, '')", field: 'call_id' }]
+};
+const FILE_SORT_ALIASES = { duration: 'durationMs' };
+
+export class FileCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileCursorError';
   }
-  let processed = 0;
-  let updated = 0;
-  for (;;) {
-    const rows = statements.getAuditLogsNeedingCallId.all(batchSize);
-    if (!rows.length) break;
-    for (const row of rows) {
-      processed++;
-      if (!row.additional_data) continue;
-      try {
-        const meta = JSON.parse(row.additional_data);
-        const candidate = meta.callId || meta.call_id || null;
-        if (candidate && /^\d+$/.test(String(candidate))) {
-          statements.updateAuditLogCallId.run(String(candidate), row.id);
-          updated++;
-        }
-      } catch (e) {
-        // ignore JSON parse errors
-      }
-    }
-    if (rows.length < batchSize) break;
+}
+
+function resolveFileSort(sortColumn, sortDirection) {
+  const column = FILE_SORT_ALIASES[sortColumn] || sortColumn;
+  return {
+    column: FILE_SORTS[column] ? column : 'date',
+    direction: String(sortDirection).toLowerCase() === 'asc' ? 'asc' : 'desc'
+  };
+}
+
+const FILE_LIST_COLUMNS = `
+      files.id,
+      file_path,
+      phone,
+      email,
+      call_date,
+      call_time,
+      call_tz,
+      call_at,
+      files.call_id,
+      duration_ms,
+      file_size,
+      d.disposition,
+      d.campaign,
+      d.skill,
+      d.queue_wait_ms,
+      d.direction,
+      d.ani,
+      d.dnis`;
+
+// One page of the list. `boundary` ({ key, id }) switches from OFFSET to a keyset seek past that row.
+function selectFilePage(filterWhere, column, direction, { boundary = null, limit, offset = 0 }) {
+  const keys = [...FILE_SORTS[column].map(k => k.expr), 'files.id'];
+  const where = filterWhere.clone();
+  if (boundary) {
+    where.add(`(${keys.join(', ')}) ${direction === 'asc' ? '>' : '<'} (${keys.map(() => '?').join(', ')})`, ...boundary.key, boundary.id);
   }
-  return { processed, updated };
+  const dir = direction === 'asc' ? 'ASC' : 'DESC';
+  const sql = `
+    SELECT ${FILE_LIST_COLUMNS}
+    FROM files
+    ${joinSql(new Set(['details', ...where.joins]))}
+    ${where.sql()}
+    ORDER BY ${keys.map(k => `${k} ${dir}`).join(', ')}
+    LIMIT ?${boundary ? '' : ' OFFSET ?'}
+  `;
+  return cachedStatement(sql).all(...where.params, limit, ...(boundary ? [] : [offset]));
 }
 
-// Batch index multiple files (for initial indexing)
-export function indexFiles(files) {
-  const transaction = db.transaction((fileList) => {
-    let indexed = 0;
-    for (const file of fileList) {
-      const filePath = typeof file === 'string' ? file : file.filePath;
-      const fileSize = typeof file === 'object' ? file.fileSize : 0;
-      
-      if (indexFile(filePath, fileSize)) {
-        indexed++;
-      }
-    }
-    return indexed;
-  });
-  
-  return transaction(files);
+function countFilesWhere(where) {
+  return cachedStatement(`SELECT COUNT(*) as total FROM files ${joinSql(where.joins)} ${where.sql()}`).get(...where.params).total;
 }
 
-// Query files with advanced filtering and pagination
+const fileSortKey = (column, row) => FILE_SORTS[column].map(k => (k.field === 'call_id' ? row.call_id || '' : row[k.field]));
+
+// Opaque cursor: the sort it belongs to, the boundary row's key and which way to page from it
+export function encodeFileCursor({ column, direction, key, id, before = false }) {
+  return Buffer.from(JSON.stringify({ s: column, d: direction, k: key, id, b: before ? 1 : 0 })).toString('base64url');
+}
+
+export function decodeFileCursor(cursor) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new FileCursorError('Invalid cursor');
+  }
+  if (!data || !FILE_SORTS[data.s] || !['asc', 'desc'].includes(data.d) || !Array.isArray(data.k)
+    || data.k.length !== FILE_SORTS[data.s].length || !Number.isInteger(data.id)) {
+    throw new FileCursorError('Invalid cursor');
+  }
+  return { column: data.s, direction: data.d, key: data.k, id: data.id, before: data.b === 1 };
+}
+
+// Query files with advanced filtering and pagination. Pages by `cursor` (keyset, see
+// encodeFileCursor) when given, otherwise by `offset`; `jumpToDate` starts a date-sorted listing
+// at that day. `includeCount: false` skips the filtered COUNT(*) and returns an upper-bound estimate.
+// Call detail filters (CALL_DETAIL_FILTERS) take any column condition, e.g. direction: { notIn: [...] }.
+// `transcript` keeps recordings whose transcript matches (buildTranscriptMatch) and adds each row's
+// first hit as transcript_hit.
 export function queryFiles(filters = {}) {
   const {
     dateStart,
     dateEnd,
     phone,
     email,
-    durationMin,
-    timeStart,
-    timeEnd,
+    durationMinMs = null,
+    durationMaxMs = null,
+    timeWindow = null, // { mode, start, end } from buildTimeWindow
     callId,
+    q = null, // free text over phone, email and call ID
+    transcript = null, // transcript search text
+    disposition = null,
+    campaign = null,
+    skill = null,
+    direction = null,
+    queueWaitMin = null, // seconds
+    scopeEmails = null, // null = unrestricted, otherwise only files whose email is in this list
     sortColumn = 'date',
     sortDirection = 'desc',
     limit = 25,
-    offset = 0
+    offset = 0,
+    cursor = null,
+    jumpToDate = null,
+    includeCount = true
   } = filters;
+
+  const scopeJson = Array.isArray(scopeEmails) ? JSON.stringify(scopeEmails.map(e => String(e).toLowerCase())) : null;
+  const sort = resolveFileSort(sortColumn, sortDirection);
   
   // Convert date formats if needed
   const startDate = dateStart ? convertDateFormat(dateStart) : null;
   const endDate = dateEnd ? convertDateFormat(dateEnd) : null;
-  
-  // Prepare parameters for the query (in order of ? placeholders)
-  const queryParams = [
-    startDate, startDate,  // dateStart check (2 params)
-    endDate, endDate,      // dateEnd check (2 params)
-    phone, phone,          // phone filter (2 params)
-    email, email,          // email filter (2 params)
-    durationMin, durationMin, // duration filter (2 params)
-    timeStart, timeStart,  // timeStart filter (2 params)
-    timeEnd, timeEnd,      // timeEnd filter (2 params)
-    callId, callId,        // call_id equality (2 params)
-    // Sorting parameters (multiple for different combinations)
-    sortColumn, sortDirection, // date sort
-    sortColumn, sortDirection, // date sort desc
-    sortColumn, sortDirection, // time sort
-    sortColumn, sortDirection, // time sort desc
-    sortColumn, sortDirection, // phone sort
-    sortColumn, sortDirection, // phone sort desc
-    sortColumn, sortDirection, // email sort
-    sortColumn, sortDirection, // email sort desc
-    sortColumn, sortDirection, // duration sort
-    sortColumn, sortDirection, // duration sort desc
-    sortColumn, sortDirection, // callId sort asc
-    sortColumn, sortDirection, // callId sort desc
-    limit, offset
-  ];
-  
-  const files = statements.getFiles.all(...queryParams);
-  
-  // Get total count with same filters
-  const countParams = [
-    startDate, startDate,
-    endDate, endDate,
-    phone, phone,
-    email, email,
-    durationMin, durationMin,
-    timeStart, timeStart,
-    timeEnd, timeEnd,
-    callId, callId
-  ];
-  
-  const { total } = statements.countFiles.get(...countParams);
+  const transcriptMatch = buildTranscriptMatch(transcript);
+
+  const where = buildFileFilters({
+    startDate,
+    endDate,
+    durationMinMs,
+    durationMaxMs,
+    timeWindow,
+    search: buildFileSearch({ q, phone, email, callId }),
+    transcriptMatch,
+    scopeJson,
+    details: {
+      disposition,
+      campaign,
+      skill,
+      direction,
+      queueWaitMs: isBlank(queueWaitMin) ? null : { min: queueWaitMin * 1000 }
+    }
+  });
+
+  // Keyset boundary: a cursor from a previous page, or a synthetic one just past the jump date
+  let boundary = null;
+  if (cursor) {
+    boundary = decodeFileCursor(cursor);
+    if (boundary.column !== sort.column || boundary.direction !== sort.direction) {
+      throw new FileCursorError('Cursor does not match the requested sort');
+    }
+  } else if (jumpToDate) {
+    if (sort.column !== 'date') throw new FileCursorError('jumpToDate requires sortColumn=date');
+    const day = convertDateFormat(jumpToDate);
+    boundary = sort.direction === 'desc'
+      ? { key: [day, '\uffff'], id: Number.MAX_SAFE_INTEGER, before: false, jump: true }
+      : { key: [day, ''], id: 0, before: false, jump: true };
+  }
+
+  const reverse = sort.direction === 'asc' ? 'desc' : 'asc';
+  let rows;
+  let hasNext;
+  let hasPrev;
+  if (boundary) {
+    // Paging backwards runs the reverse order from the boundary and flips the rows back
+    rows = selectFilePage(where, sort.column, boundary.before ? reverse : sort.direction, { boundary, limit: limit + 1 });
+    const more = rows.length > limit;
+    rows = rows.slice(0, limit);
+    if (boundary.before) {
+      rows.reverse();
+      hasPrev = more;
+      hasNext = true;
+    } else {
+      hasNext = more;
+      hasPrev = !boundary.jump || (rows.length > 0 && selectFilePage(where, sort.column, reverse, {
+        boundary: { key: fileSortKey(sort.column, rows[0]), id: rows[0].id },
+        limit: 1
+      }).length > 0);
+    }
+  } else {
+    rows = selectFilePage(where, sort.column, sort.direction, { limit: limit + 1, offset });
+    hasNext = rows.length > limit;
+    rows = rows.slice(0, limit);
+    hasPrev = offset > 0;
+  }
+
+  const cursorFor = (row, before) => encodeFileCursor({ ...sort, key: fileSortKey(sort.column, row), id: row.id, before });
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  let total;
+  if (includeCount) {
+    total = countFilesWhere(where);
+  } else {
+    // Upper bound from the date range and visibility scope alone, which idx_files_composite covers
+    const estimate = createWhereBuilder().column('call_date', { min: startDate, max: endDate });
+    if (scopeJson) estimate.add('lower(email) IN (SELECT value FROM json_each(?))', scopeJson);
+    total = countFilesWhere(estimate);
+  }
+
+  const hits = transcriptMatch ? transcriptHitsFor(rows.map(r => r.id), transcriptMatch) : null;
   
   return {
-    files: files.map(f => ({
+    files: rows.map(f => ({
       file_path: f.file_path,
       phone: f.phone,
       email: f.email,
       call_date: f.call_date,
       call_time: f.call_time,
+      call_tz: f.call_tz,
+      call_at: f.call_at,
       call_id: f.call_id || null,
       duration_ms: f.duration_ms,
-      file_size: f.file_size
+      file_size: f.file_size,
+      disposition: f.disposition,
+      campaign: f.campaign,
+      skill: f.skill,
+      queue_wait_ms: f.queue_wait_ms,
+      direction: f.direction,
+      ani: f.ani,
+      dnis: f.dnis,
+      transcript_hit: hits?.get(f.id) || null
     })),
     totalCount: total,
-    hasMore: offset + limit < total
+    totalCountEstimated: !includeCount,
+    hasMore: hasNext,
+    nextCursor: hasNext && last ? cursorFor(last, false) : null,
+    prevCursor: hasPrev && first ? cursorFor(first, true) : null
   };
 }
 
@@ -616,10 +1960,13 @@ function convertDateFormat(dateStr) {
 export function getDatabaseStats() {
   try {
     const { total } = statements.getTotalCount.get();
+    const { total: missing } = statements.getMissingCount.get();
     const databaseSize = fs.existsSync(DB_PATH) ? fs.statSync(DB_PATH).size : 0;
     
     return {
       totalFiles: total || 0,
+      missingFiles: missing || 0,
+      transcripts: getTranscriptCounts(),
       databasePath: DB_PATH,
       databaseSize: databaseSize
     };
@@ -627,6 +1974,7 @@ export function getDatabaseStats() {
     console.error('Error getting database stats:', error);
     return {
       totalFiles: 0,
+      missingFiles: 0,
       databasePath: DB_PATH,
       databaseSize: 0
     };
@@ -704,13 +2052,14 @@ export function logAuditEvent(userId, userEmail, actionType, filePath = null, fi
   }
 }
 
-export function getAuditLogs(userId = null, actionType = null, startDate = null, endDate = null, callId = null, limit = 100, offset = 0) {
+// `from` / `to` are ISO UTC instants bounding action_timestamp as [from, to) (see dayRangeToInstants)
+export function getAuditLogs(userId = null, actionType = null, from = null, to = null, callId = null, limit = 100, offset = 0) {
   try {
     return statements.getAuditLogs.all(
       userId, userId,
       actionType, actionType,
-      startDate, startDate,
-      endDate, endDate,
+      from, from,
+      to, to,
       callId, callId,
       limit, offset
     );
@@ -720,12 +2069,12 @@ export function getAuditLogs(userId = null, actionType = null, startDate = null,
   }
 }
 
-export function getUserSessions(userId = null, startDate = null, endDate = null, limit = 100, offset = 0) {
+export function getUserSessions(userId = null, from = null, to = null, limit = 100, offset = 0) {
   try {
     return statements.getUserSessions.all(
       userId, userId,
-      startDate, startDate,
-      endDate, endDate,
+      from, from,
+      to, to,
       limit, offset
     );
   } catch (error) {
@@ -744,6 +2093,15 @@ export function getLastLogin(userId) {
   }
 }
 
+export function getSessionById(sessionId) {
+  try {
+    return statements.getSessionById.get(sessionId) || null;
+  } catch (error) {
+    console.error('Error getting session by id:', error);
+    return null;
+  }
+}
+
 export function expireInactiveSessions(maxInactivityMinutes = 30, batchLimit = 200) {
   try {
     const rows = statements.getInactiveOpenSessions.all(maxInactivityMinutes, batchLimit);
@@ -839,5 +2197,407 @@ export function getDistinctUsers(search = null, limit = 20) {
   }
 }
 
+export function getRoles() {
+  try {
+    return statements.getRoles.all().map(row => ({
+      name: row.name,
+      description: row.description,
+      isSystem: !!row.is_system,
+      permissions: row.permissions ? row.permissions.split(',').sort() : []
+    }));
+  } catch (error) {
+    console.error('Error getting roles:', error);
+    return [];
+  }
+}
+
+export function roleExists(role) {
+  try {
+    return !!(role && statements.roleExists.get(role));
+  } catch (error) {
+    console.error('Error checking role:', error);
+    return false;
+  }
+}
+
+export function getRolePermissions(role) {
+  try {
+    if (!role) return [];
+    return statements.getRolePermissions.all(role).map(r => r.permission);
+  } catch (error) {
+    console.error('Error getting role permissions:', error);
+    return [];
+  }
+}
+
+export function getUserRoleAssignment(userId) {
+  try {
+    return statements.getUserRole.get(userId) || null;
+  } catch (error) {
+    console.error('Error getting user role:', error);
+    return null;
+  }
+}
+
+export function getUserRoleAssignments() {
+  try {
+    return statements.getUserRoles.all();
+  } catch (error) {
+    console.error('Error getting user roles:', error);
+    return [];
+  }
+}
+
+// Returns the previous assignment (or null) so callers can audit the change
+export function setUserRole(userId, userEmail, role, assignedBy) {
+  const previous = getUserRoleAssignment(userId);
+  statements.upsertUserRole.run(userId, userEmail || null, role, assignedBy || null);
+  return previous;
+}
+
+export function removeUserRole(userId) {
+  const previous = getUserRoleAssignment(userId);
+  statements.deleteUserRole.run(userId);
+  return previous;
+}
+
+// Agent email a recording belongs to (index first, filename as fallback for unindexed files)
+export function getFileOwnerEmail(filePath) {
+  try {
+    const row = statements.getFileEmail.get(filePath);
+    if (row && row.email) return row.email;
+  } catch (error) {
+    console.error('Error getting file email:', error);
+  }
+  const meta = parseFileMetadata(filePath);
+  return meta?.email || null;
+}
+
+export function getManagedAgentEmails(managerEmail) {
+  try {
+    if (!managerEmail) return [];
+    return statements.getManagedAgentEmails.all(managerEmail.toLowerCase()).map(r => r.agent_email);
+  } catch (error) {
+    console.error('Error getting managed agents:', error);
+    return [];
+  }
+}
+
+export function getTeams() {
+  const teams = statements.getTeams.all().map(t => ({ ...t, members: [], managers: [] }));
+  const byId = new Map(teams.map(t => [t.id, t]));
+  for (const m of statements.getTeamMembers.all()) byId.get(m.team_id)?.members.push(m.agent_email);
+  for (const m of statements.getTeamManagers.all()) byId.get(m.team_id)?.managers.push(m.manager_email);
+  return teams;
+}
+
+export function getTeamById(teamId) {
+  return statements.getTeamById.get(teamId) || null;
+}
+
+export function createTeam(name, description = null) {
+  const result = statements.insertTeam.run(name, description);
+  return result.lastInsertRowid;
+}
+
+export function deleteTeam(teamId) {
+  return db.transaction(() => {
+    statements.deleteTeamMembers.run(teamId);
+    statements.deleteTeamManagers.run(teamId);
+    return statements.deleteTeam.run(teamId).changes > 0;
+  })();
+}
+
+export function addTeamMember(teamId, agentEmail) {
+  return statements.insertTeamMember.run(teamId, agentEmail.trim().toLowerCase()).changes > 0;
+}
+
+export function removeTeamMember(teamId, agentEmail) {
+  return statements.deleteTeamMember.run(teamId, agentEmail.trim().toLowerCase()).changes > 0;
+}
+
+export function addTeamManager(teamId, managerEmail) {
+  return statements.insertTeamManager.run(teamId, managerEmail.trim().toLowerCase()).changes > 0;
+}
+
+export function removeTeamManager(teamId, managerEmail) {
+  return statements.deleteTeamManager.run(teamId, managerEmail.trim().toLowerCase()).changes > 0;
+}
+
+function normalizeRetentionRule(rule) {
+  const domain = rule.emailDomain ?? rule.email_domain;
+  const prefix = rule.pathPrefix ?? rule.path_prefix;
+  return {
+    name: String(rule.name || '').trim(),
+    retainDays: parseInt(rule.retainDays ?? rule.retain_days, 10),
+    emailDomain: domain ? String(domain).trim().toLowerCase().replace(/^@/, '') || null : null,
+    pathPrefix: prefix ? String(prefix).trim() || null : null,
+    enabled: rule.enabled === undefined ? 1 : (rule.enabled ? 1 : 0)
+  };
+}
+
+export function getRetentionRules() {
+  return statements.getRetentionRules.all().map(r => ({ ...r, enabled: !!r.enabled }));
+}
+
+export function getRetentionRule(id) {
+  const rule = statements.getRetentionRule.get(id);
+  return rule ? { ...rule, enabled: !!rule.enabled } : null;
+}
+
+export function createRetentionRule(rule, createdBy = null) {
+  const r = normalizeRetentionRule(rule);
+  return statements.insertRetentionRule.run(r.name, r.retainDays, r.emailDomain, r.pathPrefix, r.enabled, createdBy).lastInsertRowid;
+}
+
+export function updateRetentionRule(id, rule) {
+  const r = normalizeRetentionRule(rule);
+  return statements.updateRetentionRule.run(r.name, r.retainDays, r.emailDomain, r.pathPrefix, r.enabled, id).changes > 0;
+}
+
+export function deleteRetentionRule(id) {
+  return statements.deleteRetentionRule.run(id).changes > 0;
+}
+
+export function getLegalHolds() {
+  return statements.getLegalHolds.all();
+}
+
+export function getLegalHold(id) {
+  return statements.getLegalHold.get(id) || null;
+}
+
+export function createLegalHold({ filePath = null, callId = null, reason = null }, createdBy = null) {
+  return statements.insertLegalHold.run(filePath || null, callId || null, reason || null, createdBy).lastInsertRowid;
+}
+
+export function deleteLegalHold(id) {
+  return statements.deleteLegalHold.run(id).changes > 0;
+}
+
+export function deleteFileRecord(filePath) {
+  return statements.deleteFile.run(filePath).changes > 0;
+}
+
+// YYYY-MM-DD of `days` before `now`, comparable with files.call_date
+function retentionCutoff(now, days) {
+  return new Date(now.getTime() - days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+function ruleMatchesFile(rule, file) {
+  if (rule.path_prefix && !file.file_path.startsWith(rule.path_prefix)) return false;
+  if (rule.email_domain) {
+    const email = (file.email || '').toLowerCase();
+    if (email.slice(email.lastIndexOf('@') + 1) !== rule.email_domain) return false;
+  }
+  return true;
+}
+
+// Evaluate the enabled rules against the files index. Returns up to `limit` purgeable files
+// (oldest first) plus totals so a dry run can report the full impact.
+export function findRetentionCandidates({ now = new Date(), limit = 1000 } = {}) {
+  const rules = getRetentionRules().filter(r => r.enabled && r.retain_days >= 0);
+  const result = { rules, candidates: [], totalEligible: 0, heldCount: 0 };
+  if (!rules.length) return result;
+
+  // Nothing newer than the shortest retention can ever qualify
+  const widestCutoff = retentionCutoff(now, Math.min(...rules.map(r => r.retain_days)));
+  for (const file of statements.getRetentionCandidates.iterate(widestCutoff)) {
+    const matching = rules.filter(rule => ruleMatchesFile(rule, file));
+    if (!matching.length) continue;
+    const retainDays = Math.max(...matching.map(r => r.retain_days));
+    if (file.call_date >= retentionCutoff(now, retainDays)) continue;
+    if (file.held) {
+      result.heldCount++;
+      continue;
+    }
+    result.totalEligible++;
+    if (result.candidates.length < limit) {
+      result.candidates.push({
+        filePath: file.file_path,
+        email: file.email,
+        callDate: file.call_date,
+        callId: file.call_id,
+        retainDays,
+        ruleIds: matching.map(r => r.id)
+      });
+    }
+  }
+  return result;
+}
+
+function parseJobRow(row) {
+  if (!row) return null;
+  const parse = (value) => {
+    if (!value) return null;
+    try { return JSON.parse(value); } catch { return null; }
+  };
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    params: parse(row.params) || {},
+    progress: {
+      current: row.progress_current || 0,
+      total: row.progress_total ?? null,
+      message: row.progress_message || null
+    },
+    checkpoint: parse(row.checkpoint),
+    result: parse(row.result),
+    error: row.error || null,
+    cancelRequested: !!row.cancel_requested,
+    attempts: row.attempts,
+    createdById: row.created_by_id,
+    createdByEmail: row.created_by_email,
+    actor: parse(row.actor) || {},
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function createJob(type, params = {}, createdBy = {}) {
+  const { id = null, email = null, ipAddress = null, userAgent = null, sessionId = null } = createdBy;
+  const result = statements.insertJob.run(type, JSON.stringify(params || {}), id, email, JSON.stringify({ ipAddress, userAgent, sessionId }));
+  return getJob(result.lastInsertRowid);
+}
+
+export function getJob(id) {
+  return parseJobRow(statements.getJob.get(id));
+}
+
+export function listJobs(limit = 20) {
+  return statements.listJobs.all(limit).map(parseJobRow);
+}
+
+export function getActiveJobByType(type) {
+  return parseJobRow(statements.getActiveJobByType.get(type));
+}
+
+export function claimNextJob() {
+  return parseJobRow(statements.claimNextJob.get());
+}
+
+export function updateJobProgress(id, { current = 0, total = null, message = null, checkpoint = null } = {}) {
+  statements.updateJobProgress.run(current, total, message, checkpoint === null ? null : JSON.stringify(checkpoint), id);
+}
+
+export function finishJob(id, status, { result = null, error = null } = {}) {
+  statements.finishJob.run(status, result === null ? null : JSON.stringify(result), error, id);
+}
+
+// Queued jobs are cancelled immediately; running ones are flagged and stop at their next checkpoint
+export function cancelJob(id) {
+  if (statements.cancelQueuedJob.run(id).changes > 0) return 'cancelled';
+  if (statements.requestJobCancel.run(id).changes > 0) return 'cancel_requested';
+  return null;
+}
+
+export function isJobCancelRequested(id) {
+  return !!statements.isJobCancelRequested.get(id)?.cancel_requested;
+}
+
+// Jobs left 'running' by a crash/restart go back to the queue and resume from their checkpoint
+export function requeueInterruptedJobs() {
+  return statements.requeueRunningJobs.run().changes;
+}
+
+// Resumable variants of the backfills: scan by rowid after `afterId` so each batch is a checkpoint
+export function countFilesNeedingBackfill() {
+  return statements.countFilesNeedingBackfill.get().total;
+}
+
+export function backfillFileMetadataBatch(afterId = 0, batchSize = 500) {
+  const rows = statements.getFilesNeedingBackfillAfter.all(afterId, batchSize);
+  let updated = 0;
+  const apply = db.transaction(() => {
+    for (const row of rows) {
+      const meta = parseFileMetadata(row.file_path);
+      if (!meta) continue;
+      try {
+        statements.updateFileParsedMeta.run(meta.callId || null, meta.durationMs || 0, row.file_path);
+        updated++;
+      } catch (e) {
+        console.warn('Backfill update failed for', row.file_path, e.message);
+      }
+    }
+  });
+  apply();
+  return { processed: rows.length, updated, lastId: rows.length ? rows[rows.length - 1].id : afterId, done: rows.length < batchSize };
+}
+
+export function countAuditLogsNeedingCallId() {
+  return statements.countAuditLogsNeedingCallId ? statements.countAuditLogsNeedingCallId.get().total : 0;
+}
+
+export function backfillAuditLogCallIdsBatch(afterId = 0, batchSize = 500) {
+  if (!statements.getAuditLogsNeedingCallIdAfter) {
+    return { processed: 0, updated: 0, lastId: afterId, done: true };
+  }
+  const rows = statements.getAuditLogsNeedingCallIdAfter.all(afterId, batchSize);
+  let updated = 0;
+  const apply = db.transaction(() => {
+    for (const row of rows) {
+      try {
+        const meta = JSON.parse(row.additional_data);
+        const candidate = meta.callId || meta.call_id || null;
+        if (candidate && /^\d+$/.test(String(candidate))) {
+          statements.updateAuditLogCallId.run(String(candidate), row.id);
+          updated++;
+        }
+      } catch (e) {
+        // ignore JSON parse errors
+      }
+    }
+  });
+  apply();
+  return { processed: rows.length, updated, lastId: rows.length ? rows[rows.length - 1].id : afterId, done: rows.length < batchSize };
+}
+
+// Fill call_tz/call_at on rows indexed before they existed, reading the stored wall clock in the
+// current business timezone
+export function countFilesNeedingCallInstant() {
+  return statements.countFilesNeedingCallInstant.get().total;
+}
+
+export function backfillCallInstantsBatch(afterId = 0, batchSize = 500) {
+  const rows = statements.getFilesNeedingCallInstantAfter.all(afterId, batchSize);
+  const apply = db.transaction(() => {
+    for (const row of rows) {
+      const { callTz, callAt } = callInstant(row.call_date, row.call_time);
+      statements.updateFileCallInstant.run(callTz, callAt, row.id);
+    }
+  });
+  apply();
+  return { processed: rows.length, updated: rows.length, lastId: rows.length ? rows[rows.length - 1].id : afterId, done: rows.length < batchSize };
+}
+
+// Re-parse rows indexed under an older rule set version (keyset by id, like the backfills)
+export function countFilesNeedingReparse() {
+  return statements.countFilesNeedingReparse.get(getParseRulesVersion()).total;
+}
+
+export function reparseFilesBatch(afterId = 0, batchSize = 500) {
+  const version = getParseRulesVersion();
+  const rows = statements.getFilesNeedingReparseAfter.all(afterId, version, batchSize);
+  let updated = 0;
+  let unmatched = 0;
+  const apply = db.transaction(() => {
+    for (const row of rows) {
+      const meta = parseFileMetadata(row.file_path);
+      if (!meta) {
+        statements.markFileUnparsed.run(version, row.id);
+        unmatched++;
+        continue;
+      }
+      statements.updateFileReparsed.run(meta.phone, meta.email, meta.callDate, meta.callTime, meta.callTz, meta.callAt, meta.callId || null, meta.durationMs, meta.ruleId, version, row.id);
+      updated++;
+    }
+  });
+  apply();
+  return { processed: rows.length, updated, unmatched, lastId: rows.length ? rows[rows.length - 1].id : afterId, done: rows.length < batchSize };
+}
+
 export { db, statements };
 export default db;
\ No newline at end of file
@@ -0,0 +1,121 @@
+import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+
+dayjs.extend(customParseFormat);
+
+// Filename parsing rules. A rule is a regex matched against the storage key relative to
+// 'recordings/' plus a map from metadata field to capture group (name or number). Rules are tried
+// in order and the first match wins; a key no rule matches is not indexed. Rules live in the
+// parse_rules table (database.js) and are edited from the Admin Dashboard.
+export const PARSE_FIELDS = ['date', 'time', 'phone', 'email', 'durationMs', 'callId'];
+
+export const DURATION_UNITS = { ms: 1, s: 1000 };
+
+// Seeded on first start; together they reproduce the original hardcoded Five9 parser
+export const DEFAULT_PARSE_RULES = [
+  {
+    name: 'Five9 (duration + optional call ID)',
+    pattern: String.raw`^(?<date>\d{1,2}_\d{1,2}_\d{4})/(?<phone>\d+) by (?<email>[^@ ]+@[^ ]+) @ (?<time>\d{1,2}_\d{2}_\d{2} [AP]M)_(?<duration>\d+)(?:_(?<callId>\d+))?\.wav$`,
+    fields: { date: 'date', time: 'time', phone: 'phone', email: 'email', durationMs: 'duration', callId: 'callId' },
+    dateFormat: 'M_D_YYYY',
+    timeFormat: 'h_mm_ss A',
+    durationUnit: 'ms'
+  },
+  {
+    name: 'Five9 fallback (partial match)',
+    pattern: String.raw`^(?<date>\d{1,2}_\d{1,2}_\d{4})/(?<phone>\d*)(?=(?:[^/]*?by (?<email>[^@ /]+@[^ /]+))?)(?=(?:[^/]*?@ (?<time>\d{1,2}_\d{2}_\d{2} [AP]M))?)[^/]*\.wav$`,
+    fields: { date: 'date', time: 'time', phone: 'phone', email: 'email' },
+    dateFormat: 'M_D_YYYY',
+    timeFormat: 'h_mm_ss A',
+    durationUnit: 'ms'
+  }
+];
+
+// Returns an error message, or null when the rule can be compiled
+export function validateParseRule(rule) {
+  if (!rule?.name || !String(rule.name).trim()) return 'Rule name is required';
+  if (!rule.pattern) return 'Pattern is required';
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern);
+  } catch (err) {
+    return `Invalid pattern: ${err.message}`;
+  }
+  const fields = rule.fields || {};
+  if (!fields.date) return 'The date field must be mapped to a capture group';
+  const groupNames = Object.keys(new RegExp(`${regex.source}|`).exec('')?.groups || {});
+  for (const [field, group] of Object.entries(fields)) {
+    if (!PARSE_FIELDS.includes(field)) return `Unknown field: ${field}`;
+    if (group === '' || group === null || group === undefined) continue;
+    if (/^\d+$/.test(String(group))) continue;
+    if (!groupNames.includes(String(group))) return `Field ${field} refers to missing group "${group}"`;
+  }
+  if (!rule.dateFormat) return 'dateFormat is required';
+  if (rule.durationUnit && !DURATION_UNITS[rule.durationUnit]) return `durationUnit must be one of ${Object.keys(DURATION_UNITS).join(', ')}`;
+  return null;
+}
+
+export function compileParseRules(rules) {
+  return rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern) }));
+}
+
+function capture(match, group) {
+  if (group === '' || group === null || group === undefined) return null;
+  const value = /^\d+$/.test(String(group)) ? match[parseInt(group, 10)] : match.groups?.[group];
+  return value === undefined || value === '' ? null : value;
+}
+
+// Strict dayjs parsing rejects zero-padded values ('01_05_2024' against M_D_YYYY) that the original
+// Five9 parser accepted, so parse leniently and require the parsed date to format back to the same
+// numbers. That still refuses impossible dates such as 2_30_2024, which lenient parsing rolls over.
+export function parseRuleDate(rawDate, dateFormat) {
+  const date = dayjs(rawDate, dateFormat);
+  if (!date.isValid()) return null;
+  const numbers = text => (String(text).match(/\d+/g) || []).map(Number).join('_');
+  return numbers(date.format(dateFormat)) === numbers(rawDate) ? date : null;
+}
+
+// Apply one compiled rule; null when it does not match or the date does not parse
+export function applyParseRule(rule, relativePath) {
+  const match = rule.regex.exec(relativePath);
+  if (!match) return null;
+  const fields = rule.fields || {};
+
+  const rawDate = capture(match, fields.date);
+  const date = rawDate ? parseRuleDate(rawDate, rule.dateFormat) : null;
+  if (!date) return null;
+
+  // Stored as written: filename times are business-timezone wall clock (see timeofday.js)
+  let callTime = '';
+  const rawTime = capture(match, fields.time);
+  if (rawTime && rule.timeFormat) {
+    const time = dayjs(`2000-01-01 ${rawTime}`, `YYYY-MM-DD ${rule.timeFormat}`);
+    if (time.isValid()) callTime = time.format('HH:mm:ss');
+  }
+
+  const rawDuration = capture(match, fields.durationMs);
+  const durationMs = rawDuration && /^\d+(\.\d+)?$/.test(rawDuration)
+    ? Math.round(parseFloat(rawDuration) * (DURATION_UNITS[rule.durationUnit] || 1))
+    : 0;
+  const rawCallId = capture(match, fields.callId);
+
+  return {
+    phone: capture(match, fields.phone) || '',
+    email: capture(match, fields.email) || '',
+    callDate: date.format('YYYY-MM-DD'),
+    callTime,
+    callId: rawCallId && /^\d+$/.test(rawCallId) ? rawCallId : null,
+    durationMs
+  };
+}
+
+// First matching rule wins
+export function parseWithRules(compiledRules, filePath) {
+  const relativePath = filePath.startsWith('recordings/') ? filePath.slice('recordings/'.length) : filePath;
+  for (const rule of compiledRules) {
+    if (rule.enabled === false) continue;
+    const parsed = applyParseRule(rule, relativePath);
+    if (parsed) return { filePath, ...parsed, ruleId: rule.id ?? null, ruleName: rule.name };
+  }
+  return null;
+}
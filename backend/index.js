@@ -1,22 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import { spawn } from 'child_process';
-import crypto from 'crypto';
 import dayjs from 'dayjs';
 import customParseFormat from 'dayjs/plugin/customParseFormat.js';
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-  PutObjectCommand,
-  HeadObjectCommand
-} from "@aws-sdk/client-s3";
-import { queryFiles, indexFiles, indexFile, getDatabaseStats, getAuditLogs, getUserSessions, logAuditEvent, parseFileMetadata, logUserLogout, logUserSession, getDistinctUsers, expireStaleSessions, touchUserSession, expireInactiveSessions, repairOpenSessions, backfillExpiredOpenSessions, backfillFileMetadata, backfillAuditLogCallIds } from './database.js';
-import { clerkAuth, requireAuth, requireAdmin, requireMemberOrAdmin, requireAuthenticatedUser, requireManagerOrAdmin } from './auth.js';
+import { getRetentionRules, getRetentionRule, createRetentionRule, updateRetentionRule, deleteRetentionRule, getLegalHolds, getLegalHold, createLegalHold, deleteLegalHold, getTeams, getTeamById, createTeam, deleteTeam, addTeamMember, removeTeamMember, addTeamManager, removeTeamManager, getRoles, roleExists, getRolePermissions, getUserRoleAssignments, setUserRole, removeUserRole, queryFiles, indexFiles, indexFile, getDatabaseStats, getAuditLogs, getUserSessions, logAuditEvent, parseFileMetadata, logUserLogout, logUserSession, getDistinctUsers, expireStaleSessions, touchUserSession, expireInactiveSessions, repairOpenSessions, backfillExpiredOpenSessions, backfillFileMetadataBatch, countFilesNeedingBackfill, backfillAuditLogCallIdsBatch, countAuditLogsNeedingCallId, listJobs, cancelJob, getParseRules, getParseRule, createParseRule, updateParseRule, deleteParseRule, reorderParseRules, previewParseRules, getParseRulesVersion, countFilesNeedingReparse, reparseFilesBatch, countFilesNeedingCallInstant, backfillCallInstantsBatch, getRecentFilePaths, getSetting, setSetting, importCallDetails, getCallImports, getCallDetailsCount, getCallDetailFacets, getTranscriptForPath, FileCursorError } from './database.js';
+import { clerkAuth, requireAuth, requireAuthOrTicket, issuePlaybackTicket, requirePermission, requireFileAccess, canAccessFile, getFileScope, recordingKeyFor, DEFAULT_ROLE, requireAuthenticatedUser } from './auth.js';
+import { getPublicAccessConfig, appConfig } from './config.js';
+import { buildTimeWindow, describeTimeWindow, dayRangeToInstants, TimeFilterError } from './timeofday.js';
+import { createStorage, readBody } from './storage.js';
+import { syncPrefix, syncListingPage, recordFullSyncWatermark, describeSyncCounts, newTotals, addCounts, maxLastModified } from './sync.js';
+import { validateParseRule, PARSE_FIELDS, DURATION_UNITS } from './filenames.js';
+import { buildCallDetailRows, parseDurationMs, normalizeCallCsvMapping, validateCallCsvMapping, CALL_DETAIL_FIELDS, DEFAULT_CALL_CSV_MAPPING } from './calldetails.js';
+import { handleNotification, hasValidSharedSecret, isIngestConfigured, startLocalDropWatcher, IngestAuthError } from './ingest.js';
+import { registerJobHandler, enqueueJob, startJobWorker, getJob } from './jobs.js';
+import { startTranscriptionWorker, requestTranscription, isTranscriptionEnabled } from './transcribe.js';
+import { isRedactionEnabled, withRedaction, ensureRedactedAudio } from './redaction.js';
+import { previewRetention, runRetentionPurge, startRetentionScheduler, isPurgeRunning } from './retention.js';
+import { audioCacheKeyFor, waveformCacheKeyFor, redactedWaveformCacheKeyFor, requestedChannels, PLAYBACK_SAMPLE_RATE, PLAYBACK_CHANNELS, STEREO_CHANNELS, WAV_HEADER_SIZE, playbackFfmpegArgs, expectedPcmBytes, createWavFramer, createByteWindow, parseByteRange, teeStream, createBranch, spawnFfmpeg, getFfmpegStats, findJob, trackJob, runExclusive } from './transcode.js';
+import { pipeline } from 'stream';
 
 dayjs.extend(customParseFormat);
 dayjs.extend(isSameOrBefore);
@@ -24,7 +29,6 @@ dayjs.extend(isSameOrBefore);
 const app = express();
 const PORT = process.env.PORT || 4000;
 const BUILD_DIR = path.join(process.cwd(), '../frontend/build');
-const WAV_DIR = '/data/wav/recordings'; // For reference, not used with S3
 
 app.use(cors());
 app.use(express.json()); // Parse JSON request bodies
@@ -68,7 +72,9 @@ app.use(async (req, res, next) => {
   return next();
 });
 
-const s3 = new S3Client({ region: process.env.AWS_REGION });
+// Storage backend (aws | b2 | local) selected by STORAGE_TYPE
+const storage = createStorage();
+console.log(`🗄️  [STORAGE] Using ${storage.type} storage${storage.bucket ? ` (bucket: ${storage.bucket})` : storage.root ? ` (root: ${storage.root})` : ''}`);
 
 // --- AUTO SESSION EXPIRATION (4h) ---
 const MAX_SESSION_HOURS = parseInt(process.env.MAX_SESSION_HOURS || '4');
@@ -119,10 +125,17 @@ setInterval(() => {
 // Public endpoint to get client configuration
 app.get('/api/config', (req, res) => {
   res.json({
-    clerkPublishableKey: process.env.CLERK_PUBLISHABLE_KEY
+    clerkPublishableKey: process.env.CLERK_PUBLISHABLE_KEY,
+    ...getPublicAccessConfig()
   });
 });
 
+// Lets the UI confirm access for users outside the allowed domains (individually allowlisted
+// addresses are not published in /api/config); requireAuth answers 403 for everyone else
+app.get('/api/access-check', requireAuth, (req, res) => {
+  res.json({ allowed: true, email: req.user.email });
+});
+
 // Logout endpoint to track user logout events
 // Middleware to ensure session row exists after requireAuth sets req.user
 async function ensureSession(req, res, next) {
@@ -251,27 +264,73 @@ app.post('/api/logout', requireAuth, ensureSession, (req, res) => {
   }
 });
 
-async function listWavFilesFromS3(bucket, prefix = "") {
-  let files = [];
-  let ContinuationToken;
-  do {
-    const command = new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: prefix,
-      ContinuationToken,
-    });
-    const response = await s3.send(command);
-    if (response.Contents) {
-      files.push(...response.Contents
-        .filter(obj => obj.Key.endsWith(".wav"))
-        .map(obj => obj.Key));
-    }
-    ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
-  } while (ContinuationToken);
-  return files;
+// --- PII redaction (redaction.js) ---
+// Users without view_unredacted get the redacted audio, waveform, download and transcript. Until a
+// recording's transcript has been scanned it is withheld from them (409) and moved to the front of
+// the transcription queue. Redaction cannot be on without transcription (redaction.js refuses to
+// start), but should that change, unscanned recordings stay withheld rather than served as originals.
+function mustRedactFor(user) {
+  return isRedactionEnabled() && !(user?.permissions || []).includes('view_unredacted');
+}
+
+// { redacted: false } = serve the original; { redacted: true, redactions, transcript } once
+// scanned (redactions may be empty); { pending: status } while the recording is not scanned yet
+// ('disabled' when it never will be)
+function resolveRedaction(user, filename) {
+  if (!mustRedactFor(user)) return { redacted: false };
+  const found = getTranscriptForPath(recordingKeyFor(filename));
+  if (!found) return { pending: 'not_indexed' };
+  let transcript = found.transcript;
+  if (transcript?.status !== 'completed') {
+    if (!isTranscriptionEnabled()) return { pending: 'disabled' };
+    if (!transcript || transcript.status === 'queued') transcript = requestTranscription(found.fileId);
+    if (transcript.status !== 'completed') return { pending: transcript.status };
+  }
+  transcript = withRedaction(found.fileId, transcript);
+  return { redacted: true, redactions: transcript.redactions || [], transcript };
 }
 
-// Stream a .wav file, transcoding and caching in S3 if needed
+const REDACTION_PENDING_ERRORS = {
+  failed: 'This recording could not be checked for personal data. Ask an administrator to retry its transcript.',
+  disabled: 'This recording has not been checked for personal data and transcription is not enabled on this server. Ask an administrator.'
+};
+
+function sendRedactionPending(res, redaction) {
+  res.status(409).json({
+    error: REDACTION_PENDING_ERRORS[redaction.pending]
+      || 'This recording is still being checked for personal data. Try again in a few minutes.',
+    redaction: redaction.pending
+  });
+}
+
+// Issue a short-lived ticket so <audio>/download URLs never carry the Clerk session token.
+// The ticket is accepted by /api/audio, /api/waveform and /api/download for this file only.
+app.post('/api/playback-tickets', requireAuth, ensureSession, requirePermission('play'), (req, res) => {
+  try {
+    const file = typeof req.body?.file === 'string' ? req.body.file.trim() : '';
+    if (!file) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+    if (!canAccessFile(req.user, file)) {
+      return res.status(403).json({ error: 'You do not have access to this recording' });
+    }
+    const redaction = resolveRedaction(req.user, file);
+    if (redaction.pending) return sendRedactionPending(res, redaction);
+    const { ticket, expiresAt } = issuePlaybackTicket({
+      user: req.user,
+      clerkSessionId: req.clerkSessionId,
+      sessionId: req.currentSessionId,
+      filename: file
+    });
+    console.log(`🎫 [TICKET] Issued playback ticket to ${req.user.email} for ${file} (expires ${expiresAt})`);
+    res.json({ ticket, expiresAt });
+  } catch (error) {
+    console.error('Error issuing playback ticket:', error);
+    res.status(500).json({ error: 'Failed to issue playback ticket' });
+  }
+});
+
+// Stream a .wav file, transcoding and caching in storage if needed
 // Audio streaming endpoint with role-based access control
 // Health check endpoint with FFmpeg verification
 app.get('/api/health', async (req, res) => {
@@ -288,7 +347,7 @@ app.get('/api/health', async (req, res) => {
       const status = {
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        ffmpeg: code === 0 ? { available: true, version: ffmpegVersion } : { available: false, error: 'FFmpeg not found' },
+        ffmpeg: code === 0 ? { available: true, version: ffmpegVersion, ...getFfmpegStats() } : { available: false, error: 'FFmpeg not found' },
         cache: fileIndexes ? `${Object.keys(fileIndexes).length} files indexed` : 'Index not loaded'
       };
       res.json(status);
@@ -307,47 +366,305 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Serve a converted WAV from the cache, passing Range through to storage
+async function serveCachedAudio(req, res, s3Key, cacheKey) {
+  const range = req.headers.range;
+  if (range) {
+    res.status(206);
+  }
+  
+  const cachedResponse = await storage.get(cacheKey, { range });
+
+  res.setHeader('Content-Type', 'audio/wav');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Content-Disposition', `inline; filename="${s3Key.split('/').pop()}"`);
+  
+  if (cachedResponse.contentLength) res.setHeader('Content-Length', cachedResponse.contentLength);
+  if (cachedResponse.contentRange) res.setHeader('Content-Range', cachedResponse.contentRange);
+
+  cachedResponse.body.pipe(res);
+}
+
+// Register the cache-key job synchronously (before any await) so a concurrent request that
+// misses the cache in the same window attaches to it instead of starting a second FFmpeg.
+function startAudioJob(cacheKey) {
+  let resolveJob;
+  let rejectJob;
+  const job = trackJob(cacheKey, new Promise((resolve, reject) => {
+    resolveJob = resolve;
+    rejectJob = reject;
+  }));
+  return { job, resolveJob, rejectJob };
+}
+
+// Recordings whose converted length did not match their filename duration. Their next conversion
+// goes through bufferedTranscode, which needs no duration, instead of caching a padded or cut-off copy.
+const durationMismatches = new Set();
+
+// Cache-miss conversion when the recording duration is known from its filename. FFmpeg's raw PCM
+// is framed into a WAV of predictable size and streamed to the client as it is produced, while the
+// same bytes go to the cache through a multipart upload, so first-byte latency no longer depends on
+// call length. Any Range within the promised size can be answered from the live stream.
+async function streamTranscode(req, res, { s3Key, cacheKey, durationMs, channels }) {
+  const { resolveJob, rejectJob } = startAudioJob(cacheKey);
+  const dataBytes = expectedPcmBytes(durationMs, PLAYBACK_SAMPLE_RATE, channels);
+  const totalSize = WAV_HEADER_SIZE + dataBytes;
+  const range = parseByteRange(req.headers.range, totalSize);
+
+  let ffmpeg;
+  let originalResponse;
+  try {
+    ffmpeg = await spawnFfmpeg(playbackFfmpegArgs('s16le', 'pipe:1', channels));
+    originalResponse = await storage.get(s3Key);
+  } catch (error) {
+    if (ffmpeg) ffmpeg.kill('SIGKILL');
+    rejectJob(error);
+    throw error;
+  }
+
+  console.log(`🔄 [CONVERT] Streaming FFmpeg conversion: ${s3Key} (${totalSize} bytes from ${durationMs}ms)`);
+  const conversionStartTime = Date.now();
+  const framer = createWavFramer(dataBytes, PLAYBACK_SAMPLE_RATE, channels);
+  const responseBranch = createBranch();
+  const cacheBranch = createBranch();
+
+  // On failure the cache upload is aborted (no partial object) and the client sees a truncated response
+  let failed = false;
+  let uncached = false;
+  const fail = (reason) => {
+    if (failed) return;
+    failed = true;
+    console.error(`❌ [CONVERT] ${reason}`);
+    framer.destroy(new Error(reason));
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Audio conversion failed' });
+    }
+  };
+
+  ffmpeg.stderr.on('data', (data) => {
+    console.error(`FFmpeg stderr: ${data}`);
+  });
+  ffmpeg.on('error', (error) => fail(`FFmpeg error: ${error.message}`));
+  ffmpeg.stdin.on('error', () => {}); // FFmpeg may stop reading early (EPIPE); exit code decides
+  originalResponse.body.on('error', (error) => fail(`Source read failed: ${error.message}`));
+  originalResponse.body.pipe(ffmpeg.stdin);
+
+  // Only finish the WAV once FFmpeg exits cleanly, otherwise padding would mask a failed conversion
+  ffmpeg.stdout.pipe(framer, { end: false });
+  ffmpeg.on('close', (code) => {
+    console.log(`⏱️ [CONVERSION] Completed in ${Date.now() - conversionStartTime}ms`);
+    if (code !== 0) return fail(`FFmpeg process exited with code ${code}`);
+    const driftSeconds = (framer.producedBytes - dataBytes) / (PLAYBACK_SAMPLE_RATE * channels * 2);
+    if (Math.abs(driftSeconds) > 1) {
+      // This client still gets the framed stream, but the copy must not be cached: transcription
+      // and redaction read cache/wav, and a truncated tail would never be scanned
+      console.warn(`⚠️ [CONVERT] Output differs from filename duration by ${driftSeconds.toFixed(1)}s (${driftSeconds > 0 ? 'truncated' : 'padded'}), not caching: ${s3Key}`);
+      // Waiters on this job see no cacheKey and start a buffered conversion instead of failing
+      durationMismatches.add(s3Key);
+      uncached = true;
+      resolveJob({ cacheKey: null });
+      cacheBranch.destroy(new Error(`Converted audio differs from filename duration by ${driftSeconds.toFixed(1)}s`));
+    }
+    framer.end();
+  });
+
+  teeStream(framer, [responseBranch, cacheBranch]);
+
+  storage.put(cacheKey, cacheBranch, { contentType: 'audio/wav' })
+    .then(() => {
+      console.log(`✅ [CACHED] Streamed to ${storage.type} cache: ${cacheKey}`);
+      resolveJob({ cacheKey });
+    })
+    .catch((error) => {
+      if (uncached) return; // aborted on purpose, job already resolved
+      console.error(`⚠️ [CACHE] Streaming upload failed for ${cacheKey}:`, error.message);
+      rejectJob(error);
+    });
+
+  if (range === false) {
+    // Conversion still runs to fill the cache; this client just asked for bytes that don't exist
+    responseBranch.destroy();
+    res.status(416);
+    res.setHeader('Content-Range', `bytes */${totalSize}`);
+    return res.end();
+  }
+
+  res.status(range ? 206 : 200);
+  res.setHeader('Content-Type', 'audio/wav');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Content-Disposition', `inline; filename="${s3Key.split('/').pop()}"`);
+  if (range) {
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${totalSize}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', totalSize);
+  }
+
+  const stages = range ? [responseBranch, createByteWindow(range.start, range.end), res] : [responseBranch, res];
+  pipeline(...stages, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('⚠️ [STREAMING] Response stream error:', error.message);
+    }
+  });
+}
+
+// Cache-miss conversion when the duration is unknown: convert to a temp file first so
+// Content-Length is exact, upload it, then serve from the buffer.
+async function bufferedTranscode(req, res, { s3Key, cacheKey, channels }) {
+  const { resolveJob, rejectJob } = startAudioJob(cacheKey);
+  const tmpCachePath = path.join(os.tmpdir(), cacheKey.replace(/\//g, '_'));
+  const cleanup = () => {
+    if (fs.existsSync(tmpCachePath)) fs.unlinkSync(tmpCachePath);
+  };
+
+  let ffmpeg;
+  let originalResponse;
+  try {
+    // FFmpeg command to convert and save to temp file
+    ffmpeg = await spawnFfmpeg(playbackFfmpegArgs('wav', tmpCachePath, channels));
+
+    // Get the original file from storage
+    const s3StartTime = Date.now();
+    originalResponse = await storage.get(s3Key);
+    const s3FetchTime = Date.now() - s3StartTime;
+    console.log(`📦 [STORAGE FETCH] Retrieved file in ${s3FetchTime}ms`);
+  } catch (error) {
+    if (ffmpeg) ffmpeg.kill('SIGKILL');
+    cleanup();
+    rejectJob(error);
+    throw error;
+  }
+
+  console.log(`🔄 [CONVERT] Starting FFmpeg WAV conversion: ${s3Key}`);
+  const conversionStartTime = Date.now();
+
+  // Error handling
+  ffmpeg.stderr.on('data', (data) => {
+    console.error(`FFmpeg stderr: ${data}`);
+  });
+
+  ffmpeg.on('error', (error) => {
+    console.error('❌ [FFmpeg ERROR]:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Audio conversion failed' });
+    }
+    cleanup();
+    rejectJob(error);
+  });
+
+  // Stream input to FFmpeg
+  originalResponse.body.pipe(ffmpeg.stdin);
+
+  ffmpeg.on('close', async (code) => {
+    const conversionTime = Date.now() - conversionStartTime;
+    console.log(`⏱️ [CONVERSION] Completed in ${conversionTime}ms`);
+    
+    if (code !== 0) {
+      console.error(`❌ FFmpeg process exited with code ${code}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to convert audio' });
+      }
+      cleanup();
+      rejectJob(new Error(`FFmpeg process exited with code ${code}`));
+      return;
+    }
+
+    try {
+      // Upload to storage cache, streaming from the temp file rather than holding it in memory
+      const { size } = await fs.promises.stat(tmpCachePath);
+      await storage.put(cacheKey, fs.createReadStream(tmpCachePath), { contentType: 'audio/wav' });
+      
+      console.log(`✅ [CACHED] Uploaded to ${storage.type} cache: ${cacheKey}`);
+      durationMismatches.delete(s3Key);
+      resolveJob({ cacheKey });
+      
+      // Now serve the file with range support
+      const range = parseByteRange(req.headers.range, size);
+      res.setHeader('Content-Type', 'audio/wav');
+      res.setHeader('Accept-Ranges', 'bytes');
+      if (range) {
+        // Handle range request for seeking
+        const { start, end } = range;
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        res.setHeader('Content-Length', (end - start) + 1);
+      } else {
+        // Serve full file
+        res.setHeader('Content-Length', size);
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.setHeader('Content-Disposition', `inline; filename="${s3Key.split('/').pop()}"`);
+      }
+      
+      // Clean up the temp file once it has been sent (or the client went away)
+      const fileStream = range ? fs.createReadStream(tmpCachePath, { start: range.start, end: range.end }) : fs.createReadStream(tmpCachePath);
+      pipeline(fileStream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('⚠️ [STREAMING] Response stream error:', error.message);
+        }
+        cleanup();
+      });
+      
+    } catch (error) {
+      console.error(`❌ Error caching or serving file:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to serve converted audio' });
+      }
+      cleanup();
+      rejectJob(error);
+    }
+  });
+}
+
 // Authenticated audio streaming endpoint (now uses requireAuth so req.user is available)
-app.get('/api/audio/*', requireAuth, ensureSession, async (req, res) => {
+app.get('/api/audio/*', requireAuthOrTicket, ensureSession, requirePermission('play'), requireFileAccess, async (req, res) => {
   try {
     const filename = decodeURIComponent(req.params[0]);
-    const BUCKET_NAME = process.env.AWS_BUCKET;
     
     console.log(`🎵 [STREAMING AUTH] User ${req.user.email} (${req.user.role || 'no-role'}) streaming: ${filename}`);
 
     const s3Key = filename.startsWith('recordings/') ? filename : `recordings/${filename}`;
-    const cacheKey = 'cache/wav/' + crypto.createHash('md5').update(s3Key).digest('hex') + '.wav';
-    const waveformCacheKey = 'cache/waveform/' + crypto.createHash('md5').update(s3Key).digest('hex') + '.json';
+    // ?channels=stereo keeps the recording's two channels instead of downmixing to mono
+    const channels = requestedChannels(req.query.channels);
+    const cacheKey = audioCacheKeyFor(s3Key, channels);
+    const waveformCacheKey = waveformCacheKeyFor(s3Key, channels);
+
+    const redaction = resolveRedaction(req.user, filename);
+    if (redaction.pending) return sendRedactionPending(res, redaction);
+    if (redaction.redacted && redaction.redactions.length) {
+      const redactedKey = await ensureRedactedAudio(storage, s3Key, redaction.redactions, channels);
+      try {
+        const meta = parseFileMetadata(filename) || {};
+        logAuditEvent(
+          req.user.id,
+          req.user.email,
+          'PLAY_FILE',
+          filename,
+          meta,
+          req.user.ipAddress,
+          req.user.userAgent,
+          req.currentSessionId || null,
+          { redacted: true, redactions: redaction.redactions.length, channels, userRole: req.user.role, callId: meta.callId || null, durationMs: meta.durationMs || null }
+        );
+      } catch (e) {
+        console.error('⚠️ [AUDIT PLAY] Log failed:', e);
+      }
+      console.log(`🔇 [STREAMING] Serving redacted audio: ${redactedKey}`);
+      return await serveCachedAudio(req, res, s3Key, redactedKey);
+    }
     
     console.log(`🎵 [STREAMING] Checking cache for: ${s3Key}`);
     console.log(`📁 [CACHE KEY] Audio: ${cacheKey}, Waveform: ${waveformCacheKey}`);
 
     // Check if already cached
     try {
-      await s3.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: cacheKey }));
+      await storage.head(cacheKey);
       
       console.log(`⚡ [CACHE HIT] Serving from cache: ${cacheKey}`);
       // Mark cacheHit for later single audit emission
       req._playAudit = { cacheHit: true };
-      const range = req.headers.range;
-      const params = { Bucket: BUCKET_NAME, Key: cacheKey };
-      if (range) {
-        params.Range = range;
-        res.status(206);
-      }
-      
-      const cachedCommand = new GetObjectCommand(params);
-      const cachedResponse = await s3.send(cachedCommand);
-
-      res.setHeader('Content-Type', 'audio/wav');
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Cache-Control', 'public, max-age=3600');
-      res.setHeader('Content-Disposition', `inline; filename="${s3Key.split('/').pop()}"`);
-      
-      if (cachedResponse.ContentLength) res.setHeader('Content-Length', cachedResponse.ContentLength);
-      if (cachedResponse.ContentRange) res.setHeader('Content-Range', cachedResponse.ContentRange);
-
-      cachedResponse.Body.pipe(res);
+      await serveCachedAudio(req, res, s3Key, cacheKey);
       return;
       
     } catch {
@@ -355,9 +672,15 @@ app.get('/api/audio/*', requireAuth, ensureSession, async (req, res) => {
       req._playAudit = { cacheHit: false };
     }
 
+    // Another request is already converting this recording: wait for it instead of spawning FFmpeg again
+    const inflight = findJob(cacheKey);
+    req._playAudit.joinedInflight = !!inflight;
+
+    const fileMeta = parseFileMetadata(filename) || {};
+
     // Emit a single consolidated PLAY_FILE audit event now that we know cache hit/miss
     try {
-      const meta = parseFileMetadata(filename) || {};
+      const meta = fileMeta;
       const cacheInfo = req._playAudit ? req._playAudit.cacheHit : null;
       logAuditEvent(
         req.user.id,
@@ -368,213 +691,220 @@ app.get('/api/audio/*', requireAuth, ensureSession, async (req, res) => {
         req.user.ipAddress,
         req.user.userAgent,
         req.currentSessionId || null,
-        { cacheHit: cacheInfo, userRole: req.user.role, callId: meta.callId || meta.call_id || null, durationMs: meta.durationMs || meta.duration_ms || meta.durationMs }
+        { cacheHit: cacheInfo, joinedInflight: req._playAudit.joinedInflight, channels, userRole: req.user.role, callId: meta.callId || meta.call_id || null, durationMs: meta.durationMs || meta.duration_ms || meta.durationMs }
       );
     } catch (e) {
       console.error('⚠️ [AUDIT PLAY] Consolidated log failed:', e);
     }
 
-    // Get the original file from S3
-    const s3StartTime = Date.now();
-    const originalCommand = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: s3Key });
-    const originalResponse = await s3.send(originalCommand);
-    const s3FetchTime = Date.now() - s3StartTime;
-    console.log(`📦 [S3 FETCH] Retrieved file in ${s3FetchTime}ms`);
-
-    // Convert and cache for seeking support
-    const tmpCachePath = path.join(os.tmpdir(), cacheKey.replace(/\//g, '_'));
-    
-    console.log(`🔄 [CONVERT] Starting FFmpeg WAV conversion: ${s3Key}`);
-    const conversionStartTime = Date.now();
-    
-    // FFmpeg command to convert and save to temp file
-    const ffmpeg = spawn('ffmpeg', [
-      '-i', 'pipe:0',           // Input from stdin
-      '-f', 'wav',              // WAV format 
-      '-acodec', 'pcm_s16le',   // PCM 16-bit 
-      '-ac', '1',               // Mono for faster processing
-      '-ar', '22050',           // Lower sample rate for faster processing
-      tmpCachePath              // Output to temp file
-    ]);
-
-    // Error handling
-    ffmpeg.stderr.on('data', (data) => {
-      console.error(`FFmpeg stderr: ${data}`);
-    });
-
-    ffmpeg.on('error', (error) => {
-      console.error('❌ [FFmpeg ERROR]:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Audio conversion failed' });
-      }
-      if (fs.existsSync(tmpCachePath)) fs.unlinkSync(tmpCachePath);
-    });
-
-    // Stream input to FFmpeg
-    originalResponse.Body.pipe(ffmpeg.stdin);
-
-    ffmpeg.on('close', async (code) => {
-      const conversionTime = Date.now() - conversionStartTime;
-      console.log(`⏱️ [CONVERSION] Completed in ${conversionTime}ms`);
-      
-      if (code !== 0) {
-        console.error(`❌ FFmpeg process exited with code ${code}`);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to convert audio' });
-        }
-        if (fs.existsSync(tmpCachePath)) fs.unlinkSync(tmpCachePath);
-        return;
-      }
-
+    let job = inflight;
+    while (job) {
+      console.log(`🔗 [CONVERT] Joining in-flight conversion: ${cacheKey}`);
+      let result;
       try {
-        // Upload to S3 cache
-        const fileData = fs.readFileSync(tmpCachePath);
-        await s3.send(new PutObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: cacheKey,
-          Body: fileData,
-          ContentType: 'audio/wav'
-        }));
-        
-        console.log(`✅ [CACHED] Uploaded to S3 cache: ${cacheKey}`);
-        
-        // Now serve the file with range support
-        const range = req.headers.range;
-        if (range) {
-          // Handle range request for seeking
-          const parts = range.replace(/bytes=/, "").split("-");
-          const start = parseInt(parts[0], 10);
-          const end = parts[1] ? parseInt(parts[1], 10) : fileData.length - 1;
-          const chunksize = (end - start) + 1;
-          
-          res.status(206);
-          res.setHeader('Content-Range', `bytes ${start}-${end}/${fileData.length}`);
-          res.setHeader('Content-Length', chunksize);
-          res.setHeader('Content-Type', 'audio/wav');
-          res.setHeader('Accept-Ranges', 'bytes');
-          
-          res.end(fileData.slice(start, end + 1));
-        } else {
-          // Serve full file
-          res.setHeader('Content-Type', 'audio/wav');
-          res.setHeader('Accept-Ranges', 'bytes');
-          res.setHeader('Content-Length', fileData.length);
-          res.setHeader('Cache-Control', 'public, max-age=3600');
-          res.setHeader('Content-Disposition', `inline; filename="${s3Key.split('/').pop()}"`);
-          
-          res.end(fileData);
-        }
-        
-        // Clean up temp file
-        fs.unlinkSync(tmpCachePath);
-        
+        result = await job;
       } catch (error) {
-        console.error(`❌ Error caching or serving file:`, error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to serve converted audio' });
-        }
-        if (fs.existsSync(tmpCachePath)) fs.unlinkSync(tmpCachePath);
+        console.error(`❌ [CONVERT] In-flight conversion failed for ${cacheKey}:`, error.message);
+        return res.status(500).json({ error: 'Audio conversion failed' });
       }
-    });
+      if (result?.cacheKey) return await serveCachedAudio(req, res, s3Key, cacheKey);
+      // Finished without caching (length drifted from the filename): join the buffered
+      // re-conversion another waiter already started, or start it below
+      job = findJob(cacheKey);
+    }
+
+    if (fileMeta.durationMs > 0 && !durationMismatches.has(s3Key)) {
+      return await streamTranscode(req, res, { s3Key, cacheKey, durationMs: fileMeta.durationMs, channels });
+    }
+    return await bufferedTranscode(req, res, { s3Key, cacheKey, channels });
   } catch (err) {
-    console.error('Error streaming S3 file:', err);
-    res.status(404).json({ error: 'File not found' });
+    console.error('Error streaming file from storage:', err);
+    if (!res.headersSent) res.status(404).json({ error: 'File not found' });
   }
 });
 
-// Waveform endpoint - returns waveform data for an audio file
-app.get('/api/waveform/*', async (req, res) => {
+// Waveform endpoint - returns waveform data for an audio file (same auth chain as playback)
+app.get('/api/waveform/*', requireAuthOrTicket, ensureSession, requirePermission('play'), requireFileAccess, async (req, res) => {
   try {
     const filename = decodeURIComponent(req.params[0]);
-    const BUCKET_NAME = process.env.AWS_BUCKET;
-    
-    // Handle authentication
-    let token = null;
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
-      token = req.headers.authorization.substring(7);
-    } else if (req.query.auth) {
-      token = req.query.auth;
-    }
     
-    if (!token) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    // TODO: Add proper JWT verification and domain checking for waveform endpoint
-    console.log(`📊 [WAVEFORM AUTH] Token provided for: ${filename}`);
+    console.log(`📊 [WAVEFORM AUTH] User ${req.user.email} (${req.user.role || 'no-role'}) requesting waveform: ${filename}`);
 
     const s3Key = filename.startsWith('recordings/') ? filename : `recordings/${filename}`;
-    const waveformCacheKey = 'cache/waveform/' + crypto.createHash('md5').update(s3Key).digest('hex') + '.json';
+    const redaction = resolveRedaction(req.user, filename);
+    if (redaction.pending) return sendRedactionPending(res, redaction);
+    const redacted = redaction.redacted && redaction.redactions.length > 0;
+    // ?channels=stereo returns [left, right] waveforms of the channel-preserving conversion
+    const channels = requestedChannels(req.query.channels);
+    const waveformCacheKey = redacted ? redactedWaveformCacheKeyFor(s3Key, channels) : waveformCacheKeyFor(s3Key, channels);
     
-    console.log(`📊 [WAVEFORM] Checking cache for: ${s3Key}`);
+    console.log(`📊 [WAVEFORM] Checking cache for: ${s3Key}${redacted ? ' (redacted)' : ''}${channels === STEREO_CHANNELS ? ' (stereo)' : ''}`);
+
+    // Single VIEW_WAVEFORM audit event per request, mirroring PLAY_FILE
+    const auditWaveform = (details) => {
+      try {
+        const meta = parseFileMetadata(filename) || {};
+        logAuditEvent(
+          req.user.id,
+          req.user.email,
+          'VIEW_WAVEFORM',
+          filename,
+          meta,
+          req.user.ipAddress,
+          req.user.userAgent,
+          req.currentSessionId || null,
+          { ...details, redacted, channels, userRole: req.user.role, callId: meta.callId || null, durationMs: meta.durationMs || null }
+        );
+      } catch (e) {
+        console.error('⚠️ [AUDIT WAVEFORM] Log failed:', e);
+      }
+    };
 
     // Check if waveform already cached
     try {
-      const waveformCommand = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: waveformCacheKey });
-      const waveformResponse = await s3.send(waveformCommand);
-      const waveformData = JSON.parse(await waveformResponse.Body.transformToString());
+      const waveformResponse = await storage.get(waveformCacheKey);
+      const waveformData = JSON.parse((await readBody(waveformResponse.body)).toString('utf8'));
       
       console.log(`⚡ [WAVEFORM CACHE HIT] Serving cached waveform for: ${s3Key}`);
-      res.json({ waveform: waveformData, cached: true });
+      auditWaveform({ cacheHit: true });
+      res.json({ waveform: waveformData, channels, cached: true });
       return;
       
     } catch {
       console.log(`📦 [WAVEFORM CACHE MISS] Need to generate for: ${s3Key}`);
     }
 
-    // Generate waveform from the SAME converted audio that gets played back
-    // First, check if we have the converted audio in cache
-    const audioCacheKey = 'cache/wav/' + crypto.createHash('md5').update(s3Key).digest('hex') + '.wav';
-    let audioSource = null;
-    let useConvertedAudio = false;
+    // Concurrent requests for the same recording share one computation
+    const { promise, joined } = runExclusive(waveformCacheKey, async () => (redacted
+      ? generateWaveform(s3Key, waveformCacheKey, { channels, audioCacheKey: await ensureRedactedAudio(storage, s3Key, redaction.redactions, channels), allowOriginal: false })
+      : generateWaveform(s3Key, waveformCacheKey, { channels })));
+    if (joined) console.log(`🔗 [WAVEFORM] Joining in-flight generation for: ${s3Key}`);
+    auditWaveform({ cacheHit: false, joinedInflight: joined });
+    const result = await promise;
+
+    res.json({ ...result, cached: false, shared: joined });
+
+  } catch (error) {
+    console.error('❌ [WAVEFORM ERROR]:', error);
+    res.status(500).json({ error: 'Waveform generation failed' });
+  }
+});
+
+// Transcript of a recording (same permission checks and audit as playback). Recordings not transcribed
+// yet are queued ahead of the automatic backlog; the client polls while status is queued/running.
+// ?retry=true re-queues a failed transcription. Users who must get redacted recordings receive the
+// redacted text and segments in place of the originals. Fetched with the session token: playback
+// tickets only unlock audio, waveform and download.
+app.get('/api/transcript/*', requireAuth, ensureSession, requirePermission('play'), requireFileAccess, (req, res) => {
+  try {
+    const filename = decodeURIComponent(req.params[0]);
+    const s3Key = filename.startsWith('recordings/') ? filename : `recordings/${filename}`;
+    const found = getTranscriptForPath(s3Key);
+    if (!found) return res.status(404).json({ error: 'Recording is not indexed' });
+
+    let transcript = found.transcript;
+    let requested = false;
+    if (isTranscriptionEnabled() && (!transcript || (transcript.status === 'failed' && req.query.retry === 'true'))) {
+      transcript = requestTranscription(found.fileId);
+      requested = true;
+    }
+    const status = transcript?.status || (isTranscriptionEnabled() ? 'queued' : 'disabled');
+    const redacted = mustRedactFor(req.user);
+    if (transcript?.status === 'completed' && isRedactionEnabled()) transcript = withRedaction(found.fileId, transcript);
 
     try {
-      // Try to use the converted audio cache first
-      await s3.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: audioCacheKey }));
-      audioSource = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: audioCacheKey });
-      useConvertedAudio = true;
-      console.log(`🎯 [WAVEFORM] Using converted audio cache for perfect sync: ${audioCacheKey}`);
-    } catch {
-      // Fall back to original audio
-      audioSource = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: s3Key });
-      console.log(`📄 [WAVEFORM] Using original audio (will convert): ${s3Key}`);
+      const meta = parseFileMetadata(filename) || {};
+      logAuditEvent(
+        req.user.id,
+        req.user.email,
+        'VIEW_TRANSCRIPT',
+        filename,
+        meta,
+        req.user.ipAddress,
+        req.user.userAgent,
+        req.currentSessionId || null,
+        { status, requested, redacted, segments: transcript?.segments?.length || 0, userRole: req.user.role, callId: meta.callId || null }
+      );
+    } catch (e) {
+      console.error('⚠️ [AUDIT TRANSCRIPT] Log failed:', e);
     }
 
-    const audioResponse = await s3.send(audioSource);
-
-    console.log(`🔄 [WAVEFORM] Starting synchronized FFmpeg analysis for: ${s3Key}`);
-    const waveformStartTime = Date.now();
-
-    // FFmpeg parameters depend on whether we're using converted audio or original
-    let ffmpegArgs;
-    if (useConvertedAudio) {
-      // Already converted WAV - just extract PCM data
-      ffmpegArgs = [
-        '-i', 'pipe:0',
-        '-f', 's16le',            // Raw 16-bit PCM for analysis
-        '-acodec', 'pcm_s16le',   
-        'pipe:1'                  // No conversion needed - already mono 22050Hz
-      ];
-      console.log(`🎯 [WAVEFORM] Using pre-converted audio (already mono 22050Hz)`);
-    } else {
-      // Original audio - apply EXACT SAME conversion as playback
-      ffmpegArgs = [
-        '-i', 'pipe:0',
-        '-f', 's16le',            // Raw 16-bit PCM for analysis
-        '-acodec', 'pcm_s16le',   // Same codec as playback
-        '-ac', '1',               // Convert to mono (same as playback)
-        '-ar', '22050',           // Convert sample rate (same as playback)
-        'pipe:1'
-      ];
-      console.log(`🔄 [WAVEFORM] Converting original audio (mono 22050Hz)`);
+    if (!transcript) return res.json({ status, segments: [] });
+    if (redacted) {
+      const { redactedText, redactedSegments, ...rest } = transcript;
+      return res.json({ ...rest, text: redactedText ?? null, segments: redactedSegments || [], status, requested, redacted: true });
     }
+    res.json({ ...transcript, status, requested, redacted: false });
+  } catch (error) {
+    console.error('❌ [TRANSCRIPT ERROR]:', error);
+    res.status(500).json({ error: 'Failed to load transcript' });
+  }
+});
 
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+// Compute (and cache) the waveform for a recording. Resolves with the response payload;
+// rejects if FFmpeg fails so every waiter on the job sees the same error. `audioCacheKey` picks
+// the converted variant to analyse; without `allowOriginal` a missing variant is an error.
+// `channels` must match that variant (STEREO_CHANNELS gives one waveform per channel).
+async function generateWaveform(s3Key, waveformCacheKey, { channels = PLAYBACK_CHANNELS, audioCacheKey = audioCacheKeyFor(s3Key, channels), allowOriginal = true } = {}) {
+  // Generate waveform from the SAME converted audio that gets played back
+  // First, check if we have the converted audio in cache
+  let audioSourceKey = null;
+  let useConvertedAudio = false;
+
+  // If playback is converting this recording right now, wait for it rather than converting twice
+  const audioJob = findJob(audioCacheKey);
+  if (audioJob) {
+    console.log(`🔗 [WAVEFORM] Waiting for in-flight audio conversion: ${audioCacheKey}`);
+    await audioJob.catch(() => {});
+  }
+
+  try {
+    // Try to use the converted audio cache first
+    await storage.head(audioCacheKey);
+    audioSourceKey = audioCacheKey;
+    useConvertedAudio = true;
+    console.log(`🎯 [WAVEFORM] Using converted audio cache for perfect sync: ${audioCacheKey}`);
+  } catch (error) {
+    if (!allowOriginal) throw error;
+    // Fall back to original audio
+    audioSourceKey = s3Key;
+    console.log(`📄 [WAVEFORM] Using original audio (will convert): ${s3Key}`);
+  }
+
+  // FFmpeg parameters depend on whether we're using converted audio or original
+  let ffmpegArgs;
+  if (useConvertedAudio) {
+    // Already converted WAV - just extract PCM data
+    ffmpegArgs = [
+      '-i', 'pipe:0',
+      '-f', 's16le',            // Raw 16-bit PCM for analysis
+      '-acodec', 'pcm_s16le',   
+      'pipe:1'                  // No conversion needed - already 22050Hz with `channels` channels
+    ];
+    console.log(`🎯 [WAVEFORM] Using pre-converted audio (already ${channels === STEREO_CHANNELS ? 'stereo' : 'mono'} 22050Hz)`);
+  } else {
+    // Original audio - apply EXACT SAME conversion as playback (raw PCM for analysis)
+    ffmpegArgs = playbackFfmpegArgs('s16le', 'pipe:1', channels);
+    console.log(`🔄 [WAVEFORM] Converting original audio (${channels === STEREO_CHANNELS ? 'stereo' : 'mono'} 22050Hz)`);
+  }
+
+  const ffmpeg = await spawnFfmpeg(ffmpegArgs);
+  let audioResponse;
+  try {
+    audioResponse = await storage.get(audioSourceKey);
+  } catch (error) {
+    ffmpeg.kill('SIGKILL');
+    throw error;
+  }
+
+  console.log(`🔄 [WAVEFORM] Starting synchronized FFmpeg analysis for: ${s3Key}`);
+  const waveformStartTime = Date.now();
+
+  const audioData = await new Promise((resolve, reject) => {
+    const chunks = [];
 
-    let audioData = Buffer.alloc(0);
-    
     ffmpeg.stdout.on('data', (chunk) => {
-      audioData = Buffer.concat([audioData, chunk]);
+      chunks.push(chunk);
     });
 
     ffmpeg.stderr.on('data', (data) => {
@@ -583,120 +913,123 @@ app.get('/api/waveform/*', async (req, res) => {
 
     ffmpeg.on('error', (error) => {
       console.error('❌ [WAVEFORM FFmpeg ERROR]:', error);
-      res.status(500).json({ error: 'Waveform generation failed' });
+      reject(error);
     });
 
-    audioResponse.Body.pipe(ffmpeg.stdin);
+    ffmpeg.stdin.on('error', () => {}); // exit code decides success
+    audioResponse.body.pipe(ffmpeg.stdin);
 
-    ffmpeg.on('close', async (code) => {
+    ffmpeg.on('close', (code) => {
       if (code !== 0) {
         console.error(`❌ [WAVEFORM] FFmpeg process exited with code ${code}`);
-        res.status(500).json({ error: 'Failed to generate waveform' });
+        reject(new Error(`FFmpeg process exited with code ${code}`));
         return;
       }
+      resolve(Buffer.concat(chunks));
+    });
+  });
 
-      // Process audio data into waveform with proper timing alignment
-      const samples = [];
-      const sampleSize = 2; // 16-bit = 2 bytes
-      const expectedSampleRate = 22050; // Hz (expected after conversion)
-      const targetPoints = 1000; // Target number of waveform points
-      const totalSamples = Math.floor(audioData.length / sampleSize);
-      const samplesPerPoint = Math.floor(totalSamples / targetPoints);
+  // Process audio data into one waveform per channel (16-bit PCM, interleaved) with proper timing alignment
+  const sampleSize = 2; // 16-bit = 2 bytes
+  const frameSize = sampleSize * channels;
+  const expectedSampleRate = PLAYBACK_SAMPLE_RATE; // Hz (expected after conversion)
+  const targetPoints = 1000; // Target number of waveform points
+  const totalSamples = Math.floor(audioData.length / frameSize);
+  const samplesPerPoint = Math.floor(totalSamples / targetPoints);
+  
+  // Calculate actual duration for verification
+  const durationSeconds = totalSamples / expectedSampleRate;
+
+  console.log(`📊 [WAVEFORM ANALYSIS] Source: ${useConvertedAudio ? 'converted cache' : 'original file'}, ${channels} channel(s)`);
+  console.log(`📊 [WAVEFORM ANALYSIS] Duration: ${durationSeconds.toFixed(1)}s, Total samples: ${totalSamples}, Samples per point: ${samplesPerPoint}`);
+  console.log(`📊 [WAVEFORM ANALYSIS] Audio data size: ${audioData.length} bytes, Expected sample rate: ${expectedSampleRate}Hz`);
+
+  const channelWaveforms = [];
+  for (let channel = 0; channel < channels; channel++) {
+    const points = [];
+    for (let i = 0; i < targetPoints; i++) {
+      let maxAmplitude = 0;
+      let rmsSum = 0;
+      let count = 0;
       
-      // Calculate actual duration for verification
-      const durationSeconds = totalSamples / expectedSampleRate;
-
-      console.log(`📊 [WAVEFORM ANALYSIS] Source: ${useConvertedAudio ? 'converted cache' : 'original file'}`);
-      console.log(`📊 [WAVEFORM ANALYSIS] Duration: ${durationSeconds.toFixed(1)}s, Total samples: ${totalSamples}, Samples per point: ${samplesPerPoint}`);
-      console.log(`📊 [WAVEFORM ANALYSIS] Audio data size: ${audioData.length} bytes, Expected sample rate: ${expectedSampleRate}Hz`);
-
-      for (let i = 0; i < targetPoints; i++) {
-        let maxAmplitude = 0;
-        let rmsSum = 0;
-        let count = 0;
-        
-        for (let j = 0; j < samplesPerPoint; j++) {
-          const sampleIndex = i * samplesPerPoint + j;
-          const offset = sampleIndex * sampleSize;
-          
-          if (offset + 1 < audioData.length) {
-            // Read 16-bit signed integer
-            const sample = audioData.readInt16LE(offset);
-            const amplitude = Math.abs(sample);
-            
-            // Track peak amplitude for this segment
-            maxAmplitude = Math.max(maxAmplitude, amplitude);
-            
-            // Also calculate RMS for smoothness
-            rmsSum += sample * sample;
-            count++;
-          }
-        }
+      for (let j = 0; j < samplesPerPoint; j++) {
+        const sampleIndex = i * samplesPerPoint + j;
+        const offset = sampleIndex * frameSize + channel * sampleSize;
         
-        if (count > 0) {
-          // Use combination of peak and RMS for better dynamics
-          const rms = Math.sqrt(rmsSum / count);
-          const peakNormalized = maxAmplitude / 32768;
-          const rmsNormalized = rms / 32768;
-          
-          // Blend peak (for dynamics) and RMS (for smoothness)
-          const finalAmplitude = (peakNormalized * 0.7) + (rmsNormalized * 0.3);
+        if (offset + 1 < audioData.length) {
+          // Read 16-bit signed integer
+          const sample = audioData.readInt16LE(offset);
+          const amplitude = Math.abs(sample);
           
-          // Apply some compression to enhance visibility of quiet parts
-          const compressed = Math.pow(finalAmplitude, 0.6); // Square root compression
+          // Track peak amplitude for this segment
+          maxAmplitude = Math.max(maxAmplitude, amplitude);
           
-          samples.push(Math.min(compressed, 1));
-        } else {
-          samples.push(0);
+          // Also calculate RMS for smoothness
+          rmsSum += sample * sample;
+          count++;
         }
       }
-
-      const waveformTime = Date.now() - waveformStartTime;
-      console.log(`✅ [WAVEFORM] Generated ${samples.length} points in ${waveformTime}ms`);
       
-      // Log amplitude distribution for debugging
-      const maxVal = Math.max(...samples);
-      const minVal = Math.min(...samples);
-      const avgVal = samples.reduce((a, b) => a + b, 0) / samples.length;
-      console.log(`📈 [WAVEFORM STATS] Min: ${minVal.toFixed(3)}, Max: ${maxVal.toFixed(3)}, Avg: ${avgVal.toFixed(3)}`);
-
-      // Cache the waveform data
-      try {
-        await s3.send(new PutObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: waveformCacheKey,
-          Body: JSON.stringify(samples),
-          ContentType: 'application/json'
-        }));
-        console.log(`💾 [WAVEFORM CACHED] Saved to: ${waveformCacheKey}`);
-      } catch (cacheError) {
-        console.error('⚠️ [WAVEFORM CACHE] Failed to cache:', cacheError);
+      if (count > 0) {
+        // Use combination of peak and RMS for better dynamics
+        const rms = Math.sqrt(rmsSum / count);
+        const peakNormalized = maxAmplitude / 32768;
+        const rmsNormalized = rms / 32768;
+        
+        // Blend peak (for dynamics) and RMS (for smoothness)
+        const finalAmplitude = (peakNormalized * 0.7) + (rmsNormalized * 0.3);
+        
+        // Apply some compression to enhance visibility of quiet parts
+        const compressed = Math.pow(finalAmplitude, 0.6); // Square root compression
+        
+        points.push(Math.min(compressed, 1));
+      } else {
+        points.push(0);
       }
+    }
+    channelWaveforms.push(points);
+  }
+  // Mono: one array of points, as before. Stereo: [left, right].
+  const samples = channels === STEREO_CHANNELS ? channelWaveforms : channelWaveforms[0];
 
-      res.json({ 
-        waveform: samples, 
-        cached: false, 
-        generationTime: waveformTime,
-        duration: durationSeconds,
-        sampleRate: expectedSampleRate,
-        totalSamples: totalSamples,
-        source: useConvertedAudio ? 'converted_cache' : 'original_file'
-      });
-    });
-
-  } catch (error) {
-    console.error('❌ [WAVEFORM ERROR]:', error);
-    res.status(500).json({ error: 'Waveform generation failed' });
+  const waveformTime = Date.now() - waveformStartTime;
+  console.log(`✅ [WAVEFORM] Generated ${targetPoints} points x ${channels} channel(s) in ${waveformTime}ms`);
+  
+  // Log amplitude distribution for debugging
+  const allPoints = channelWaveforms.flat();
+  const maxVal = Math.max(...allPoints);
+  const minVal = Math.min(...allPoints);
+  const avgVal = allPoints.reduce((a, b) => a + b, 0) / allPoints.length;
+  console.log(`📈 [WAVEFORM STATS] Min: ${minVal.toFixed(3)}, Max: ${maxVal.toFixed(3)}, Avg: ${avgVal.toFixed(3)}`);
+
+  // Cache the waveform data
+  try {
+    await storage.put(waveformCacheKey, JSON.stringify(samples), { contentType: 'application/json' });
+    console.log(`💾 [WAVEFORM CACHED] Saved to: ${waveformCacheKey}`);
+  } catch (cacheError) {
+    console.error('⚠️ [WAVEFORM CACHE] Failed to cache:', cacheError);
   }
-});
 
-// Download endpoint with role-based access control
-app.get('/api/download/*', requireAuth, ensureSession, requireManagerOrAdmin, async (req, res) => {
+  return {
+    waveform: samples,
+    generationTime: waveformTime,
+    duration: durationSeconds,
+    sampleRate: expectedSampleRate,
+    totalSamples: totalSamples,
+    channels,
+    source: useConvertedAudio ? 'converted_cache' : 'original_file'
+  };
+}
+
+// Download endpoint - requires the download permission
+app.get('/api/download/*', requireAuthOrTicket, ensureSession, requirePermission('download'), requireFileAccess, async (req, res) => {
   try {
     const filename = decodeURIComponent(req.params[0]);
-    const BUCKET_NAME = process.env.AWS_BUCKET;
     
     console.log(`📥 [DOWNLOAD] User ${req.user.email} (${req.user.role}) downloading: ${filename}`);
+    const redaction = resolveRedaction(req.user, filename);
+    if (redaction.pending) return sendRedactionPending(res, redaction);
+    const redacted = redaction.redacted && redaction.redactions.length > 0;
     try {
       // Attempt to parse metadata for richer audit details
       const meta = parseFileMetadata(filename) || {};
@@ -711,6 +1044,7 @@ app.get('/api/download/*', requireAuth, ensureSession, requireManagerOrAdmin, as
         req.currentSessionId || null,
         {
           userRole: req.user.role,
+          redacted,
           date: meta.callDate || meta.date || null,
             time: meta.callTime || meta.time || null,
             callId: meta.callId || meta.call_id || null,
@@ -723,16 +1057,17 @@ app.get('/api/download/*', requireAuth, ensureSession, requireManagerOrAdmin, as
 
     const s3Key = filename.startsWith('recordings/') ? filename : `recordings/${filename}`;
     
-    // Force download with proper headers
+    // Force download with proper headers. Redacted downloads are the playback-format WAV.
+    const sourceKey = redacted ? await ensureRedactedAudio(storage, s3Key, redaction.redactions) : s3Key;
     try {
-      const command = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: s3Key });
-      const s3Response = await s3.send(command);
+      const object = await storage.get(sourceKey);
+      const downloadName = s3Key.split('/').pop();
 
       res.setHeader('Content-Type', 'audio/wav');
-      res.setHeader('Content-Disposition', `attachment; filename="${s3Key.split('/').pop()}"`);
-      res.setHeader('Content-Length', s3Response.ContentLength || 0);
+      res.setHeader('Content-Disposition', `attachment; filename="${redacted ? downloadName.replace(/\.wav$/i, '_redacted.wav') : downloadName}"`);
+      res.setHeader('Content-Length', object.contentLength || 0);
 
-      s3Response.Body.pipe(res);
+      object.body.pipe(res);
     } catch (error) {
       console.error('Download error:', error);
       res.status(404).json({ error: 'File not found' });
@@ -743,6 +1078,26 @@ app.get('/api/download/*', requireAuth, ensureSession, requireManagerOrAdmin, as
   }
 });
 
+// Duration filter value -> ms: null when blank, NaN when it is neither seconds nor [h:]mm:ss
+function parseDurationParam(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const ms = parseDurationMs(value);
+  return ms === null ? NaN : ms;
+}
+
+// Repeat a parameter for an IN list (?direction=Inbound&direction=Manual); a leading '!' excludes
+// a value instead (?disposition=!Abandoned). Values are not split on commas since campaign names use them.
+function parseListFilter(value) {
+  const values = (Array.isArray(value) ? value : [value]).map(v => String(v ?? '').trim()).filter(Boolean);
+  if (!values.length) return null;
+  const include = values.filter(v => !v.startsWith('!'));
+  const exclude = values.filter(v => v.startsWith('!')).map(v => v.slice(1).trim()).filter(Boolean);
+  return {
+    ...(include.length ? { in: include } : {}),
+    ...(exclude.length ? { notIn: exclude } : {})
+  };
+}
+
 // High-performance files endpoint using database - requires authentication
 app.get('/api/wav-files', requireAuth, ensureSession, requireAuthenticatedUser, async (req, res) => {
   try {
@@ -754,19 +1109,48 @@ app.get('/api/wav-files', requireAuth, ensureSession, requireAuthenticatedUser,
       phone,
       email,
       durationMin,
+      durationMax,
       durationMode = "min",
       timeStart,
       timeEnd,
       timeMode = "range",
       sortColumn = "date",
-      sortDirection = "desc"
+      sortDirection = "desc",
+      disposition,
+      campaign,
+      skill,
+      direction,
+      queueWaitMin,
+      q,
+      transcript,
+      cursor,
+      jumpToDate,
+      includeCount
     } = req.query;
 
-    // Email filtering - allow all users to view all files (no email filtering)
+    // Durations are seconds or [h:]mm:ss. durationMode=max is the older way to send only a maximum.
+    let durationMinMs = parseDurationParam(durationMin);
+    let durationMaxMs = parseDurationParam(durationMax);
+    if (durationMode === 'max' && durationMaxMs === null) {
+      durationMaxMs = durationMinMs;
+      durationMinMs = null;
+    }
+    if (Number.isNaN(durationMinMs) || Number.isNaN(durationMaxMs)) {
+      return res.status(400).json({ error: 'durationMin and durationMax must be seconds or mm:ss', files: [], totalCount: 0, hasMore: false });
+    }
+    if (durationMinMs !== null && durationMaxMs !== null && durationMinMs > durationMaxMs) {
+      return res.status(400).json({ error: 'durationMin must not exceed durationMax', files: [], totalCount: 0, hasMore: false });
+    }
+
+    // Times are business-timezone wall clock (HH:MM, h:mm AM/PM) or ISO instants converted to it
+    const timeWindow = buildTimeWindow({ mode: timeMode, start: timeStart, end: timeEnd }, appConfig.businessTimezone);
+
+    // Email filter narrows the list; the visibility scope (own calls, managed teams, or all)
+    // is always applied on top of it in queryFiles
     let effectiveEmail = email?.trim() || null;
+    const scopeEmails = getFileScope(req.user);
     
-    // All authenticated users can view all files
-    console.log(`📄 [VIEW_FILES] User ${req.user.email} viewing file list`);
+    console.log(`📄 [VIEW_FILES] User ${req.user.email} viewing file list (${scopeEmails === null ? 'all agents' : `${scopeEmails.length} agent(s) in scope`})`);
     try {
       logAuditEvent(
         req.user.id,
@@ -779,12 +1163,19 @@ app.get('/api/wav-files', requireAuth, ensureSession, requireAuthenticatedUser,
         null,
         {
           userRole: req.user.role,
+          scope: scopeEmails === null ? 'all' : scopeEmails.length,
           dateStart: dateStart || null,
           dateEnd: dateEnd || null,
-          durationMin: durationMin ? parseInt(durationMin) : null,
-          timeStart: timeStart || null,
-            timeEnd: timeEnd || null,
+          durationMinMs,
+          durationMaxMs,
+          timeWindow: describeTimeWindow(timeWindow),
+          q: q?.trim() || null,
+          transcript: transcript?.trim() || null,
+          disposition: disposition || null,
+          campaign: campaign || null,
           sort: `${sortColumn}:${sortDirection}`,
+          cursor: !!cursor,
+          jumpToDate: jumpToDate || null,
           offset: parseInt(offset) || 0,
           limit: parseInt(limit) || 25
         }
@@ -801,14 +1192,25 @@ app.get('/api/wav-files', requireAuth, ensureSession, requireAuthenticatedUser,
       dateEnd,
       phone: phone?.trim() || null,
       email: effectiveEmail,
-      durationMin: durationMin ? parseInt(durationMin) : null,
-      timeStart,
-      timeEnd,
+      durationMinMs,
+      durationMaxMs,
+      timeWindow,
       callId: req.query.callId ? req.query.callId.trim() : null,
+      q: q?.trim() || null,
+      transcript: transcript?.trim() || null,
+      disposition: parseListFilter(disposition),
+      campaign: parseListFilter(campaign),
+      skill: parseListFilter(skill),
+      direction: parseListFilter(direction),
+      queueWaitMin: queueWaitMin ? parseInt(queueWaitMin) : null,
+      scopeEmails,
       sortColumn,
       sortDirection,
       limit: parseInt(limit) || 25,
-      offset: parseInt(offset) || 0
+      offset: parseInt(offset) || 0,
+      cursor: cursor || null,
+      jumpToDate: jumpToDate || null,
+      includeCount: includeCount !== 'false'
     });
 
     res.json({
@@ -818,96 +1220,239 @@ app.get('/api/wav-files', requireAuth, ensureSession, requireAuthenticatedUser,
         email: f.email,
         date: f.call_date,
         time: f.call_time,
+        callTz: f.call_tz,
+        callAt: f.call_at,
         callId: f.call_id,
         durationMs: f.duration_ms,
-        size: f.file_size
+        size: f.file_size,
+        disposition: f.disposition,
+        campaign: f.campaign,
+        skill: f.skill,
+        queueWaitMs: f.queue_wait_ms,
+        direction: f.direction,
+        ani: f.ani,
+        dnis: f.dnis,
+        transcriptHit: f.transcript_hit
       })),
       totalCount: result.totalCount,
+      totalCountEstimated: result.totalCountEstimated,
       offset: parseInt(offset) || 0,
       limit: parseInt(limit) || 25,
-      hasMore: result.hasMore
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
     });
 
   } catch (err) {
+    if (err instanceof FileCursorError || err instanceof TimeFilterError) {
+      return res.status(400).json({ error: err.message, files: [], totalCount: 0, hasMore: false });
+    }
     console.error('Error in /api/wav-files:', err);
     res.status(500).json({ files: [], totalCount: 0, offset: 0, limit: 25, hasMore: false });
   }
 });
 
-// Database sync/indexing endpoint for initial setup and maintenance
-app.post('/api/sync-database', requireAuth, ensureSession, requireAdmin, async (req, res) => {
-  try {
-    const BUCKET_NAME = process.env.AWS_BUCKET;
-    const { dateRange, forceReindex = false } = req.body || {};
+// Database sync/indexing job. Resumable: a date-range sync checkpoints the next day to list,
+// a full sync checkpoints the storage continuation token of the next page. Both reconcile the
+// listing against the index (new / changed / missing objects, see sync.js).
+registerJobHandler('sync_database', async ({ params, checkpoint, progress, throwIfCancelled }) => {
+  const { dateRange } = params;
+
+  if (dateRange) {
+    const start = dayjs(dateRange.startDate, "M_D_YYYY");
+    const end = dayjs(dateRange.endDate, "M_D_YYYY");
+    if (!start.isValid() || !end.isValid()) throw new Error('Invalid date range');
+    const totalDays = end.diff(start, 'day') + 1;
+    let current = checkpoint?.nextDate ? dayjs(checkpoint.nextDate, "M_D_YYYY") : start.clone();
+    const totals = checkpoint?.totals || newTotals();
+
+    while (current.isSameOrBefore(end, "day")) {
+      throwIfCancelled();
+      const day = current.format("M_D_YYYY");
+      const counts = await syncPrefix(storage, `recordings/${day}/`, { force: true });
+      addCounts(totals, counts);
+      if (counts.listed > 0 || counts.missing > 0) {
+        console.log(`📊 [SYNC] ${day}: ${describeSyncCounts(counts)}`);
+      }
+      current = current.add(1, "day");
+      progress({
+        current: current.diff(start, 'day'),
+        total: totalDays,
+        message: `${day}: ${describeSyncCounts(totals)}`,
+        checkpoint: { nextDate: current.format("M_D_YYYY"), totals }
+      });
+    }
+    return { mode: 'range', ...totals, databaseStats: getDatabaseStats() };
+  }
 
-    console.log(`📊 [SYNC] ${dateRange ? 'Date range' : 'Full'} sync requested`);
+  // Full sync - 300k+ objects, so walk storage one page at a time instead of listing everything up front
+  const prefix = 'recordings/';
+  const estimatedTotal = getDatabaseStats().totalFiles || null;
+  let token = checkpoint?.token;
+  let pages = checkpoint?.pages || 0;
+  let lastKey = checkpoint?.lastKey || null;
+  let newest = checkpoint?.newest || null;
+  const totals = checkpoint?.totals || newTotals();
+  if (checkpoint) console.log(`📊 [SYNC] Resuming full sync after page ${pages} (${totals.listed} listed)`);
 
-    console.log('Starting database sync...');
-    const startTime = Date.now();
-    let indexedCount = 0;
+  do {
+    throwIfCancelled();
+    const page = await storage.listPage(prefix, token);
+    const result = syncListingPage(prefix, page, lastKey);
+    addCounts(totals, result.counts);
+    lastKey = result.lastKey;
+    newest = maxLastModified(page.objects.filter(obj => obj.key.endsWith('.wav')), newest);
+    pages++;
+    token = page.nextToken;
+    progress({
+      current: totals.listed,
+      total: token ? Math.max(estimatedTotal || 0, totals.listed) || null : totals.listed,
+      message: `Page ${pages}: ${describeSyncCounts(totals)}`,
+      checkpoint: { token, pages, lastKey, newest, totals }
+    });
+    // Brief pause to prevent overwhelming the system
+    if (token) await new Promise(resolve => setTimeout(resolve, 100));
+  } while (token);
 
-    if (dateRange) {
-      // Sync specific date range
-      const { startDate, endDate } = dateRange;
-      const start = dayjs(startDate, "M_D_YYYY");
-      const end = dayjs(endDate, "M_D_YYYY");
-      let current = start.clone();
+  recordFullSyncWatermark(prefix, { listed: totals.listed, maxLastModified: newest, lastKey });
+  return { mode: 'full', pages, ...totals, databaseStats: getDatabaseStats() };
+});
 
-      while (current.isSameOrBefore(end, "day")) {
-        const dayPrefix = `recordings/${current.format("M_D_YYYY")}/`;
-        console.log(`Indexing files for ${current.format("M_D_YYYY")}...`);
-        
-        const dayFiles = await listWavFilesFromS3(BUCKET_NAME, dayPrefix);
-        if (dayFiles.length > 0) {
-          const batchIndexed = indexFiles(dayFiles);
-          indexedCount += batchIndexed;
-          console.log(`Indexed ${batchIndexed}/${dayFiles.length} files for ${current.format("M_D_YYYY")}`);
-        }
-        
-        current = current.add(1, "day");
-      }
-    } else {
-      // Full sync - be careful with 300k+ files!
-      console.log('WARNING: Full sync initiated - this may take a while...');
-      const allFiles = await listWavFilesFromS3(BUCKET_NAME, 'recordings/');
-      console.log(`Found ${allFiles.length} total files to index`);
-      
-      // Process in batches of 1000 for memory efficiency
-      const batchSize = 1000;
-      for (let i = 0; i < allFiles.length; i += batchSize) {
-        const batch = allFiles.slice(i, i + batchSize);
-        const batchIndexed = indexFiles(batch);
-        indexedCount += batchIndexed;
-        
-        console.log(`Batch ${Math.floor(i/batchSize) + 1}: Indexed ${batchIndexed}/${batch.length} files (Total: ${indexedCount}/${allFiles.length})`);
-        
-        // Brief pause to prevent overwhelming the system
-        if (i + batchSize < allFiles.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
+// Keyset backfills: the checkpoint is the last row id processed
+function registerBackfillJob(type, countRemaining, runBatch) {
+  registerJobHandler(type, async ({ params, checkpoint, progress }) => {
+    const batchSize = Math.min(parseInt(params.batchSize) || 500, 5000);
+    let lastId = checkpoint?.lastId || 0;
+    let processed = checkpoint?.processed || 0;
+    let updated = checkpoint?.updated || 0;
+    const total = processed + countRemaining();
+
+    for (;;) {
+      const batch = runBatch(lastId, batchSize);
+      processed += batch.processed;
+      updated += batch.updated;
+      lastId = batch.lastId;
+      progress({
+        current: processed,
+        total: Math.max(total, processed),
+        message: `${updated} updated of ${processed} scanned`,
+        checkpoint: { lastId, processed, updated }
+      });
+      if (batch.done) break;
+      await new Promise(resolve => setImmediate(resolve));
     }
+    return { processed, updated };
+  });
+}
+
+registerBackfillJob('backfill_files', countFilesNeedingBackfill, backfillFileMetadataBatch);
+registerBackfillJob('backfill_audit_callids', countAuditLogsNeedingCallId, backfillAuditLogCallIdsBatch);
+registerBackfillJob('reparse_files', countFilesNeedingReparse, reparseFilesBatch);
+registerBackfillJob('backfill_call_times', countFilesNeedingCallInstant, backfillCallInstantsBatch);
+
+registerJobHandler('repair_sessions', async ({ params, progress }) => {
+  const { keepLatestOpen = true, maxHours = 4, includeBackfill = true } = params;
+  const repairPreview = repairOpenSessions({ keepLatestOpen });
+  progress({ current: 1, total: 2, message: `Closed ${repairPreview.sessionsClosed} duplicate session(s)` });
+  const backfillResult = includeBackfill ? backfillExpiredOpenSessions(maxHours) : { closed: 0, details: [] };
+  progress({ current: 2, total: 2, message: `Closed ${backfillResult.closed} expired session(s)` });
+  return {
+    keepLatestOpen,
+    maxHours,
+    includeBackfill,
+    sessionsClosed: repairPreview.sessionsClosed + backfillResult.closed,
+    duplicateClosed: repairPreview.sessionsClosed,
+    expiredBackfilled: backfillResult.closed,
+    usersAffected: repairPreview.usersAffected
+  };
+});
+
+function jobCreator(req) {
+  return {
+    id: req.user.id,
+    email: req.user.email,
+    ipAddress: req.user.ipAddress,
+    userAgent: req.user.userAgent,
+    sessionId: req.currentSessionId || null
+  };
+}
+
+// Maintenance endpoints queue a job and return immediately; poll GET /api/jobs/:id for progress
+function enqueueFromRequest(type, params) {
+  return (req, res) => {
+    try {
+      const { job, existing } = enqueueJob(type, params(req.body || {}), jobCreator(req));
+      res.status(202).json({ success: true, jobId: job.id, existing, job });
+    } catch (err) {
+      console.error(`Error queueing ${type} job:`, err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+// Database sync/indexing endpoint for initial setup and maintenance
+app.post('/api/sync-database', requireAuth, ensureSession, requirePermission('run_sync'), (req, res, next) => {
+  const { dateRange } = req.body || {};
+  if (dateRange && (!dateRange.startDate || !dateRange.endDate)) {
+    return res.status(400).json({ success: false, error: 'dateRange requires startDate and endDate (M_D_YYYY)' });
+  }
+  console.log(`📊 [SYNC] ${dateRange ? 'Date range' : 'Full'} sync requested by ${req.user.email}`);
+  next();
+}, enqueueFromRequest('sync_database', ({ dateRange }) => ({ dateRange: dateRange || null })));
+
+app.get('/api/jobs', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ jobs: listJobs(limit) });
+  } catch (err) {
+    console.error('Error listing jobs:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  const job = getJob(parseInt(req.params.id));
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+app.post('/api/jobs/:id/cancel', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  const id = parseInt(req.params.id);
+  const outcome = cancelJob(id);
+  if (!outcome) {
+    const job = getJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.status(409).json({ error: `Job is already ${job.status}`, job });
+  }
+  console.log(`⏹️  [JOBS] Cancel ${outcome === 'cancelled' ? 'applied to queued' : 'requested for running'} job ${id} by ${req.user.email}`);
+  res.json({ success: true, status: outcome, job: getJob(id) });
+});
 
-    const endTime = Date.now();
-    const duration = (endTime - startTime) / 1000;
-    
-    const stats = getDatabaseStats();
-    
-    res.json({
-      success: true,
-      indexedFiles: indexedCount,
-      duration: `${duration.toFixed(2)}s`,
-      databaseStats: stats
-    });
-
+// S3 bucket notifications (directly, via SNS or via an SQS forwarder). Not behind Clerk: callers
+// authenticate with INGEST_SHARED_SECRET or a signed SNS message from an allowed topic (ingest.js).
+// SNS posts text/plain, so the raw body is parsed here rather than by express.json().
+app.post('/api/ingest/s3-events', express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+  if (!isIngestConfigured()) {
+    return res.status(503).json({ error: 'Event ingestion is not configured' });
+  }
+  try {
+    const result = await handleNotification(storage, req.body, { secretOk: hasValidSharedSecret(req) });
+    if (result.records || result.confirmedSubscriptions) {
+      console.log(`📨 [INGEST] ${result.records} record(s): ${result.indexed} indexed, ${result.removed} removed, ${result.ignored} ignored, ${result.failed} failed`);
+    }
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('Error syncing database:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (err instanceof IngestAuthError) {
+      console.warn(`🚫 [INGEST] Rejected notification from ${req.realClientIP}: ${err.message}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    console.error('Error ingesting S3 notification:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
 // Database statistics endpoint
-app.get('/api/database-stats', requireAuth, ensureSession, requireAdmin, (req, res) => {
+app.get('/api/database-stats', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
   try {
     const stats = getDatabaseStats();
     res.json(stats);
@@ -917,24 +1462,27 @@ app.get('/api/database-stats', requireAuth, ensureSession, requireAdmin, (req, r
   }
 });
 
-// Audit logs endpoint - admin only
-app.get('/api/audit-logs', requireAuth, ensureSession, requireAdmin, (req, res) => {
+// Audit logs endpoint - requires view_audit
+app.get('/api/audit-logs', requireAuth, ensureSession, requirePermission('view_audit'), (req, res) => {
   try {
     const {
       userId,
       actionType,
       startDate,
       endDate,
+      tz = 'UTC',
       callId,
       limit = 100,
       offset = 0
     } = req.query;
 
+    // Dates are whole days in the viewer's timezone
+    const { from, to } = dayRangeToInstants(startDate, endDate, tz);
     const auditLogs = getAuditLogs(
       userId || null,
       actionType || null,
-      startDate || null,
-      endDate || null,
+      from,
+      to,
       callId || null, // LIKE filtering handled in prepared statement
       parseInt(limit),
       parseInt(offset)
@@ -949,39 +1497,33 @@ app.get('/api/audit-logs', requireAuth, ensureSession, requireAdmin, (req, res)
       }
     });
   } catch (err) {
+    if (err instanceof TimeFilterError) return res.status(400).json({ error: err.message });
     console.error('Error getting audit logs:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Maintenance endpoint to backfill missing audit log call_ids from additional_data JSON
-app.post('/api/backfill-audit-callids', requireAuth, ensureSession, requireAdmin, (req, res) => {
-  try {
-    const { batchSize } = req.body || {};
-    const result = backfillAuditLogCallIds(batchSize || 500);
-    logAuditEvent(req.auth.userId, req.auth.user?.primaryEmailAddress?.emailAddress || '', 'MAINTENANCE', null, null, getClientIp(req), req.headers['user-agent'] || '', req.sessionId, { task: 'backfill_audit_call_ids', ...result });
-    res.json({ success: true, ...result });
-  } catch (e) {
-    console.error('Error backfilling audit call_ids:', e);
-    res.status(500).json({ success: false, error: e.message });
-  }
-});
+app.post('/api/backfill-audit-callids', requireAuth, ensureSession, requirePermission('run_sync'),
+  enqueueFromRequest('backfill_audit_callids', ({ batchSize }) => ({ batchSize: batchSize || 500 })));
 
-// User sessions endpoint - admin only
-app.get('/api/user-sessions', requireAuth, ensureSession, requireAdmin, (req, res) => {
+// User sessions endpoint - requires view_audit
+app.get('/api/user-sessions', requireAuth, ensureSession, requirePermission('view_audit'), (req, res) => {
   try {
     const {
       userId,
       startDate,
       endDate,
+      tz = 'UTC',
       limit = 100,
       offset = 0
     } = req.query;
 
+    const { from, to } = dayRangeToInstants(startDate, endDate, tz);
     const sessions = getUserSessions(
       userId || null,
-      startDate || null,
-      endDate || null,
+      from,
+      to,
       parseInt(limit),
       parseInt(offset)
     );
@@ -995,93 +1537,627 @@ app.get('/api/user-sessions', requireAuth, ensureSession, requireAdmin, (req, re
       }
     });
   } catch (err) {
+    if (err instanceof TimeFilterError) return res.status(400).json({ error: err.message });
     console.error('Error getting user sessions:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Session repair & backfill endpoint - admin only
-app.post('/api/repair-sessions', requireAuth, ensureSession, requireAdmin, (req, res) => {
+// Session repair & backfill endpoint - requires run_sync
+app.post('/api/repair-sessions', requireAuth, ensureSession, requirePermission('run_sync'),
+  enqueueFromRequest('repair_sessions', ({ keepLatestOpen = true, maxHours = 4, includeBackfill = true }) => ({ keepLatestOpen, maxHours, includeBackfill })));
+
+// File metadata backfill (duration/callId) - requires run_sync
+app.post('/api/backfill-files', requireAuth, ensureSession, requirePermission('run_sync'),
+  enqueueFromRequest('backfill_files', ({ batchSize = 500 }) => ({ batchSize })));
+
+// UTC instants (call_at) for recordings indexed before they were stored - requires run_sync
+app.post('/api/backfill-call-times', requireAuth, ensureSession, requirePermission('run_sync'),
+  enqueueFromRequest('backfill_call_times', ({ batchSize = 500 }) => ({ batchSize })));
+
+// Autocomplete distinct users (view_audit)
+app.get('/api/audit-users', requireAuth, ensureSession, requirePermission('view_audit'), (req, res) => {
+  try {
+    const { q, limit = 20 } = req.query;
+    const users = getDistinctUsers(q || null, Math.min(parseInt(limit) || 20, 100));
+    res.json({ users });
+  } catch (err) {
+    console.error('Error getting distinct users:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current user's resolved role and permissions (drives what the UI shows)
+app.get('/api/me', requireAuth, ensureSession, (req, res) => {
+  res.json({
+    id: req.user.id,
+    email: req.user.email,
+    role: req.user.role,
+    roleSource: req.user.roleSource,
+    permissions: req.user.permissions
+  });
+});
+
+// Role catalog with each role's permissions
+app.get('/api/roles', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  res.json({ roles: getRoles(), defaultRole: DEFAULT_ROLE });
+});
+
+// Users seen in audit logs / sessions merged with their local role assignment
+app.get('/api/user-roles', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
   try {
-    const { simulate = false, keepLatestOpen = true, maxHours = 4, includeBackfill = true } = req.body || {};
-    const repairPreview = repairOpenSessions({ keepLatestOpen });
-    let backfillResult = { closed: 0, details: [] };
-    if (includeBackfill) {
-      backfillResult = backfillExpiredOpenSessions(maxHours);
+    const { q, limit = 100 } = req.query;
+    const assignments = new Map(getUserRoleAssignments().map(a => [a.user_id, a]));
+    const seen = getDistinctUsers(q || null, Math.min(parseInt(limit) || 100, 500));
+    const users = new Map();
+    for (const u of seen) {
+      if (!users.has(u.user_id)) users.set(u.user_id, { user_id: u.user_id, user_email: u.user_email });
     }
-    if (!simulate) {
-      // Log maintenance audit event summarizing actions (no specific file)
-      logAuditEvent(
-        req.user.id,
-        req.user.email,
-        'MAINTENANCE',
-        null,
-        null,
-        req.user.ipAddress,
-        req.user.userAgent,
-        req.currentSessionId || null,
-        {
-          maintenance: 'repair_sessions',
-          keepLatestOpen,
-          maxHours,
-          includeBackfill,
-          sessionsClosed: repairPreview.sessionsClosed + backfillResult.closed,
-          duplicateClosed: repairPreview.sessionsClosed,
-          expiredBackfilled: backfillResult.closed,
-          usersAffected: repairPreview.usersAffected
-        }
-      );
+    // Assigned users always show up, even if they have no activity matching the search yet
+    const term = (q || '').trim().toLowerCase();
+    for (const a of assignments.values()) {
+      if (users.has(a.user_id)) continue;
+      if (term && !`${a.user_email || ''} ${a.user_id}`.toLowerCase().includes(term)) continue;
+      users.set(a.user_id, { user_id: a.user_id, user_email: a.user_email });
+    }
+    const result = [...users.values()].map(u => {
+      const a = assignments.get(u.user_id);
+      return {
+        ...u,
+        role: a ? a.role : null,
+        assigned_by: a ? a.assigned_by : null,
+        assigned_at: a ? a.assigned_at : null
+      };
+    }).sort((x, y) => (x.user_email || '').localeCompare(y.user_email || ''));
+    res.json({ users: result });
+  } catch (err) {
+    console.error('Error getting user roles:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assign a role to a user (audited as ROLE_ASSIGNED)
+app.put('/api/user-roles/:userId', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, email } = req.body || {};
+    if (!roleExists(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
     }
+    // Don't let an admin lock themselves out of role management
+    if (userId === req.user.id && !getRolePermissions(role).includes('manage_users')) {
+      return res.status(400).json({ error: 'You cannot remove your own manage_users permission' });
+    }
+    const previous = setUserRole(userId, email || null, role, req.user.email);
+    logAuditEvent(
+      req.user.id,
+      req.user.email,
+      'ROLE_ASSIGNED',
+      null,
+      null,
+      req.user.ipAddress,
+      req.user.userAgent,
+      req.currentSessionId || null,
+      { targetUserId: userId, targetEmail: email || previous?.user_email || null, previousRole: previous?.role || null, newRole: role, userRole: req.user.role }
+    );
+    console.log(`🛡️  [ROLES] ${req.user.email} set role of ${email || userId} to ${role} (was ${previous?.role || 'unassigned'})`);
+    res.json({ success: true, userId, role, previousRole: previous?.role || null });
+  } catch (err) {
+    console.error('Error assigning role:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a local assignment so the user falls back to their Clerk role / DEFAULT_ROLE (audited as ROLE_REVOKED)
+app.delete('/api/user-roles/:userId', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot remove your own role assignment' });
+    }
+    const previous = removeUserRole(userId);
+    if (!previous) {
+      return res.status(404).json({ error: 'User has no local role assignment' });
+    }
+    logAuditEvent(
+      req.user.id,
+      req.user.email,
+      'ROLE_REVOKED',
+      null,
+      null,
+      req.user.ipAddress,
+      req.user.userAgent,
+      req.currentSessionId || null,
+      { targetUserId: userId, targetEmail: previous.user_email || null, previousRole: previous.role, newRole: null, userRole: req.user.role }
+    );
+    console.log(`🛡️  [ROLES] ${req.user.email} removed role ${previous.role} from ${previous.user_email || userId}`);
+    res.json({ success: true, userId, previousRole: previous.role });
+  } catch (err) {
+    console.error('Error removing role:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Teams (visibility scoping for managers) ---
+function auditTeamChange(req, details) {
+  try {
+    logAuditEvent(
+      req.user.id,
+      req.user.email,
+      'TEAM_UPDATED',
+      null,
+      null,
+      req.user.ipAddress,
+      req.user.userAgent,
+      req.currentSessionId || null,
+      { ...details, userRole: req.user.role }
+    );
+  } catch (auditErr) {
+    console.error('⚠️ [AUDIT] Failed to log team change:', auditErr);
+  }
+  console.log(`👥 [TEAMS] ${req.user.email} ${details.change} on team ${details.teamName || details.teamId}${details.email ? `: ${details.email}` : ''}`);
+}
+
+const isEmailLike = (value) => typeof value === 'string' && /^[^@\s]+@[^@\s]+$/.test(value.trim());
+
+app.get('/api/teams', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  try {
+    res.json({ teams: getTeams() });
+  } catch (err) {
+    console.error('Error getting teams:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/teams', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Team name is required' });
+    }
+    const teamId = createTeam(name, req.body?.description?.trim() || null);
+    auditTeamChange(req, { change: 'create_team', teamId, teamName: name });
+    res.json({ success: true, teamId });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'A team with that name already exists' });
+    }
+    console.error('Error creating team:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/teams/:teamId', requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+  try {
+    const team = getTeamById(parseInt(req.params.teamId));
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    deleteTeam(team.id);
+    auditTeamChange(req, { change: 'delete_team', teamId: team.id, teamName: team.name });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting team:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add/remove agents (by the email in recording filenames) or managers (by sign-in email)
+for (const kind of ['members', 'managers']) {
+  const add = kind === 'members' ? addTeamMember : addTeamManager;
+  const remove = kind === 'members' ? removeTeamMember : removeTeamManager;
+  const label = kind === 'members' ? 'member' : 'manager';
+
+  app.post(`/api/teams/:teamId/${kind}`, requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+    try {
+      const team = getTeamById(parseInt(req.params.teamId));
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+      const email = req.body?.email;
+      if (!isEmailLike(email)) {
+        return res.status(400).json({ error: 'A valid email is required' });
+      }
+      const added = add(team.id, email);
+      if (added) auditTeamChange(req, { change: `add_${label}`, teamId: team.id, teamName: team.name, email: email.trim().toLowerCase() });
+      res.json({ success: true, added });
+    } catch (err) {
+      console.error(`Error adding team ${label}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.delete(`/api/teams/:teamId/${kind}/:email`, requireAuth, ensureSession, requirePermission('manage_users'), (req, res) => {
+    try {
+      const team = getTeamById(parseInt(req.params.teamId));
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+      const removed = remove(team.id, req.params.email);
+      if (!removed) {
+        return res.status(404).json({ error: `Not a ${label} of this team` });
+      }
+      auditTeamChange(req, { change: `remove_${label}`, teamId: team.id, teamName: team.name, email: req.params.email.trim().toLowerCase() });
+      res.json({ success: true });
+    } catch (err) {
+      console.error(`Error removing team ${label}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+// --- Filename parsing rules ---
+function auditParseRulesChange(req, details) {
+  try {
+    logAuditEvent(
+      req.user.id,
+      req.user.email,
+      'PARSE_RULES_UPDATED',
+      null,
+      null,
+      req.user.ipAddress,
+      req.user.userAgent,
+      req.currentSessionId || null,
+      { ...details, version: getParseRulesVersion(), userRole: req.user.role }
+    );
+  } catch (auditErr) {
+    console.error('⚠️ [AUDIT] Failed to log parse rule change:', auditErr);
+  }
+  console.log(`🧩 [PARSE RULES] ${req.user.email} ${details.change} (rule set v${getParseRulesVersion()})`);
+}
+
+app.get('/api/parse-rules', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
     res.json({
-      simulate: !!simulate,
-      keepLatestOpen,
-      maxHours,
-      includeBackfill,
-      duplicateRepair: repairPreview,
-      expiredBackfill: backfillResult,
-      totalClosed: repairPreview.sessionsClosed + backfillResult.closed
+      rules: getParseRules(),
+      version: getParseRulesVersion(),
+      outdatedFiles: countFilesNeedingReparse(),
+      fields: PARSE_FIELDS,
+      durationUnits: Object.keys(DURATION_UNITS),
+      samples: getRecentFilePaths(5)
     });
-  } catch (e) {
-    console.error('Error repairing sessions:', e);
-    res.status(500).json({ error: e.message });
+  } catch (err) {
+    console.error('Error getting parse rules:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/parse-rules', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const invalid = validateParseRule(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const id = createParseRule(req.body, req.user.email);
+    auditParseRulesChange(req, { change: 'create_rule', rule: getParseRule(id) });
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Error creating parse rule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Evaluation order: { ids: [ruleId, ...] }
+app.put('/api/parse-rules/order', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(id => parseInt(id)).filter(Number.isInteger) : null;
+    if (!ids || !ids.length) return res.status(400).json({ error: 'ids must be a non-empty array of rule ids' });
+    const rules = reorderParseRules(ids);
+    auditParseRulesChange(req, { change: 'reorder_rules', order: rules.map(r => r.id) });
+    res.json({ success: true, rules });
+  } catch (err) {
+    console.error('Error reordering parse rules:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/parse-rules/:id', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const previous = getParseRule(parseInt(req.params.id));
+    if (!previous) return res.status(404).json({ error: 'Rule not found' });
+    const invalid = validateParseRule(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    updateParseRule(previous.id, req.body);
+    auditParseRulesChange(req, { change: 'update_rule', previous, rule: getParseRule(previous.id) });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error updating parse rule:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// File metadata backfill (duration/callId) - admin only
-app.post('/api/backfill-files', requireAuth, ensureSession, requireAdmin, (req, res) => {
+app.delete('/api/parse-rules/:id', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const previous = getParseRule(parseInt(req.params.id));
+    if (!previous) return res.status(404).json({ error: 'Rule not found' });
+    deleteParseRule(previous.id);
+    auditParseRulesChange(req, { change: 'delete_rule', previous });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting parse rule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Test sample filenames against the saved rules, or against { rules } from the editor before saving
+app.post('/api/parse-rules/preview', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    const samples = (Array.isArray(req.body?.samples) ? req.body.samples : [])
+      .map(sample => String(sample).trim())
+      .filter(Boolean)
+      .slice(0, 100);
+    let draftRules = null;
+    if (Array.isArray(req.body?.rules)) {
+      for (const rule of req.body.rules) {
+        const invalid = validateParseRule(rule);
+        if (invalid) return res.status(400).json({ error: `${rule?.name || 'Rule'}: ${invalid}` });
+      }
+      draftRules = req.body.rules;
+    }
+    res.json({ results: previewParseRules(samples, draftRules) });
+  } catch (err) {
+    console.error('Error previewing parse rules:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-parse every row indexed under an older rule set version
+app.post('/api/parse-rules/reparse', requireAuth, ensureSession, requirePermission('run_sync'),
+  enqueueFromRequest('reparse_files', ({ batchSize = 500 }) => ({ batchSize })));
+
+// --- Call details (Five9 call-log CSV imports) ---
+const CALL_CSV_MAPPING_KEY = 'call_csv_mapping';
+
+function getCallCsvMapping() {
+  try {
+    const saved = JSON.parse(getSetting(CALL_CSV_MAPPING_KEY, 'null'));
+    if (saved) return normalizeCallCsvMapping(saved);
+  } catch (err) {
+    console.error('⚠️ [CALL DETAILS] Ignoring unreadable saved column mapping:', err.message);
+  }
+  return { ...DEFAULT_CALL_CSV_MAPPING };
+}
+
+function auditCallDetailsChange(req, details) {
   try {
-    const { batchSize = 500 } = req.body || {};
-    const result = backfillFileMetadata(Math.min(parseInt(batchSize) || 500, 5000));
     logAuditEvent(
       req.user.id,
       req.user.email,
-      'MAINTENANCE',
+      'CALL_DETAILS_IMPORTED',
       null,
       null,
       req.user.ipAddress,
       req.user.userAgent,
       req.currentSessionId || null,
-      { maintenance: 'backfill_file_metadata', ...result }
+      { ...details, userRole: req.user.role }
     );
-    res.json({ success: true, ...result });
-  } catch (e) {
-    console.error('Backfill endpoint error:', e);
-    res.status(500).json({ success: false, error: e.message });
+  } catch (auditErr) {
+    console.error('⚠️ [AUDIT] Failed to log call details change:', auditErr);
   }
+}
+
+app.get('/api/call-details/mapping', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  res.json({ mapping: getCallCsvMapping(), defaults: DEFAULT_CALL_CSV_MAPPING, fields: CALL_DETAIL_FIELDS });
 });
 
-// Autocomplete distinct users (admin only)
-app.get('/api/audit-users', requireAuth, ensureSession, requireAdmin, (req, res) => {
+app.put('/api/call-details/mapping', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
   try {
-    const { q, limit = 20 } = req.query;
-    const users = getDistinctUsers(q || null, Math.min(parseInt(limit) || 20, 100));
-    res.json({ users });
+    const invalid = validateCallCsvMapping(req.body?.mapping);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const previous = getCallCsvMapping();
+    const mapping = normalizeCallCsvMapping(req.body.mapping);
+    setSetting(CALL_CSV_MAPPING_KEY, JSON.stringify(mapping));
+    auditCallDetailsChange(req, { change: 'update_mapping', previous, mapping });
+    res.json({ success: true, mapping });
   } catch (err) {
-    console.error('Error getting distinct users:', err);
+    console.error('Error saving call CSV mapping:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Raw CSV upload (text/csv body, ?filename= for the import history). The saved mapping is used
+// unless ?mapping=<JSON> overrides it for this one file.
+app.post('/api/call-details/import', requireAuth, ensureSession, requirePermission('run_sync'),
+  express.text({ type: () => true, limit: '50mb' }), (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Request body must be the CSV file contents' });
+    }
+    let mapping = getCallCsvMapping();
+    if (req.query.mapping) {
+      let override;
+      try {
+        override = JSON.parse(req.query.mapping);
+      } catch {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+      const invalid = validateCallCsvMapping(override);
+      if (invalid) return res.status(400).json({ error: invalid });
+      mapping = normalizeCallCsvMapping(override);
+    }
+
+    const { headers, rows, skipped, missingColumns } = buildCallDetailRows(req.body, mapping);
+    if (missingColumns.includes(mapping.callId)) {
+      return res.status(400).json({ error: `Call ID column "${mapping.callId}" not found in CSV`, headers, missingColumns });
+    }
+
+    const filename = req.query.filename ? String(req.query.filename).slice(0, 255) : null;
+    const result = importCallDetails(rows, {
+      filename,
+      totalRows: rows.length + skipped,
+      skipped,
+      mapping,
+      importedBy: req.user.email
+    });
+    auditCallDetailsChange(req, {
+      change: 'import_csv',
+      importId: result.id,
+      filename,
+      rowsImported: result.rows_imported,
+      rowsMatched: result.rows_matched,
+      rowsSkipped: result.rows_skipped,
+      missingColumns
+    });
+    console.log(`📇 [CALL DETAILS] ${req.user.email} imported ${result.rows_imported} rows from ${filename || 'upload'} (${result.rows_matched} matched recordings, ${skipped} skipped)`);
+    res.json({ success: true, import: result, missingColumns });
+  } catch (err) {
+    console.error('Error importing call details:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/call-details/imports', requireAuth, ensureSession, requirePermission('run_sync'), (req, res) => {
+  try {
+    res.json({ imports: getCallImports(parseInt(req.query.limit) || 20), totalCallDetails: getCallDetailsCount() });
+  } catch (err) {
+    console.error('Error listing call detail imports:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Filter dropdown values for FileViewer, limited to the calls the user can see
+app.get('/api/call-details/facets', requireAuth, ensureSession, requireAuthenticatedUser, (req, res) => {
+  try {
+    res.json(getCallDetailFacets(getFileScope(req.user)));
+  } catch (err) {
+    console.error('Error getting call detail facets:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Retention rules, legal holds and purge ---
+function auditRetentionChange(req, details) {
+  try {
+    logAuditEvent(
+      req.user.id,
+      req.user.email,
+      'RETENTION_POLICY_UPDATED',
+      details.filePath || null,
+      null,
+      req.user.ipAddress,
+      req.user.userAgent,
+      req.currentSessionId || null,
+      { ...details, userRole: req.user.role }
+    );
+  } catch (auditErr) {
+    console.error('⚠️ [AUDIT] Failed to log retention change:', auditErr);
+  }
+  console.log(`🧹 [RETENTION] ${req.user.email} ${details.change}`);
+}
+
+function validateRetentionRule(body) {
+  const retainDays = parseInt(body?.retainDays, 10);
+  if (!body?.name || !String(body.name).trim()) return 'Rule name is required';
+  if (isNaN(retainDays) || retainDays < 1) return 'retainDays must be a positive number of days';
+  return null;
+}
+
+app.get('/api/retention/rules', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  res.json({ rules: getRetentionRules() });
+});
+
+app.post('/api/retention/rules', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const invalid = validateRetentionRule(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const id = createRetentionRule(req.body, req.user.email);
+    auditRetentionChange(req, { change: 'create_rule', rule: getRetentionRule(id) });
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Error creating retention rule:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.put('/api/retention/rules/:id', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const previous = getRetentionRule(parseInt(req.params.id));
+    if (!previous) return res.status(404).json({ error: 'Rule not found' });
+    const invalid = validateRetentionRule(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    updateRetentionRule(previous.id, req.body);
+    auditRetentionChange(req, { change: 'update_rule', previous, rule: getRetentionRule(previous.id) });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error updating retention rule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/retention/rules/:id', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const previous = getRetentionRule(parseInt(req.params.id));
+    if (!previous) return res.status(404).json({ error: 'Rule not found' });
+    deleteRetentionRule(previous.id);
+    auditRetentionChange(req, { change: 'delete_rule', previous });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting retention rule:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/retention/holds', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  res.json({ holds: getLegalHolds() });
+});
+
+// Hold one recording ({ filePath }) or every recording of a call ({ callId })
+app.post('/api/retention/holds', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const filePath = req.body?.filePath ? recordingKeyFor(String(req.body.filePath).trim()) : null;
+    const callId = req.body?.callId ? String(req.body.callId).trim() : null;
+    if (!filePath && !callId) {
+      return res.status(400).json({ error: 'filePath or callId is required' });
+    }
+    const id = createLegalHold({ filePath, callId, reason: req.body?.reason || null }, req.user.email);
+    auditRetentionChange(req, { change: 'add_legal_hold', holdId: id, filePath, callId, reason: req.body?.reason || null });
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Error creating legal hold:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/retention/holds/:id', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const hold = getLegalHold(parseInt(req.params.id));
+    if (!hold) return res.status(404).json({ error: 'Legal hold not found' });
+    deleteLegalHold(hold.id);
+    auditRetentionChange(req, { change: 'release_legal_hold', holdId: hold.id, filePath: hold.file_path, callId: hold.call_id, reason: hold.reason });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error releasing legal hold:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Dry run: what the next purge would delete (nothing is removed)
+app.get('/api/retention/preview', requireAuth, ensureSession, requirePermission('manage_retention'), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 200, 5000);
+    res.json({ ...previewRetention({ limit }), purgeRunning: isPurgeRunning() });
+  } catch (err) {
+    console.error('Error previewing retention:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a purge now instead of waiting for the schedule
+app.post('/api/retention/purge', requireAuth, ensureSession, requirePermission('manage_retention'), async (req, res) => {
+  if (req.body?.dryRun) {
+    return res.json(previewRetention({ limit: 200 }));
+  }
+  const result = await runRetentionPurge(storage, {
+    trigger: 'manual',
+    actor: {
+      id: req.user.id,
+      email: req.user.email,
+      ipAddress: req.user.ipAddress,
+      userAgent: req.user.userAgent,
+      sessionId: req.currentSessionId || null
+    }
+  });
+  res.status(result.success ? 200 : result.busy ? 409 : 500).json(result);
+});
+
 // Serve React static files
 app.use(express.static(BUILD_DIR));
 
@@ -1095,19 +2171,25 @@ app.get('*', (req, res) => {
 // Auto-sync function for current day
 async function syncCurrentDay() {
   try {
-    const BUCKET_NAME = process.env.AWS_BUCKET;
     const today = dayjs().format("M_D_YYYY");
     const dayPrefix = `recordings/${today}/`;
     
     console.log(`🔄 [AUTO-SYNC] Checking current day: ${today}`);
     
-    const dayFiles = await listWavFilesFromS3(BUCKET_NAME, dayPrefix);
+    const counts = await syncPrefix(storage, dayPrefix);
     
-    if (dayFiles.length > 0) {
-      const indexedCount = indexFiles(dayFiles);
-      console.log(`✅ [AUTO-SYNC] Indexed ${indexedCount}/${dayFiles.length} files for ${today}`);
+    if (counts.skipped) {
+      console.log(`📁 [AUTO-SYNC] No changes for ${today} (${counts.listed} files)`);
     } else {
-      console.log(`📁 [AUTO-SYNC] No files found for ${today}`);
+      console.log(`✅ [AUTO-SYNC] ${today}: ${describeSyncCounts(counts)}`);
+    }
+
+    // Calls can be uploaded into yesterday's folder after midnight; the watermark makes this a
+    // single listing when nothing arrived
+    const yesterday = dayjs().subtract(1, 'day').format("M_D_YYYY");
+    const late = await syncPrefix(storage, `recordings/${yesterday}/`);
+    if (!late.skipped && (late.added || late.updated || late.restored || late.missing)) {
+      console.log(`✅ [AUTO-SYNC] ${yesterday} (late uploads): ${describeSyncCounts(late)}`);
     }
   } catch (error) {
     console.error(`❌ [AUTO-SYNC] Error during current day sync:`, error.message);
@@ -1128,4 +2210,16 @@ app.listen(PORT, () => {
   
   // Then run every 5 minutes
   setInterval(syncCurrentDay, 5 * 60 * 1000); // 5 minutes in milliseconds
+
+  startRetentionScheduler(storage);
+  startJobWorker();
+  startLocalDropWatcher(storage);
+  startTranscriptionWorker(storage);
+
+  // Recordings indexed before call_at existed get it in the background
+  const needingCallInstant = countFilesNeedingCallInstant();
+  if (needingCallInstant) {
+    console.log(`🕒 [MIGRATION] ${needingCallInstant} recording(s) need a UTC call time; queueing backfill`);
+    enqueueJob('backfill_call_times', { batchSize: 1000 });
+  }
 });
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { indexFile } from './database.js';
+import { isNotFound } from './storage.js';
+import { removeMissingObject } from './sync.js';
+
+// Event-driven ingestion: S3 bucket notifications (ObjectCreated / ObjectRemoved) index or remove a
+// single key as soon as it lands instead of waiting for the next poll. Accepted envelopes:
+//   - raw S3 / MinIO webhook events       { Records: [{ eventName, s3: { bucket, object } }] }
+//   - SNS HTTP(S) subscription messages   { Type: 'Notification', Message: '<S3 event JSON>', Signature, ... }
+//   - SQS / Lambda batches                { Records: [{ eventSource: 'aws:sqs', body }] } or { Messages: [{ Body }] }
+//
+// Authentication (POST /api/ingest/s3-events):
+//   INGEST_SHARED_SECRET     sent as the X-Ingest-Secret header or ?token= (put it in the SNS subscription URL)
+//   INGEST_SNS_TOPIC_ARNS    comma-separated topics; a validly signed SNS message from one of them is
+//                            accepted even without the shared secret, but only the S3 records inside
+//                            its Message count and only while its Timestamp is recent
+//   INGEST_SNS_MAX_AGE_SECONDS  how old (or far in the future) an SNS Timestamp may be (default 300)
+//   INGEST_SNS_VERIFY        'false' skips SNS signature checks (local SNS emulators only)
+//   INGEST_LOCAL_WATCH       'true' with STORAGE_TYPE=local: watch WAV_DIR/recordings and ingest dropped files
+const SHARED_SECRET = process.env.INGEST_SHARED_SECRET || '';
+const SNS_TOPIC_ARNS = String(process.env.INGEST_SNS_TOPIC_ARNS || '').split(',').map(s => s.trim()).filter(Boolean);
+const SNS_VERIFY = process.env.INGEST_SNS_VERIFY !== 'false';
+const SNS_MAX_AGE_MS = Math.max(1, parseInt(process.env.INGEST_SNS_MAX_AGE_SECONDS || '300', 10) || 300) * 1000;
+const LOCAL_WATCH = process.env.INGEST_LOCAL_WATCH === 'true';
+const RECORDINGS_PREFIX = 'recordings/';
+const LOCAL_DEBOUNCE_MS = 1000;
+
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const certCache = new Map();
+
+export class IngestAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IngestAuthError';
+  }
+}
+
+export function isIngestConfigured() {
+  return !!SHARED_SECRET || SNS_TOPIC_ARNS.length > 0;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function hasValidSharedSecret(req) {
+  if (!SHARED_SECRET) return false;
+  const provided = req.get('x-ingest-secret') || req.query.token;
+  return !!provided && safeEqual(provided, SHARED_SECRET);
+}
+
+// --- SNS message signatures ---
+// https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+function snsStringToSign(message) {
+  const fields = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+  return fields
+    .filter(field => message[field] !== undefined && message[field] !== null)
+    .map(field => `${field}\n${message[field]}\n`)
+    .join('');
+}
+
+async function fetchSigningCert(certUrl) {
+  const url = new URL(certUrl);
+  if (url.protocol !== 'https:' || !SNS_CERT_HOST.test(url.hostname) || !url.pathname.endsWith('.pem')) {
+    throw new IngestAuthError(`Untrusted SNS signing certificate URL: ${certUrl}`);
+  }
+  if (!certCache.has(certUrl)) {
+    const response = await fetch(certUrl);
+    if (!response.ok) throw new IngestAuthError(`Failed to fetch SNS signing certificate (HTTP ${response.status})`);
+    certCache.set(certUrl, await response.text());
+  }
+  return certCache.get(certUrl);
+}
+
+export async function verifySnsSignature(message) {
+  if (!SNS_VERIFY) return true;
+  const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : message.SignatureVersion === '1' ? 'RSA-SHA1' : null;
+  if (!algorithm || !message.Signature || !message.SigningCertURL) return false;
+  const cert = await fetchSigningCert(message.SigningCertURL);
+  const verifier = crypto.createVerify(algorithm);
+  verifier.update(snsStringToSign(message), 'utf8');
+  return verifier.verify(cert, message.Signature, 'base64');
+}
+
+// A signature never expires, so a captured message could be replayed; only accept recent ones
+export function isFreshSnsMessage(message, now = Date.now()) {
+  const sentAt = Date.parse(message.Timestamp);
+  return Number.isFinite(sentAt) && Math.abs(now - sentAt) <= SNS_MAX_AGE_MS;
+}
+
+// --- Envelope unwrapping ---
+function parseMaybeJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function isSnsEnvelope(payload) {
+  return payload && typeof payload.Type === 'string' && typeof payload.TopicArn === 'string';
+}
+
+// Walk any nesting of SNS/SQS envelopes down to S3 event records. `signedRecords` are the ones
+// found inside the Message of an SNS envelope, i.e. covered by that envelope's signature; records
+// sitting next to an envelope are not.
+export function unwrapNotification(body) {
+  const records = [];
+  const signedRecords = [];
+  const snsMessages = [];
+
+  const visit = (value, depth = 0, signed = false) => {
+    const payload = parseMaybeJson(value);
+    if (!payload || typeof payload !== 'object' || depth > 5) return;
+
+    if (isSnsEnvelope(payload)) {
+      snsMessages.push(payload);
+      if (payload.Type === 'Notification') visit(payload.Message, depth + 1, true);
+      return;
+    }
+    if (Array.isArray(payload.Messages)) {
+      payload.Messages.forEach(msg => visit(msg.Body, depth + 1, signed));
+      return;
+    }
+    if (Array.isArray(payload.Records)) {
+      for (const record of payload.Records) {
+        if (record.eventSource === 'aws:sqs') visit(record.body, depth + 1, signed);
+        else if (record.Sns) visit({ ...record.Sns, Type: record.Sns.Type || 'Notification' }, depth + 1, signed);
+        else if (record.s3) {
+          records.push(record);
+          if (signed) signedRecords.push(record);
+        }
+      }
+    }
+    // Anything else (e.g. the s3:TestEvent sent when notifications are configured) carries no objects
+  };
+
+  visit(body);
+  return { records, signedRecords, snsMessages };
+}
+
+// S3 URL-encodes keys in notifications (spaces arrive as '+')
+function decodeS3Key(key) {
+  try {
+    return decodeURIComponent(String(key).replace(/\+/g, ' '));
+  } catch {
+    return String(key);
+  }
+}
+
+export function normalizeS3Record(record) {
+  const eventName = String(record.eventName || '').replace(/^s3:/, '');
+  const action = eventName.startsWith('ObjectCreated') ? 'created' : eventName.startsWith('ObjectRemoved') ? 'removed' : null;
+  return {
+    action,
+    eventName,
+    bucket: record.s3?.bucket?.name || null,
+    key: decodeS3Key(record.s3?.object?.key || ''),
+    size: record.s3?.object?.size ?? null,
+    etag: record.s3?.object?.eTag ? String(record.s3.object.eTag).replace(/"/g, '') : null,
+    eventTime: record.eventTime ? new Date(record.eventTime).toISOString() : null
+  };
+}
+
+// --- Applying events ---
+export async function applyObjectEvents(storage, events, { source = 'webhook' } = {}) {
+  const summary = { indexed: 0, removed: 0, ignored: 0, failed: 0 };
+  for (const event of events) {
+    try {
+      if (!event.action || !event.key.startsWith(RECORDINGS_PREFIX) || !event.key.endsWith('.wav')
+        || (event.bucket && storage.bucket && event.bucket !== storage.bucket)) {
+        summary.ignored++;
+        continue;
+      }
+
+      if (event.action === 'created') {
+        if (indexFile(event.key, event.size, { lastModified: event.eventTime, etag: event.etag })) {
+          summary.indexed++;
+          console.log(`📥 [INGEST] Indexed ${event.key} (${source})`);
+        } else {
+          summary.ignored++;
+        }
+        continue;
+      }
+
+      // Removal events can arrive after a re-upload of the same key; trust storage over the event
+      try {
+        const head = await storage.head(event.key);
+        indexFile(event.key, head.contentLength, { lastModified: head.lastModified, etag: head.etag });
+        summary.indexed++;
+        console.log(`📥 [INGEST] ${event.key} removal ignored, object still exists (${source})`);
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+        if (removeMissingObject(event.key)) summary.removed++;
+        else summary.ignored++;
+        console.log(`🗑️  [INGEST] Removed ${event.key} (${source})`);
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`❌ [INGEST] Failed to apply ${event.action} for ${event.key}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// SNS requires the subscriber to visit SubscribeURL once before deliveries start
+export async function confirmSnsSubscription(message) {
+  const url = new URL(message.SubscribeURL);
+  if (url.protocol !== 'https:' || !url.hostname.endsWith('.amazonaws.com')) {
+    throw new IngestAuthError(`Refusing to confirm subscription via ${url.hostname}`);
+  }
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Subscription confirmation failed (HTTP ${response.status})`);
+  console.log(`🔔 [INGEST] Confirmed SNS subscription for ${message.TopicArn}`);
+}
+
+// Handle one POSTed notification body; throws IngestAuthError when it is not trusted
+export async function handleNotification(storage, body, { secretOk = false } = {}) {
+  const { records, signedRecords, snsMessages } = unwrapNotification(body);
+
+  // Without the secret the SNS signatures are the only proof of origin, so everything applied
+  // must be covered by one and the messages must be recent
+  if (!secretOk) {
+    if (!SNS_TOPIC_ARNS.length || !snsMessages.length) {
+      throw new IngestAuthError('Missing or invalid ingest secret');
+    }
+    for (const message of snsMessages) {
+      if (!SNS_TOPIC_ARNS.includes(message.TopicArn)) throw new IngestAuthError(`Topic not allowed: ${message.TopicArn}`);
+      if (!isFreshSnsMessage(message)) throw new IngestAuthError(`Stale SNS message (Timestamp ${message.Timestamp})`);
+    }
+    if (signedRecords.length !== records.length) {
+      throw new IngestAuthError('S3 records outside a signed SNS message require the ingest secret');
+    }
+  }
+  for (const message of snsMessages) {
+    if (!(await verifySnsSignature(message))) throw new IngestAuthError('Invalid SNS message signature');
+  }
+
+  const confirmations = snsMessages.filter(m => m.Type === 'SubscriptionConfirmation');
+  for (const message of confirmations) await confirmSnsSubscription(message);
+
+  const summary = await applyObjectEvents(storage, records.map(normalizeS3Record), { source: snsMessages.length ? 'sns' : 'webhook' });
+  return { records: records.length, confirmedSubscriptions: confirmations.length, ...summary };
+}
+
+// --- Local file-drop mode ---
+// Stand-in for bucket notifications with STORAGE_TYPE=local: files written to or deleted from
+// WAV_DIR/recordings become created/removed events once they have been quiet for a second.
+export function startLocalDropWatcher(storage) {
+  if (!LOCAL_WATCH) return null;
+  if (storage.type !== 'local') {
+    console.warn('⚠️ [INGEST] INGEST_LOCAL_WATCH only applies to STORAGE_TYPE=local; ignoring');
+    return null;
+  }
+  const watchDir = path.join(storage.root, RECORDINGS_PREFIX);
+  if (!fs.existsSync(watchDir)) fs.mkdirSync(watchDir, { recursive: true });
+
+  const pending = new Map();
+  const flush = async (key) => {
+    pending.delete(key);
+    let event;
+    try {
+      const head = await storage.head(key);
+      event = { action: 'created', key, size: head.contentLength, etag: head.etag, eventTime: head.lastModified };
+    } catch (err) {
+      if (!isNotFound(err)) {
+        console.error(`❌ [INGEST] Cannot stat dropped file ${key}:`, err.message);
+        return;
+      }
+      event = { action: 'removed', key };
+    }
+    await applyObjectEvents(storage, [event], { source: 'local-drop' });
+  };
+
+  const watcher = fs.watch(watchDir, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const key = RECORDINGS_PREFIX + filename.split(path.sep).join('/');
+    if (!key.endsWith('.wav')) return;
+    clearTimeout(pending.get(key));
+    pending.set(key, setTimeout(() => flush(key).catch(err => console.error('❌ [INGEST] Local drop error:', err)), LOCAL_DEBOUNCE_MS));
+  });
+  watcher.on('error', err => console.error('❌ [INGEST] Local drop watcher error:', err.message));
+  console.log(`👀 [INGEST] Watching ${watchDir} for dropped recordings`);
+  return watcher;
+}
@@ -0,0 +1,137 @@
+import {
+  createJob,
+  getJob,
+  getActiveJobByType,
+  claimNextJob,
+  updateJobProgress,
+  finishJob,
+  isJobCancelRequested,
+  requeueInterruptedJobs,
+  logAuditEvent
+} from './database.js';
+
+// Persistent background job queue. Handlers are registered by type and run one at a time by a
+// polling worker; state lives in the jobs table (database.js) so progress survives restarts.
+//
+// A handler is `async (ctx) => result` where ctx provides:
+//   params, checkpoint           - job input and the last saved checkpoint (null on first run)
+//   progress({ current, total, message, checkpoint }) - persist progress; also the cancel point
+//   throwIfCancelled()           - stop early if an admin cancelled the job
+const WORKER_POLL_MS = 2000;
+
+const handlers = new Map();
+let workerTimer = null;
+let workerBusy = false;
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function isKnownJobType(type) {
+  return handlers.has(type);
+}
+
+// Queue a job unless one of the same type is already queued/running (returned as `existing`)
+export function enqueueJob(type, params = {}, createdBy = {}) {
+  if (!handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+  const existing = getActiveJobByType(type);
+  if (existing) return { job: existing, existing: true };
+  const job = createJob(type, params, createdBy);
+  console.log(`📥 [JOBS] Queued ${type} job ${job.id} for ${createdBy.email || 'system'}`);
+  setImmediate(pollJobs);
+  return { job, existing: false };
+}
+
+function auditJob(job, details) {
+  try {
+    logAuditEvent(
+      job.createdById || 'system',
+      job.createdByEmail || 'system',
+      'MAINTENANCE',
+      null,
+      null,
+      job.actor.ipAddress || null,
+      job.actor.userAgent || null,
+      job.actor.sessionId || null,
+      { maintenance: job.type, jobId: job.id, ...details }
+    );
+  } catch (auditErr) {
+    console.error('⚠️ [AUDIT] Failed to log job event:', auditErr);
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    finishJob(job.id, 'failed', { error: `No handler for job type ${job.type}` });
+    return;
+  }
+
+  const resumed = job.checkpoint !== null;
+  console.log(`▶️  [JOBS] ${resumed ? 'Resuming' : 'Starting'} ${job.type} job ${job.id}`);
+  const startedAt = Date.now();
+  const throwIfCancelled = () => {
+    if (isJobCancelRequested(job.id)) throw new JobCancelledError(job.id);
+  };
+  const ctx = {
+    job,
+    params: job.params,
+    checkpoint: job.checkpoint,
+    progress: (update) => {
+      updateJobProgress(job.id, update);
+      throwIfCancelled();
+    },
+    throwIfCancelled
+  };
+
+  try {
+    const result = (await handler(ctx)) || {};
+    const final = { ...result, durationMs: Date.now() - startedAt };
+    finishJob(job.id, 'completed', { result: final });
+    auditJob(job, { status: 'completed', ...final });
+    console.log(`✅ [JOBS] ${job.type} job ${job.id} completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      finishJob(job.id, 'cancelled', { error: 'Cancelled by user' });
+      auditJob(job, { status: 'cancelled' });
+      console.log(`⏹️  [JOBS] ${job.type} job ${job.id} cancelled`);
+    } else {
+      finishJob(job.id, 'failed', { error: err.message });
+      auditJob(job, { status: 'failed', error: err.message });
+      console.error(`❌ [JOBS] ${job.type} job ${job.id} failed:`, err);
+    }
+  }
+}
+
+async function pollJobs() {
+  if (workerBusy) return;
+  workerBusy = true;
+  try {
+    let job;
+    while ((job = claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('❌ [JOBS] Worker error:', err);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+export function startJobWorker() {
+  if (workerTimer) return;
+  const requeued = requeueInterruptedJobs();
+  if (requeued) console.log(`🔁 [JOBS] Re-queued ${requeued} interrupted job(s); they resume from their last checkpoint`);
+  console.log(`🛠️  [JOBS] Worker started (${handlers.size} job types: ${[...handlers.keys()].join(', ')})`);
+  workerTimer = setInterval(pollJobs, WORKER_POLL_MS);
+  pollJobs();
+}
+
+export { getJob };
@@ -0,0 +1,286 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveTranscriptRedaction, getUnscannedTranscripts } from './database.js';
+import { isNotFound } from './storage.js';
+import {
+  PLAYBACK_CHANNELS,
+  PLAYBACK_SAMPLE_RATE,
+  STEREO_CHANNELS,
+  redactedAudioCacheKeyFor,
+  redactedWaveformCacheKeyFor,
+  runExclusive,
+  spawnFfmpeg,
+  writePlaybackWav
+} from './transcode.js';
+
+// PII redaction. Transcripts are scanned for spoken digit sequences that look like card numbers
+// (13-19 digits passing the Luhn check) or SSNs (9 digits with a valid area/group/serial). Each hit
+// becomes a time span; the transcript gets a redacted copy with the digits replaced by a label and
+// the playback WAV gets a redacted variant (cache/wav-redacted/) with a tone or silence over the
+// spans. Users without the view_unredacted permission only ever receive those variants (index.js).
+//
+//   PII_REDACTION         'on' or 'off' (default on when WHISPER_MODEL is set, off otherwise). Scanning
+//                         needs transcripts, so 'on' without WHISPER_MODEL refuses to start rather
+//                         than withholding every recording from users without view_unredacted.
+//   REDACTION_AUDIO       'tone' (default) or 'silence' over redacted spans
+//   REDACTION_PADDING_MS  Extra audio removed before and after each span (default 300)
+export function resolveRedactionSetting(value, transcriptionEnabled) {
+  const setting = String(value || '').trim().toLowerCase();
+  if (!setting) return transcriptionEnabled;
+  if (setting === 'off') return false;
+  if (!transcriptionEnabled) {
+    throw new Error('PII_REDACTION is on but WHISPER_MODEL is not set; redaction needs transcription (set WHISPER_MODEL or PII_REDACTION=off)');
+  }
+  return true;
+}
+
+let PII_REDACTION;
+try {
+  PII_REDACTION = resolveRedactionSetting(process.env.PII_REDACTION, !!(process.env.WHISPER_MODEL || '').trim());
+} catch (err) {
+  console.error(`❌ [REDACT] ${err.message}`);
+  process.exit(1);
+}
+const REDACTION_AUDIO = (process.env.REDACTION_AUDIO || '').trim().toLowerCase() === 'silence' ? 'silence' : 'tone';
+const PADDING_MS = Math.max(0, parseInt(process.env.REDACTION_PADDING_MS || '300', 10) || 0);
+const TONE_HZ = 1000;
+const TONE_VOLUME = 0.2;
+const SCAN_BATCH_SIZE = 200;
+
+const LABELS = { card: '[card number redacted]', ssn: '[SSN redacted]' };
+
+// Spoken digits as Whisper writes them when a caller reads a number one digit at a time
+const DIGIT_WORDS = { zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9' };
+// Words that may sit inside a read-out number without ending it ('' = punctuation such as '-')
+const FILLER_WORDS = new Set(['', 'uh', 'um', 'dash', 'and']);
+
+export function isRedactionEnabled() {
+  return PII_REDACTION;
+}
+
+export function getRedactionConfig() {
+  return { enabled: PII_REDACTION, audio: REDACTION_AUDIO, paddingMs: PADDING_MS };
+}
+
+function classifyWord(text) {
+  const bare = String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (/^\d+$/.test(bare)) return { digits: bare };
+  if (DIGIT_WORDS[bare]) return { digits: DIGIT_WORDS[bare] };
+  return { filler: FILLER_WORDS.has(bare) };
+}
+
+// Consecutive digit-bearing words as { digits, wordIndexes } with one word index per digit
+function digitRuns(words) {
+  const runs = [];
+  let run = null;
+  words.forEach((word, index) => {
+    const { digits, filler } = classifyWord(word.text);
+    if (digits) {
+      if (!run) run = { digits: '', wordIndexes: [] };
+      run.digits += digits;
+      for (let i = 0; i < digits.length; i++) run.wordIndexes.push(index);
+    } else if (!filler && run) {
+      runs.push(run);
+      run = null;
+    }
+  });
+  if (run) runs.push(run);
+  return runs;
+}
+
+export function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = digits.charCodeAt(digits.length - 1 - i) - 48;
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Area 000, 666 and 900-999, group 00 and serial 0000 are never issued
+function plausibleSsn(digits) {
+  const area = digits.slice(0, 3);
+  return area !== '000' && area !== '666' && area[0] !== '9' && digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+}
+
+// [{ type, firstWord, lastWord }] over `words` ([{ text, startMs, endMs }])
+export function detectPii(words) {
+  const found = [];
+  for (const { digits, wordIndexes } of digitRuns(words)) {
+    if (digits.length === 9 && plausibleSsn(digits)) {
+      found.push({ type: 'ssn', firstWord: wordIndexes[0], lastWord: wordIndexes[8] });
+      continue;
+    }
+    // Card numbers: leftmost, then longest, window starting with an issuer digit (2-6)
+    let start = 0;
+    while (start + 13 <= digits.length) {
+      let length = 0;
+      if ('23456'.includes(digits[start])) {
+        for (let n = Math.min(19, digits.length - start); n >= 13; n--) {
+          if (luhnValid(digits.slice(start, start + n))) {
+            length = n;
+            break;
+          }
+        }
+      }
+      if (length) {
+        found.push({ type: 'card', firstWord: wordIndexes[start], lastWord: wordIndexes[start + length - 1] });
+        start += length;
+      } else {
+        start++;
+      }
+    }
+  }
+  return found;
+}
+
+// Scan transcript segments and build the redacted copy. Segments from whisper carry word timings
+// (`words`); without them (transcripts stored before redaction existed) a hit covers its whole
+// segment. Returns { redactions: [{ type, startMs, endMs }], segments: [{ startMs, endMs, text }] }.
+export function redactTranscript(segments) {
+  const words = [];
+  segments.forEach((segment, segmentIndex) => {
+    const segmentWords = segment.words?.length
+      ? segment.words
+      : segment.text.split(/(?=\s)/).map(text => ({ text, startMs: segment.startMs, endMs: segment.endMs }));
+    for (const word of segmentWords) words.push({ ...word, segment: segmentIndex });
+  });
+
+  const found = detectPii(words);
+  const replaced = new Map(); // word index -> replacement text
+  for (const hit of found) {
+    for (let i = hit.firstWord; i <= hit.lastWord; i++) replaced.set(i, i === hit.firstWord ? ` ${LABELS[hit.type]}` : '');
+  }
+
+  const texts = segments.map(() => '');
+  words.forEach((word, index) => {
+    texts[word.segment] += replaced.has(index) ? replaced.get(index) : word.text;
+  });
+
+  return {
+    redactions: found.map(hit => ({
+      type: hit.type,
+      startMs: Math.max(0, words[hit.firstWord].startMs - PADDING_MS),
+      endMs: words[hit.lastWord].endMs + PADDING_MS
+    })),
+    segments: segments.map((segment, i) => ({
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      text: found.length ? texts[i].replace(/\s+/g, ' ').trim() : segment.text
+    }))
+  };
+}
+
+// Fill in the redaction of a completed transcript that has not been scanned yet (see toTranscript)
+export function withRedaction(fileId, transcript) {
+  if (!PII_REDACTION || transcript?.status !== 'completed' || transcript.redactions) return transcript;
+  const redaction = redactTranscript(transcript.segments);
+  saveTranscriptRedaction(fileId, redaction);
+  return {
+    ...transcript,
+    redactions: redaction.redactions,
+    redactedSegments: redaction.segments,
+    redactedText: redaction.segments.map(s => s.text).join(' ')
+  };
+}
+
+// Scan transcripts completed before redaction was enabled, so search stops indexing their raw text
+export function scanUnscannedTranscripts() {
+  if (!PII_REDACTION) return 0;
+  let scanned = 0;
+  let flagged = 0;
+  for (;;) {
+    const batch = getUnscannedTranscripts(SCAN_BATCH_SIZE);
+    if (!batch.length) break;
+    for (const { fileId, segments } of batch) {
+      const redaction = redactTranscript(segments);
+      saveTranscriptRedaction(fileId, redaction);
+      scanned++;
+      if (redaction.redactions.length) flagged++;
+    }
+  }
+  if (scanned) console.log(`🔏 [REDACT] Scanned ${scanned} existing transcript(s) for PII, ${flagged} with redactions`);
+  return scanned;
+}
+
+// FFmpeg args that copy a playback WAV with the spans muted, plus a tone over them unless
+// REDACTION_AUDIO=silence. Output keeps the playback format so offsets and waveforms line up;
+// for the stereo variant the tone is played on both channels.
+export function redactionFfmpegArgs(inputPath, outputPath, redactions, mode = REDACTION_AUDIO, channels = PLAYBACK_CHANNELS) {
+  const inSpan = redactions
+    .map(r => `between(t,${(r.startMs / 1000).toFixed(3)},${(r.endMs / 1000).toFixed(3)})`)
+    .join('+');
+  const output = [
+    '-ac', String(channels),
+    '-ar', String(PLAYBACK_SAMPLE_RATE),
+    '-acodec', 'pcm_s16le',
+    '-f', 'wav',
+    outputPath
+  ];
+  if (mode === 'silence') {
+    return ['-y', '-i', inputPath, '-af', `volume=volume=0:enable='${inSpan}'`, ...output];
+  }
+  const toneLayout = channels === STEREO_CHANNELS ? ',aformat=channel_layouts=stereo' : '';
+  const graph = [
+    `[0:a]volume=volume=0:enable='${inSpan}'[speech]`,
+    `sine=frequency=${TONE_HZ}:sample_rate=${PLAYBACK_SAMPLE_RATE},volume=volume=${TONE_VOLUME},volume=volume=0:enable='not(${inSpan})'${toneLayout}[tone]`,
+    '[speech][tone]amix=inputs=2:duration=first:normalize=0[out]'
+  ].join(';');
+  return ['-y', '-i', inputPath, '-filter_complex', graph, '-map', '[out]', ...output];
+}
+
+async function renderRedactedWav(inputPath, outputPath, redactions, channels) {
+  const ffmpeg = await spawnFfmpeg(redactionFfmpegArgs(inputPath, outputPath, redactions, REDACTION_AUDIO, channels));
+  let stderr = '';
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-2000);
+  });
+  await new Promise((resolve, reject) => {
+    ffmpeg.once('error', reject);
+    ffmpeg.once('close', code => (code === 0
+      ? resolve()
+      : reject(new Error(`FFmpeg redaction exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`))));
+  });
+}
+
+// Render the redacted variant from a local playback-format WAV (mono, or stereo when `channels`
+// is STEREO_CHANNELS) and store it in the cache
+export async function storeRedactedAudio(storage, s3Key, wavPath, redactions, channels = PLAYBACK_CHANNELS) {
+  const outputPath = `${wavPath}.redacted.wav`;
+  try {
+    await renderRedactedWav(wavPath, outputPath, redactions, channels);
+    await storage.put(redactedAudioCacheKeyFor(s3Key, channels), fs.createReadStream(outputPath), { contentType: 'audio/wav' });
+    // A waveform drawn from an earlier variant no longer matches
+    await storage.delete(redactedWaveformCacheKeyFor(s3Key, channels)).catch(() => {});
+  } finally {
+    fs.rm(outputPath, { force: true }, () => {});
+  }
+}
+
+// Cache key of the redacted playback WAV, rendering it first when it is not cached (evicted, or
+// the transcript was scanned after transcription). Concurrent callers share one render.
+export function ensureRedactedAudio(storage, s3Key, redactions, channels = PLAYBACK_CHANNELS) {
+  const cacheKey = redactedAudioCacheKeyFor(s3Key, channels);
+  return runExclusive(cacheKey, async () => {
+    try {
+      await storage.head(cacheKey);
+      return cacheKey;
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+    }
+    const wavPath = path.join(os.tmpdir(), `redact_${path.basename(cacheKey, '.wav')}_${channels}ch_${process.pid}.wav`);
+    try {
+      await writePlaybackWav(storage, s3Key, wavPath, channels);
+      await storeRedactedAudio(storage, s3Key, wavPath, redactions, channels);
+      console.log(`🔇 [REDACT] Rendered redacted ${channels === STEREO_CHANNELS ? 'stereo ' : ''}audio for ${s3Key} (${redactions.length} span(s))`);
+      return cacheKey;
+    } finally {
+      fs.rm(wavPath, { force: true }, () => {});
+    }
+  }).promise;
+}
@@ -0,0 +1,122 @@
+import { findRetentionCandidates, deleteFileRecord, logAuditEvent } from './database.js';
+import { derivedCacheKeysFor } from './transcode.js';
+
+// Retention purge: evaluates the rules in database.js, deletes the original recording and its
+// cache/wav + cache/waveform artefacts (every variant) from storage, then drops the files
+// row. Each run is recorded as RETENTION_PURGE audit events listing the removed recordings.
+const PURGE_BATCH_LIMIT = Math.max(1, parseInt(process.env.RETENTION_PURGE_BATCH || '1000', 10) || 1000);
+const PURGE_INTERVAL_HOURS = parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS || '24') || 24;
+const AUDIT_CHUNK_SIZE = 100; // recordings listed per audit event
+
+const SYSTEM_ACTOR = { id: 'system', email: 'system', ipAddress: null, userAgent: 'retention-scheduler', sessionId: null };
+
+let purgeRunning = false;
+
+export function isPurgeRunning() {
+  return purgeRunning;
+}
+
+// Dry run: what a purge would remove right now, without touching anything
+export function previewRetention({ limit = 200 } = {}) {
+  const { rules, candidates, totalEligible, heldCount } = findRetentionCandidates({ limit });
+  return {
+    dryRun: true,
+    rules: rules.map(r => ({ id: r.id, name: r.name, retainDays: r.retain_days })),
+    totalEligible,
+    heldCount,
+    sample: candidates
+  };
+}
+
+async function deleteQuietly(storage, key) {
+  try {
+    await storage.delete(key);
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ [RETENTION] Failed to delete ${key}: ${err.message}`);
+    return false;
+  }
+}
+
+function auditPurge(actor, removed, details) {
+  for (let i = 0; i < removed.length; i += AUDIT_CHUNK_SIZE) {
+    const chunk = removed.slice(i, i + AUDIT_CHUNK_SIZE);
+    try {
+      logAuditEvent(
+        actor.id,
+        actor.email,
+        'RETENTION_PURGE',
+        null,
+        null,
+        actor.ipAddress,
+        actor.userAgent,
+        actor.sessionId,
+        {
+          ...details,
+          chunk: Math.floor(i / AUDIT_CHUNK_SIZE) + 1,
+          chunks: Math.ceil(removed.length / AUDIT_CHUNK_SIZE),
+          removed: chunk.map(f => ({ filePath: f.filePath, callId: f.callId, callDate: f.callDate, retainDays: f.retainDays }))
+        }
+      );
+    } catch (auditErr) {
+      console.error('⚠️ [AUDIT] Failed to log retention purge:', auditErr);
+    }
+  }
+}
+
+export async function runRetentionPurge(storage, { limit = PURGE_BATCH_LIMIT, actor = SYSTEM_ACTOR, trigger = 'scheduled' } = {}) {
+  if (purgeRunning) {
+    return { success: false, busy: true, error: 'A retention purge is already running' };
+  }
+  purgeRunning = true;
+  const startedAt = Date.now();
+  try {
+    const { candidates, totalEligible, heldCount } = findRetentionCandidates({ limit });
+    if (!candidates.length) {
+      console.log(`🧹 [RETENTION] Nothing to purge (${heldCount} on legal hold)`);
+      return { success: true, removed: 0, failed: 0, remaining: 0, heldCount };
+    }
+
+    console.log(`🧹 [RETENTION] Purging ${candidates.length}/${totalEligible} eligible recording(s) (${trigger})`);
+    const removed = [];
+    const failed = [];
+    for (const file of candidates) {
+      // Original first: if that fails the row stays so the next run retries it
+      if (!(await deleteQuietly(storage, file.filePath))) {
+        failed.push(file.filePath);
+        continue;
+      }
+      for (const cacheKey of derivedCacheKeysFor(file.filePath)) {
+        await deleteQuietly(storage, cacheKey);
+      }
+      deleteFileRecord(file.filePath);
+      removed.push(file);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    auditPurge(actor, removed, { trigger, removedCount: removed.length, failedCount: failed.length, heldCount, durationMs });
+    console.log(`✅ [RETENTION] Removed ${removed.length} recording(s), ${failed.length} failed, ${totalEligible - removed.length - failed.length} left for the next run (${durationMs}ms)`);
+    return {
+      success: true,
+      removed: removed.length,
+      failed: failed.length,
+      failedFiles: failed,
+      remaining: totalEligible - removed.length - failed.length,
+      heldCount,
+      durationMs
+    };
+  } catch (err) {
+    console.error('❌ [RETENTION] Purge failed:', err);
+    return { success: false, error: err.message };
+  } finally {
+    purgeRunning = false;
+  }
+}
+
+export function startRetentionScheduler(storage) {
+  console.log(`🕒 [RETENTION] Scheduled purge every ${PURGE_INTERVAL_HOURS}h (batch ${PURGE_BATCH_LIMIT})`);
+  const run = () => runRetentionPurge(storage).catch(err => console.error('❌ [RETENTION] Scheduled purge error:', err));
+  // First run shortly after startup, then on the interval
+  setTimeout(run, 10 * 60 * 1000);
+  setInterval(run, PURGE_INTERVAL_HOURS * 3600 * 1000);
+}
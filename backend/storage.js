@@ -0,0 +1,350 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+// Storage providers expose the same small surface so routes never talk to a specific backend:
+//   listPage(prefix, token) -> { objects: [{ key, size, lastModified, etag }], nextToken }
+//   list(prefix)            -> all objects under prefix (follows nextToken)
+//   head(key)               -> { contentLength, contentType, lastModified, etag } (throws NotFound)
+//   get(key, { range })     -> { body: Readable, contentLength, contentRange, contentType, totalSize }
+//   put(key, body, { contentType }) -> body may be a Buffer, string or Readable (streamed, multipart on S3)
+//   delete(key)
+
+// Uniform "object missing" error so callers can tell a cache miss from a real failure
+function notFoundError(key) {
+  const err = new Error(`Object not found: ${key}`);
+  err.name = 'NotFound';
+  err.statusCode = 404;
+  return err;
+}
+
+export function isNotFound(err) {
+  if (!err) return false;
+  return err.name === 'NotFound' || err.name === 'NoSuchKey' || err.statusCode === 404 || err.$metadata?.httpStatusCode === 404;
+}
+
+// Collect a body stream fully (used for small JSON cache objects only)
+export async function readBody(body) {
+  if (!body) return Buffer.alloc(0);
+  if (Buffer.isBuffer(body)) return body;
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+async function listAll(provider, prefix) {
+  const objects = [];
+  let token;
+  do {
+    const page = await provider.listPage(prefix, token);
+    objects.push(...page.objects);
+    token = page.nextToken;
+  } while (token);
+  return objects;
+}
+
+// --- S3 (and S3-compatible endpoints) ---
+export function createS3Storage({ bucket, clientConfig = {}, type = 'aws' }) {
+  if (!bucket) throw new Error(`Storage type "${type}" requires a bucket name`);
+  const client = new S3Client(clientConfig);
+
+  const provider = {
+    type,
+    bucket,
+    client,
+
+    async listPage(prefix = '', token = undefined) {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: token
+      }));
+      return {
+        objects: (response.Contents || []).map(obj => ({
+          key: obj.Key,
+          size: obj.Size ?? 0,
+          lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+          etag: obj.ETag ? obj.ETag.replace(/"/g, '') : null
+        })),
+        nextToken: response.IsTruncated ? response.NextContinuationToken : undefined
+      };
+    },
+
+    list(prefix = '') {
+      return listAll(provider, prefix);
+    },
+
+    async head(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          contentLength: response.ContentLength ?? 0,
+          contentType: response.ContentType || null,
+          lastModified: response.LastModified ? new Date(response.LastModified).toISOString() : null,
+          etag: response.ETag ? response.ETag.replace(/"/g, '') : null
+        };
+      } catch (err) {
+        if (isNotFound(err)) throw notFoundError(key);
+        throw err;
+      }
+    },
+
+    async get(key, { range } = {}) {
+      const params = { Bucket: bucket, Key: key };
+      if (range) params.Range = range;
+      try {
+        const response = await client.send(new GetObjectCommand(params));
+        const totalMatch = response.ContentRange ? response.ContentRange.match(/\/(\d+)$/) : null;
+        return {
+          body: response.Body,
+          contentLength: response.ContentLength ?? null,
+          contentRange: response.ContentRange || null,
+          contentType: response.ContentType || null,
+          totalSize: totalMatch ? parseInt(totalMatch[1], 10) : (response.ContentLength ?? null)
+        };
+      } catch (err) {
+        if (isNotFound(err)) throw notFoundError(key);
+        throw err;
+      }
+    },
+
+    async put(key, body, { contentType } = {}) {
+      // Streams of unknown length go through a multipart upload so they can be written
+      // while they are still being produced; failures abort the upload (no partial object)
+      if (body instanceof Readable || typeof body?.pipe === 'function') {
+        const upload = new Upload({
+          client,
+          params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType },
+          queueSize: 2,
+          partSize: 5 * 1024 * 1024
+        });
+        await upload.done();
+        return;
+      }
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+  return provider;
+}
+
+// --- Backblaze B2 via its S3-compatible API ---
+export function createB2Storage({
+  bucket = process.env.B2_BUCKET,
+  keyId = process.env.B2_ACCOUNT,
+  key = process.env.B2_KEY,
+  region = process.env.B2_REGION,
+  endpoint = process.env.B2_ENDPOINT
+} = {}) {
+  // B2 endpoints look like https://s3.<region>.backblazeb2.com; derive whichever one is missing
+  const resolvedEndpoint = endpoint || (region ? `https://s3.${region}.backblazeb2.com` : null);
+  if (!resolvedEndpoint) throw new Error('Storage type "b2" requires B2_ENDPOINT or B2_REGION');
+  const resolvedRegion = region || (resolvedEndpoint.match(/s3\.([^.]+)\./)?.[1] ?? 'us-east-1');
+  return createS3Storage({
+    type: 'b2',
+    bucket,
+    clientConfig: {
+      region: resolvedRegion,
+      endpoint: resolvedEndpoint,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: keyId && key ? { accessKeyId: keyId, secretAccessKey: key } : undefined
+    }
+  });
+}
+
+// --- Local filesystem rooted at WAV_DIR (dev/tests, or a mounted bucket) ---
+function parseRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(range).trim());
+  if (!match) return null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (isNaN(suffix)) return null;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  if (start > end || start >= size) return null;
+  return { start, end };
+}
+
+export function createLocalStorage({ root = process.env.WAV_DIR || '/data/wav' } = {}) {
+  const rootDir = path.resolve(root);
+
+  // Map an object key to a path under root, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const full = path.resolve(rootDir, key);
+    if (full !== rootDir && !full.startsWith(rootDir + path.sep)) {
+      throw new Error(`Key escapes storage root: ${key}`);
+    }
+    return full;
+  };
+
+  const statKey = async (key) => {
+    try {
+      const stat = await fs.promises.stat(resolveKey(key));
+      if (!stat.isFile()) throw notFoundError(key);
+      return stat;
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') throw notFoundError(key);
+      throw err;
+    }
+  };
+
+  const describe = (key, stat) => ({
+    key,
+    size: stat.size,
+    lastModified: stat.mtime.toISOString(),
+    // Cheap change marker; not an S3 MD5 but stable while the file is untouched
+    etag: crypto.createHash('md5').update(`${stat.size}:${stat.mtimeMs}`).digest('hex')
+  });
+
+  const contentTypeFor = (key) => {
+    if (key.endsWith('.wav')) return 'audio/wav';
+    if (key.endsWith('.json')) return 'application/json';
+    return 'application/octet-stream';
+  };
+
+  const provider = {
+    type: 'local',
+    root: rootDir,
+
+    // Local listing is a single page; walk the directory containing the prefix
+    async listPage(prefix = '') {
+      const objects = [];
+      const baseDir = prefix.endsWith('/') || prefix === '' ? resolveKey(prefix || '.') : path.dirname(resolveKey(prefix));
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(full);
+          } else if (entry.isFile()) {
+            const key = path.relative(rootDir, full).split(path.sep).join('/');
+            if (!key.startsWith(prefix)) continue;
+            objects.push(describe(key, await fs.promises.stat(full)));
+          }
+        }
+      };
+      await walk(baseDir);
+      objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      return { objects, nextToken: undefined };
+    },
+
+    list(prefix = '') {
+      return listAll(provider, prefix);
+    },
+
+    async head(key) {
+      const stat = await statKey(key);
+      const info = describe(key, stat);
+      return { contentLength: stat.size, contentType: contentTypeFor(key), lastModified: info.lastModified, etag: info.etag };
+    },
+
+    async get(key, { range } = {}) {
+      const stat = await statKey(key);
+      const file = resolveKey(key);
+      if (range) {
+        const parsed = parseRange(range, stat.size);
+        if (!parsed) {
+          const err = new Error(`Invalid range "${range}" for ${key}`);
+          err.name = 'InvalidRange';
+          err.statusCode = 416;
+          throw err;
+        }
+        return {
+          body: fs.createReadStream(file, { start: parsed.start, end: parsed.end }),
+          contentLength: parsed.end - parsed.start + 1,
+          contentRange: `bytes ${parsed.start}-${parsed.end}/${stat.size}`,
+          contentType: contentTypeFor(key),
+          totalSize: stat.size
+        };
+      }
+      return {
+        body: fs.createReadStream(file),
+        contentLength: stat.size,
+        contentRange: null,
+        contentType: contentTypeFor(key),
+        totalSize: stat.size
+      };
+    },
+
+    // Write to a sibling temp file then rename so readers never see a partial object
+    async put(key, body) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        if (body instanceof Readable || typeof body?.pipe === 'function') {
+          await pipeline(body, fs.createWriteStream(tmp));
+        } else {
+          await fs.promises.writeFile(tmp, body);
+        }
+        await fs.promises.rename(tmp, file);
+      } catch (err) {
+        fs.promises.unlink(tmp).catch(() => {});
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+  return provider;
+}
+
+// Build the provider selected by STORAGE_TYPE (aws | b2 | local), defaulting to aws like entrypoint.sh
+export function createStorage(type = process.env.STORAGE_TYPE || 'aws') {
+  switch (type) {
+    case 'aws':
+    case 's3':
+      return createS3Storage({
+        type: 'aws',
+        bucket: process.env.AWS_BUCKET,
+        clientConfig: {
+          region: process.env.AWS_REGION,
+          ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT, forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' } : {})
+        }
+      });
+    case 'b2':
+      return createB2Storage();
+    case 'local':
+      return createLocalStorage();
+    default:
+      throw new Error(`Unsupported STORAGE_TYPE: ${type}`);
+  }
+}
@@ -0,0 +1,67 @@
+import { reconcileListedFiles, getSyncWatermark, setSyncWatermark, markFileMissing } from './database.js';
+
+// Incremental storage -> files table sync. Listings carry Size/LastModified/ETag, so each prefix is
+// diffed against what is already indexed: new keys are added, changed objects refreshed and rows
+// whose object vanished are marked missing (SYNC_MISSING_ACTION=delete drops them instead).
+// A per-prefix watermark (object count + newest LastModified) lets the 5-minute current-day sync
+// skip the database entirely when nothing under the prefix has changed.
+const DELETE_MISSING = (process.env.SYNC_MISSING_ACTION || 'mark').toLowerCase() === 'delete';
+
+const isWav = (obj) => obj.key.endsWith('.wav');
+
+export function newTotals() {
+  return { listed: 0, added: 0, updated: 0, restored: 0, unchanged: 0, missing: 0, unparsed: 0 };
+}
+
+export function addCounts(totals, counts) {
+  for (const key of Object.keys(totals)) totals[key] += counts[key] || 0;
+  return totals;
+}
+
+export function maxLastModified(objects, start = null) {
+  return objects.reduce((max, obj) => (obj.lastModified && (!max || obj.lastModified > max) ? obj.lastModified : max), start);
+}
+
+export function describeSyncCounts(counts) {
+  return `${counts.added} new, ${counts.updated} changed, ${counts.restored} restored, ${counts.missing} missing of ${counts.listed} listed`;
+}
+
+// Sync one prefix (normally a day folder). `force` ignores the watermark shortcut.
+export async function syncPrefix(storage, prefix, { force = false } = {}) {
+  const objects = (await storage.list(prefix)).filter(isWav);
+  const signature = { objectCount: objects.length, maxLastModified: maxLastModified(objects) };
+  const watermark = getSyncWatermark(prefix);
+  if (!force && watermark
+    && watermark.object_count === signature.objectCount
+    && watermark.max_last_modified === signature.maxLastModified) {
+    return { ...newTotals(), listed: objects.length, unchanged: objects.length, skipped: true };
+  }
+
+  const counts = reconcileListedFiles(prefix, objects, { deleteMissing: DELETE_MISSING });
+  setSyncWatermark(prefix, { ...signature, lastKey: objects.length ? objects[objects.length - 1].key : null });
+  return { ...counts, skipped: false };
+}
+
+// One page of a paged listing (full sync). Pages arrive in key order, so the rows between the
+// previous page's last key and this page's last key are exactly the ones this page can confirm.
+export function syncListingPage(prefix, page, afterKey = null) {
+  const lastKey = page.objects.length ? page.objects[page.objects.length - 1].key : afterKey;
+  if (page.nextToken && lastKey === afterKey) {
+    return { counts: newTotals(), lastKey };
+  }
+  const counts = reconcileListedFiles(prefix, page.objects.filter(isWav), {
+    afterKey,
+    upToKey: page.nextToken ? lastKey : null,
+    deleteMissing: DELETE_MISSING
+  });
+  return { counts, lastKey };
+}
+
+export function recordFullSyncWatermark(prefix, { listed, maxLastModified: newest, lastKey }) {
+  setSyncWatermark(prefix, { objectCount: listed, maxLastModified: newest, lastKey });
+}
+
+// An object removed outside a listing (bucket notification, local drop folder)
+export function removeMissingObject(key) {
+  return markFileMissing(key, { deleteMissing: DELETE_MISSING });
+}
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { indexFile, importCallDetails, getCallDetailFacets, queryFiles } = await import('../database.js');
+const { parseCsv } = await import('../calldetails.js');
+
+indexFile('recordings/1_1_2025/5550000001 by ann@corp.com @ 10_00_00 AM_60000_1.wav', 100);
+indexFile('recordings/1_1_2025/5550000002 by bob@corp.com @ 10_01_00 AM_60000_2.wav', 100);
+const callIds = Object.fromEntries(queryFiles({ dateStart: '1_1_2025' }).files.map(f => [f.email, f.call_id]));
+importCallDetails([
+  { callId: callIds['ann@corp.com'], disposition: 'Sale', campaign: 'Spring' },
+  { callId: callIds['bob@corp.com'], disposition: 'No Answer', campaign: 'Winter' }
+]);
+
+test('facets list every value when unscoped', () => {
+  const facets = getCallDetailFacets();
+  assert.deepEqual(facets.dispositions, ['No Answer', 'Sale']);
+  assert.deepEqual(facets.campaigns, ['Spring', 'Winter']);
+});
+
+test('facets only list values from calls in the scope', () => {
+  const facets = getCallDetailFacets(['Ann@corp.com']);
+  assert.deepEqual(facets.dispositions, ['Sale']);
+  assert.deepEqual(facets.campaigns, ['Spring']);
+  assert.deepEqual(getCallDetailFacets([]).dispositions, []);
+});
+
+test('parseCsv strips a leading byte order mark', () => {
+  assert.deepEqual(parseCsv('\uFEFFCall ID,Disposition\n1,Sale\n')[0], ['Call ID', 'Disposition']);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARSE_RULES, compileParseRules, parseRuleDate, parseWithRules } from '../filenames.js';
+
+const rules = compileParseRules(DEFAULT_PARSE_RULES);
+
+test('default rules parse unpadded Five9 keys', () => {
+  const parsed = parseWithRules(rules, 'recordings/1_5_2024/5551234567 by a@b.com @ 9_05_01 AM_1000_123.wav');
+  assert.equal(parsed.callDate, '2024-01-05');
+  assert.equal(parsed.callTime, '09:05:01');
+  assert.equal(parsed.phone, '5551234567');
+  assert.equal(parsed.email, 'a@b.com');
+  assert.equal(parsed.durationMs, 1000);
+  assert.equal(parsed.callId, '123');
+});
+
+test('default rules parse zero-padded date folders like the original parser', () => {
+  const parsed = parseWithRules(rules, 'recordings/01_05_2024/5551234567 by a@b.com @ 9_05_01 AM_1000_123.wav');
+  assert.equal(parsed?.callDate, '2024-01-05');
+  assert.equal(parsed.ruleName, DEFAULT_PARSE_RULES[0].name);
+  assert.equal(parseWithRules(rules, 'recordings/1_05_2024/5551234567 by a@b.com @ 9_05_01 AM_1000.wav')?.callDate, '2024-01-05');
+});
+
+test('impossible dates are still rejected', () => {
+  assert.equal(parseRuleDate('2_30_2024', 'M_D_YYYY'), null);
+  assert.equal(parseRuleDate('13_01_2024', 'M_D_YYYY'), null);
+  assert.equal(parseWithRules(rules, 'recordings/02_30_2024/5551234567 by a@b.com @ 9_05_01 AM_1000.wav'), null);
+});
+
+test('padded formats still parse padded values', () => {
+  assert.equal(parseRuleDate('2024-01-05', 'YYYY-MM-DD')?.format('YYYY-MM-DD'), '2024-01-05');
+  assert.equal(parseRuleDate('2024-02-30', 'YYYY-MM-DD'), null);
+});
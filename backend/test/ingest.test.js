@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const TOPIC = 'arn:aws:sns:us-east-1:123456789012:recordings-events';
+process.env.DB_PATH = ':memory:';
+process.env.INGEST_SNS_TOPIC_ARNS = TOPIC;
+process.env.INGEST_SNS_VERIFY = 'false'; // no certificate fetches; the auth rules are what's under test
+const { handleNotification, unwrapNotification, isFreshSnsMessage, IngestAuthError } = await import('../ingest.js');
+
+const storage = { type: 'local' };
+const s3Record = (key) => ({ eventName: 'ObjectCreated:Put', s3: { bucket: { name: 'b' }, object: { key, size: 10 } } });
+const snsNotification = (records, timestamp = new Date().toISOString()) => ({
+  Type: 'Notification',
+  MessageId: 'm-1',
+  TopicArn: TOPIC,
+  Timestamp: timestamp,
+  Message: JSON.stringify({ Records: records })
+});
+const KEY = 'recordings/1_5_2024/5551234567 by a@b.com @ 9_05_01 AM_1000_1.wav';
+
+test('records inside a signed SNS message are applied without the secret', async () => {
+  const result = await handleNotification(storage, snsNotification([s3Record(KEY)]));
+  assert.equal(result.indexed, 1);
+});
+
+test('records next to an SNS envelope are not covered by its signature', async () => {
+  const body = { Records: [{ Sns: snsNotification([]) }, s3Record(KEY.replace('_1.wav', '_2.wav'))] };
+  assert.equal(unwrapNotification(body).signedRecords.length, 0);
+  await assert.rejects(handleNotification(storage, body, { secretOk: false }), IngestAuthError);
+});
+
+test('the shared secret still accepts raw S3 events', async () => {
+  const result = await handleNotification(storage, { Records: [s3Record(KEY.replace('_1.wav', '_3.wav'))] }, { secretOk: true });
+  assert.equal(result.indexed, 1);
+});
+
+test('stale SNS messages are refused', async () => {
+  const old = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  assert.equal(isFreshSnsMessage({ Timestamp: old }), false);
+  assert.equal(isFreshSnsMessage({ Timestamp: 'not a date' }), false);
+  await assert.rejects(handleNotification(storage, snsNotification([s3Record(KEY)], old)), IngestAuthError);
+});
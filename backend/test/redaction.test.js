@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+
+process.env.DB_PATH = ':memory:';
+delete process.env.REDACTION_PADDING_MS; // spans below assume the default 300ms padding
+delete process.env.PII_REDACTION;
+delete process.env.WHISPER_MODEL;
+const { luhnValid, detectPii, redactTranscript, redactionFfmpegArgs, resolveRedactionSetting, isRedactionEnabled } = await import('../redaction.js');
+
+test('redaction defaults to on only when transcription is enabled', () => {
+  assert.equal(isRedactionEnabled(), false);
+  assert.equal(resolveRedactionSetting('', false), false);
+  assert.equal(resolveRedactionSetting(undefined, true), true);
+  assert.equal(resolveRedactionSetting('off', false), false);
+  assert.equal(resolveRedactionSetting('off', true), false);
+  assert.equal(resolveRedactionSetting(' ON ', true), true);
+  assert.throws(() => resolveRedactionSetting('on', false), /WHISPER_MODEL is not set/);
+});
+
+test('PII_REDACTION=on without WHISPER_MODEL refuses to start', () => {
+  const { WHISPER_MODEL, ...env } = process.env;
+  const result = spawnSync(process.execPath, ['--input-type=module', '-e', "await import('./redaction.js')"], {
+    cwd: new URL('..', import.meta.url),
+    env: { ...env, DB_PATH: ':memory:', PII_REDACTION: 'on' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /PII_REDACTION is on but WHISPER_MODEL is not set/);
+});
+
+// One word per entry, 250ms each, starting at `startMs`
+const words = (text, startMs = 0) => text.split(' ').map((word, i) => ({
+  text: ` ${word}`,
+  startMs: startMs + i * 250,
+  endMs: startMs + (i + 1) * 250
+}));
+
+test('luhnValid', () => {
+  assert.equal(luhnValid('4111111111111111'), true);
+  assert.equal(luhnValid('5500000000000004'), true);
+  assert.equal(luhnValid('378282246310005'), true);
+  assert.equal(luhnValid('4111111111111112'), false);
+  assert.equal(luhnValid('1234567812345678'), false);
+});
+
+test('detectPii finds card numbers read in groups or digit by digit', () => {
+  assert.deepEqual(detectPii(words('my card is 4111 1111 1111 1111 thanks')), [{ type: 'card', firstWord: 3, lastWord: 6 }]);
+  const spoken = words('it is four one one one one one one one one one one one one one one one ok');
+  assert.deepEqual(detectPii(spoken), [{ type: 'card', firstWord: 2, lastWord: 17 }]);
+});
+
+test('detectPii finds SSNs with dashes and fillers between groups', () => {
+  assert.deepEqual(detectPii(words('social 123-45-6789 please')), [{ type: 'ssn', firstWord: 1, lastWord: 1 }]);
+  assert.deepEqual(detectPii(words('one two three dash four five uh six seven eight nine')), [{ type: 'ssn', firstWord: 0, lastWord: 10 }]);
+});
+
+test('detectPii ignores numbers that are not cards or valid SSNs', () => {
+  assert.deepEqual(detectPii(words('call me at 555 123 4567')), []);
+  assert.deepEqual(detectPii(words('ssn 000-12-3456 or 666-12-3456 or 912-34-5678')), []);
+  assert.deepEqual(detectPii(words('card 4111 1111 1111 1112')), []); // fails Luhn
+  assert.deepEqual(detectPii(words('account 1111 1111 1111 1117')), []); // no issuer digit
+  assert.deepEqual(detectPii(words('123 45 then later 6789')), []); // split by other words
+});
+
+test('redactTranscript replaces spans in the text and pads word timings', () => {
+  const segments = [
+    { startMs: 0, endMs: 3000, text: 'My card is 4111 1111 1111 1111 thanks', words: words('My card is 4111 1111 1111 1111 thanks', 500) },
+    { startMs: 3000, endMs: 4000, text: 'Call me at 555 123 4567.', words: words('Call me at 555 123 4567.', 3000) }
+  ];
+  const { redactions, segments: redacted } = redactTranscript(segments);
+  assert.deepEqual(redactions, [{ type: 'card', startMs: 500 + 3 * 250 - 300, endMs: 500 + 7 * 250 + 300 }]);
+  assert.deepEqual(redacted.map(s => s.text), ['My card is [card number redacted] thanks', 'Call me at 555 123 4567.']);
+  assert.deepEqual(redacted.map(s => [s.startMs, s.endMs]), [[0, 3000], [3000, 4000]]);
+});
+
+test('redactTranscript falls back to whole segments without word timings', () => {
+  const { redactions, segments } = redactTranscript([
+    { startMs: 1000, endMs: 3000, text: 'SSN 123-45-6789 ok' },
+    { startMs: 3000, endMs: 5000, text: 'nothing here' }
+  ]);
+  assert.deepEqual(redactions, [{ type: 'ssn', startMs: 700, endMs: 3300 }]);
+  assert.deepEqual(segments.map(s => s.text), ['SSN [SSN redacted] ok', 'nothing here']);
+});
+
+test('redactTranscript leaves clean transcripts untouched', () => {
+  const segments = [{ startMs: 0, endMs: 1000, text: 'Hello,  how can I help?' }];
+  const result = redactTranscript(segments);
+  assert.deepEqual(result.redactions, []);
+  assert.equal(result.segments[0].text, 'Hello,  how can I help?');
+});
+
+test('redactionFfmpegArgs mutes every span', () => {
+  const spans = [{ startMs: 500, endMs: 2800 }, { startMs: 4200, endMs: 7800 }];
+  const silence = redactionFfmpegArgs('in.wav', 'out.wav', spans, 'silence');
+  assert.ok(silence.includes("volume=volume=0:enable='between(t,0.500,2.800)+between(t,4.200,7.800)'"));
+  const tone = redactionFfmpegArgs('in.wav', 'out.wav', spans, 'tone').join(' ');
+  assert.match(tone, /sine=frequency=1000/);
+  assert.match(tone, /amix=inputs=2:duration=first:normalize=0/);
+});
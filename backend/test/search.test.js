@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { buildFileSearch, indexFile, queryFiles } = await import('../database.js');
+
+const emails = ['jo.smith@corp.com', 'al.smith@corp.com', 'jo.brown@corp.com'];
+emails.forEach((email, i) => indexFile(`recordings/1_1_2025/555000000${i} by ${email} @ 10_0${i}_00 AM_60000_${i}.wav`, 100));
+const search = (q) => queryFiles({ dateStart: '1_1_2025', q }).files.map(f => f.email).sort();
+
+test('buildFileSearch keeps short q terms as LIKE fallbacks', () => {
+  assert.deepEqual(buildFileSearch({ q: 'Jo Smith' }), { match: '"Smith"', phone: null, email: null, callId: null, any: ['Jo'] });
+  assert.deepEqual(buildFileSearch({ q: 'jo' }).any, ['jo']);
+  assert.equal(buildFileSearch({ q: 'jo' }).match, null);
+});
+
+test('every term of a multi-word q must match, short ones included', () => {
+  assert.deepEqual(search('Jo Smith'), ['jo.smith@corp.com']);
+  assert.deepEqual(search('smith'), ['al.smith@corp.com', 'jo.smith@corp.com']);
+  assert.deepEqual(search('jo'), ['jo.brown@corp.com', 'jo.smith@corp.com']);
+});
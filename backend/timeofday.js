@@ -0,0 +1,130 @@
+import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+
+dayjs.extend(customParseFormat);
+
+// Time-of-day filters for the files list. files.call_time is the wall-clock time from the
+// recording's filename, which Five9 writes in the business timezone (BUSINESS_TIMEZONE in
+// config.js), so filter times are compared as business-local HH:MM:SS. A filter time that names an
+// instant (ISO timestamp with Z or an offset) is converted into the business timezone first.
+//
+// Modes (timeMode):
+//   range   timeStart..timeEnd inclusive; either end may be open. A start later than the end wraps
+//           midnight (22:00-02:00 for the night shift).
+//   older   calls earlier in the day than timeStart
+//   newer   calls later in the day than timeStart
+//   none    no time filter
+export const TIME_MODES = ['range', 'older', 'newer', 'none'];
+
+const WALL_CLOCK_FORMATS = ['HH:mm:ss', 'HH:mm', 'H:mm:ss', 'H:mm', 'h:mm:ss A', 'h:mm A', 'h:mm:ss a', 'h:mm a', 'h A', 'hA'];
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+export class TimeFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeFilterError';
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// HH:MM:SS of an instant as seen in `timeZone`
+function wallClockIn(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type)?.value || '00';
+  return `${part('hour')}:${part('minute')}:${part('second')}`;
+}
+
+// Offset of `timeZone` from UTC at an instant, in ms
+function zoneOffsetMs(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// 'YYYY-MM-DD' + 'HH:MM:SS' read in `timeZone` -> ISO UTC instant. The offset is re-checked at
+// the candidate instant so times near a DST change land on the right side of it.
+export function wallClockToInstant(date, time, timeZone) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const [hour, minute, second = 0] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (isNaN(wallClock)) return null;
+  let instant = wallClock - zoneOffsetMs(wallClock, timeZone);
+  instant = wallClock - zoneOffsetMs(instant, timeZone);
+  return new Date(instant).toISOString();
+}
+
+// Whole days startDate..endDate ('YYYY-MM-DD', either optional) in `timeZone` as a half-open UTC
+// range [from, to) for comparing against stored ISO timestamps
+export function dayRangeToInstants(startDate, endDate, timeZone = 'UTC') {
+  if (!isValidTimeZone(timeZone)) throw new TimeFilterError(`Unknown timezone "${timeZone}"`);
+  const day = (value, label) => {
+    if (!value) return null;
+    const parsed = dayjs(String(value), 'YYYY-MM-DD', true);
+    if (!parsed.isValid()) throw new TimeFilterError(`${label} must be YYYY-MM-DD`);
+    return parsed;
+  };
+  const start = day(startDate, 'startDate');
+  const end = day(endDate, 'endDate');
+  return {
+    from: start ? wallClockToInstant(start.format('YYYY-MM-DD'), '00:00:00', timeZone) : null,
+    to: end ? wallClockToInstant(end.add(1, 'day').format('YYYY-MM-DD'), '00:00:00', timeZone) : null
+  };
+}
+
+// Any accepted time input -> 'HH:MM:SS' in the business timezone; null when blank
+export function normalizeTimeOfDay(value, timeZone) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (INSTANT_PATTERN.test(text)) {
+    const date = new Date(text);
+    if (!isNaN(date.getTime())) return wallClockIn(date, timeZone);
+  }
+  const parsed = dayjs(`2000-01-01 ${text.toUpperCase()}`, WALL_CLOCK_FORMATS.map(f => `YYYY-MM-DD ${f}`), true);
+  if (!parsed.isValid()) throw new TimeFilterError(`Unrecognized time "${text}" (use HH:MM, h:mm AM/PM or an ISO timestamp)`);
+  return parsed.format('HH:mm:ss');
+}
+
+// Validated window for queryFiles: { mode, start, end } with start/end as HH:MM:SS, or null
+export function buildTimeWindow({ mode = 'range', start, end } = {}, timeZone) {
+  const timeMode = String(mode || 'range').toLowerCase();
+  if (!TIME_MODES.includes(timeMode)) throw new TimeFilterError(`timeMode must be one of ${TIME_MODES.join(', ')}`);
+  if (timeMode === 'none') return null;
+
+  const from = normalizeTimeOfDay(start, timeZone);
+  const to = normalizeTimeOfDay(end, timeZone);
+
+  if (timeMode === 'older' || timeMode === 'newer') {
+    const pivot = from || to;
+    if (!pivot) return null;
+    return { mode: timeMode, start: pivot, end: null };
+  }
+  if (!from && !to) return null;
+  if (from && to && from > to) return { mode: 'wrap', start: from, end: to };
+  return { mode: 'range', start: from, end: to };
+}
+
+export function describeTimeWindow(window) {
+  if (!window) return null;
+  if (window.mode === 'older') return `before ${window.start}`;
+  if (window.mode === 'newer') return `after ${window.start}`;
+  return `${window.start || '00:00:00'}-${window.end || '23:59:59'}${window.mode === 'wrap' ? ' (overnight)' : ''}`;
+}
@@ -0,0 +1,316 @@
+import { Transform, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { isNotFound } from './storage.js';
+
+// Playback format shared by /api/audio, /api/waveform and anything else that analyses the
+// converted audio; changing it invalidates cache/wav entries so keep it in one place.
+export const PLAYBACK_SAMPLE_RATE = 22050;
+export const PLAYBACK_CHANNELS = 1;
+export const PLAYBACK_BITS = 16;
+export const WAV_HEADER_SIZE = 44;
+// Optional channel-preserving variant for dual-channel recordings (agent and customer on separate
+// channels); clients ask for it with ?channels=stereo and it is cached under its own keys
+export const STEREO_CHANNELS = 2;
+
+export function requestedChannels(value) {
+  return value === 'stereo' ? STEREO_CHANNELS : PLAYBACK_CHANNELS;
+}
+
+function derivedKeyFor(folder, s3Key, channels, extension) {
+  const variant = channels === STEREO_CHANNELS ? `${folder}-stereo` : folder;
+  return `cache/${variant}/` + crypto.createHash('md5').update(s3Key).digest('hex') + extension;
+}
+
+// Storage keys of the derived artefacts for a recording (converted audio, waveform JSON);
+// the stereo variants live in the matching *-stereo folders
+export function audioCacheKeyFor(s3Key, channels = PLAYBACK_CHANNELS) {
+  return derivedKeyFor('wav', s3Key, channels, '.wav');
+}
+
+export function waveformCacheKeyFor(s3Key, channels = PLAYBACK_CHANNELS) {
+  return derivedKeyFor('waveform', s3Key, channels, '.json');
+}
+
+// PII-redacted variants of the same (redaction.js)
+export function redactedAudioCacheKeyFor(s3Key, channels = PLAYBACK_CHANNELS) {
+  return derivedKeyFor('wav-redacted', s3Key, channels, '.wav');
+}
+
+export function redactedWaveformCacheKeyFor(s3Key, channels = PLAYBACK_CHANNELS) {
+  return derivedKeyFor('waveform-redacted', s3Key, channels, '.json');
+}
+
+// Every derived key of a recording, for cleanup
+export function derivedCacheKeysFor(s3Key) {
+  return [PLAYBACK_CHANNELS, STEREO_CHANNELS].flatMap(channels => [
+    audioCacheKeyFor(s3Key, channels),
+    waveformCacheKeyFor(s3Key, channels),
+    redactedAudioCacheKeyFor(s3Key, channels),
+    redactedWaveformCacheKeyFor(s3Key, channels)
+  ]);
+}
+
+// FFmpeg args for the playback conversion, reading the original from stdin.
+// `format` is 'wav' for a self-contained file or 's16le' for raw PCM (we write our own header).
+// A mono original converted with STEREO_CHANNELS comes out with the same audio on both sides.
+export function playbackFfmpegArgs(format = 's16le', output = 'pipe:1', channels = PLAYBACK_CHANNELS) {
+  return [
+    '-i', 'pipe:0',
+    '-f', format,
+    '-acodec', 'pcm_s16le',
+    '-ac', String(channels),
+    '-ar', String(PLAYBACK_SAMPLE_RATE),
+    output
+  ];
+}
+
+// Write the playback-format WAV for `s3Key` to a local file, copied from cache/wav when present
+// and converted from the original otherwise. Returns 'cache' or 'converted'.
+export async function writePlaybackWav(storage, s3Key, wavPath, channels = PLAYBACK_CHANNELS) {
+  try {
+    const cached = await storage.get(audioCacheKeyFor(s3Key, channels));
+    await pipeline(cached.body, fs.createWriteStream(wavPath));
+    return 'cache';
+  } catch (err) {
+    if (!isNotFound(err)) console.warn(`⚠️ [TRANSCODE] Cache read failed for ${s3Key}, converting: ${err.message}`);
+  }
+
+  const ffmpeg = await spawnFfmpeg(playbackFfmpegArgs('wav', wavPath, channels));
+  const exited = new Promise((resolve, reject) => {
+    ffmpeg.once('error', reject);
+    ffmpeg.once('close', code => (code === 0 ? resolve() : reject(new Error(`FFmpeg exited with code ${code}`))));
+  });
+  ffmpeg.stderr.resume();
+  ffmpeg.stdin.on('error', () => {}); // exit code decides success
+  try {
+    const original = await storage.get(s3Key);
+    original.body.pipe(ffmpeg.stdin);
+  } catch (err) {
+    ffmpeg.kill('SIGKILL');
+    exited.catch(() => {});
+    throw err;
+  }
+  await exited;
+  return 'converted';
+}
+
+// Size of the converted PCM data for a recording of durationMs, rounded down to whole frames
+export function expectedPcmBytes(durationMs, sampleRate = PLAYBACK_SAMPLE_RATE, channels = PLAYBACK_CHANNELS) {
+  const frames = Math.round((durationMs / 1000) * sampleRate);
+  return frames * channels * (PLAYBACK_BITS / 8);
+}
+
+// Canonical 44-byte PCM WAV header for a known data length
+export function buildWavHeader(dataBytes, sampleRate = PLAYBACK_SAMPLE_RATE, channels = PLAYBACK_CHANNELS) {
+  const blockAlign = channels * (PLAYBACK_BITS / 8);
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);           // fmt chunk size
+  header.writeUInt16LE(1, 20);            // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(PLAYBACK_BITS, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+// Wrap raw PCM into a WAV of exactly WAV_HEADER_SIZE + dataBytes bytes: the header goes out
+// immediately, surplus PCM is dropped and a short conversion is padded with silence. This is
+// what lets us promise a Content-Length before FFmpeg has produced anything.
+export function createWavFramer(dataBytes, sampleRate, channels) {
+  let written = 0;
+  const framer = new Transform({
+    transform(chunk, encoding, callback) {
+      const remaining = dataBytes - written;
+      if (remaining > 0) {
+        const slice = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+        written += slice.length;
+        this.push(slice);
+      }
+      framer.producedBytes += chunk.length;
+      callback();
+    },
+    flush(callback) {
+      let missing = dataBytes - written;
+      const SILENCE = Buffer.alloc(64 * 1024);
+      while (missing > 0) {
+        const n = Math.min(missing, SILENCE.length);
+        this.push(SILENCE.subarray(0, n));
+        missing -= n;
+      }
+      written = dataBytes;
+      callback();
+    }
+  });
+  framer.producedBytes = 0;
+  framer.push(buildWavHeader(dataBytes, sampleRate, channels));
+  return framer;
+}
+
+// Pass through only bytes [start, end] (inclusive) of the stream, for Range responses
+export function createByteWindow(start, end) {
+  let position = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      const chunkEnd = position + chunk.length - 1;
+      position += chunk.length;
+      if (chunkEnd < start || chunkStart > end) return callback();
+      const from = Math.max(0, start - chunkStart);
+      const to = Math.min(chunk.length, end - chunkStart + 1);
+      callback(null, chunk.subarray(from, to));
+    }
+  });
+}
+
+// Parse a single "bytes=a-b" Range header against a known total size.
+// Returns { start, end } | null (no/ignored range) | false (unsatisfiable)
+export function parseByteRange(rangeHeader, totalSize) {
+  if (!rangeHeader) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader).trim());
+  if (!match) return null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = parseInt(match[2], 10);
+    if (isNaN(suffix) || suffix === 0) return false;
+    start = Math.max(0, totalSize - suffix);
+    end = totalSize - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? totalSize - 1 : Math.min(parseInt(match[2], 10), totalSize - 1);
+  }
+  if (start > end || start >= totalSize) return false;
+  return { start, end };
+}
+
+// Fan one readable out to several writables. A branch that errors or closes early (client
+// navigated away, upload failed) is dropped without stalling the others; backpressure
+// from the remaining branches still pauses the source.
+export function teeStream(source, branches) {
+  const active = new Set(branches);
+  const waiting = new Set();
+
+  const release = (branch) => {
+    if (waiting.delete(branch) && waiting.size === 0) source.resume();
+  };
+  const drop = (branch) => {
+    if (!active.delete(branch)) return;
+    release(branch);
+    // Nobody left to feed: keep draining so the producer (FFmpeg) can exit
+    if (active.size === 0) source.resume();
+  };
+
+  for (const branch of branches) {
+    branch.once('error', () => drop(branch));
+    branch.once('close', () => {
+      if (!branch.writableFinished) drop(branch);
+    });
+    branch.on('drain', () => release(branch));
+  }
+
+  source.on('data', (chunk) => {
+    for (const branch of active) {
+      if (!branch.write(chunk) && !waiting.has(branch)) {
+        waiting.add(branch);
+      }
+    }
+    if (waiting.size > 0) source.pause();
+  });
+  source.once('end', () => {
+    for (const branch of active) branch.end();
+  });
+  source.once('error', (err) => {
+    for (const branch of active) branch.destroy(err);
+    active.clear();
+    waiting.clear();
+  });
+  return branches;
+}
+
+export function createBranch() {
+  return new PassThrough({ highWaterMark: 256 * 1024 });
+}
+
+// --- FFmpeg concurrency limit ---
+// Every conversion/analysis FFmpeg process takes a slot; a burst of plays queues instead of
+// starting one process per click and starving the container's CPU.
+const FFMPEG_MAX_CONCURRENCY = Math.max(1, parseInt(process.env.FFMPEG_MAX_CONCURRENCY || '', 10) || os.cpus().length);
+let activeFfmpeg = 0;
+const ffmpegQueue = [];
+
+function acquireFfmpegSlot() {
+  return new Promise((resolve) => {
+    const grant = () => {
+      activeFfmpeg++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        activeFfmpeg--;
+        const next = ffmpegQueue.shift();
+        if (next) next();
+      });
+    };
+    if (activeFfmpeg < FFMPEG_MAX_CONCURRENCY) grant();
+    else ffmpegQueue.push(grant);
+  });
+}
+
+// Spawn FFmpeg once a slot is free; the slot is released when the process exits or fails to start
+export async function spawnFfmpeg(args) {
+  const queuedAt = Date.now();
+  const release = await acquireFfmpegSlot();
+  const waited = Date.now() - queuedAt;
+  if (waited > 250) console.log(`⏳ [FFMPEG] Waited ${waited}ms for a slot (${activeFfmpeg}/${FFMPEG_MAX_CONCURRENCY} busy)`);
+  let child;
+  try {
+    child = spawn('ffmpeg', args);
+  } catch (err) {
+    release();
+    throw err;
+  }
+  child.once('close', release);
+  child.once('error', release);
+  return child;
+}
+
+export function getFfmpegStats() {
+  return { active: activeFfmpeg, queued: ffmpegQueue.length, max: FFMPEG_MAX_CONCURRENCY };
+}
+
+// --- In-flight job registry ---
+// Keyed by the md5-based cache key so concurrent requests for the same recording share one
+// transcode / waveform computation. Waiters get the job's result or the same error.
+const inflightJobs = new Map();
+
+export function findJob(key) {
+  return inflightJobs.get(key) || null;
+}
+
+// Register a job that the caller has already started; it leaves the registry once settled
+export function trackJob(key, promise) {
+  const tracked = promise.finally(() => {
+    if (inflightJobs.get(key) === tracked) inflightJobs.delete(key);
+  });
+  tracked.catch(() => {}); // errors are reported to whoever awaits the job
+  inflightJobs.set(key, tracked);
+  return tracked;
+}
+
+// Start `task` unless a job for `key` is already running, in which case attach to it
+export function runExclusive(key, task) {
+  const existing = findJob(key);
+  if (existing) return { promise: existing, joined: true };
+  return { promise: trackJob(key, Promise.resolve().then(task)), joined: false };
+}
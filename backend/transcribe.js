@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import {
+  enqueueNewTranscripts,
+  requestTranscript,
+  claimNextTranscript,
+  completeTranscript,
+  failTranscript,
+  requeueInterruptedTranscripts
+} from './database.js';
+import { writePlaybackWav } from './transcode.js';
+import { isRedactionEnabled, redactTranscript, scanUnscannedTranscripts, storeRedactedAudio } from './redaction.js';
+
+// Speech-to-text with a locally installed whisper.cpp CLI, spawned per recording like FFmpeg. The
+// input is the playback conversion (mono 22.05 kHz WAV, see transcode.js) - the cached copy when
+// one exists - and whisper resamples it itself. Results land in the transcripts table
+// (database.js), scanned for card numbers and SSNs on the way (redaction.js). A background loop
+// queues newly synced calls and works through the queue a few at a time at low CPU priority,
+// pausing between recordings so playback stays responsive.
+//
+//   WHISPER_MODEL            Path to a ggml model (e.g. /models/ggml-base.en.bin); transcription is off when unset
+//   WHISPER_BIN              whisper.cpp CLI (default whisper-cli)
+//   WHISPER_THREADS          Threads per transcription (default 2)
+//   WHISPER_LANGUAGE         Spoken language code, or 'auto' (default en)
+//   TRANSCRIBE_CONCURRENCY   Recordings transcribed at once (default 1)
+//   TRANSCRIBE_PAUSE_MS      Pause after each recording (default 2000)
+//   TRANSCRIBE_BACKLOG_DAYS  Calls dated within the last N days are queued automatically (default 2);
+//                            older ones are transcribed when someone opens their transcript
+//   TRANSCRIBE_TIMEOUT_MS    Kill a whisper run after this long (default 15 minutes)
+const WHISPER_MODEL = (process.env.WHISPER_MODEL || '').trim();
+const WHISPER_BIN = (process.env.WHISPER_BIN || 'whisper-cli').trim();
+const WHISPER_THREADS = Math.max(1, parseInt(process.env.WHISPER_THREADS || '2', 10) || 2);
+const WHISPER_LANGUAGE = (process.env.WHISPER_LANGUAGE || 'en').trim();
+const CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCRIBE_CONCURRENCY || '1', 10) || 1);
+const PAUSE_MS = Math.max(0, parseInt(process.env.TRANSCRIBE_PAUSE_MS || '2000', 10) || 0);
+const BACKLOG_DAYS = Math.max(0, parseInt(process.env.TRANSCRIBE_BACKLOG_DAYS || '2', 10) || 0);
+const TIMEOUT_MS = Math.max(60000, parseInt(process.env.TRANSCRIBE_TIMEOUT_MS || '', 10) || 15 * 60 * 1000);
+const MAX_ATTEMPTS = 3;
+const POLL_MS = 30000;
+const WORKER_NICENESS = 10;
+
+let activeWorkers = 0;
+let workerStorage = null;
+
+export function isTranscriptionEnabled() {
+  return !!WHISPER_MODEL;
+}
+
+export function getTranscriptionConfig() {
+  return {
+    enabled: isTranscriptionEnabled(),
+    model: WHISPER_MODEL ? path.basename(WHISPER_MODEL) : null,
+    language: WHISPER_LANGUAGE,
+    concurrency: CONCURRENCY,
+    activeWorkers
+  };
+}
+
+// whisper.cpp -ojf output -> [{ startMs, endMs, text, words }]. Words are rebuilt from the
+// timestamped tokens (a token starting with a space begins a new word) for PII redaction.
+export function parseWhisperJson(json) {
+  return (json.transcription || [])
+    .map(segment => ({
+      startMs: Math.max(0, Math.round(segment.offsets?.from ?? 0)),
+      endMs: Math.max(0, Math.round(segment.offsets?.to ?? 0)),
+      text: String(segment.text || '').trim(),
+      words: tokensToWords(segment.tokens)
+    }))
+    .filter(segment => segment.text);
+}
+
+function tokensToWords(tokens) {
+  const words = [];
+  for (const token of tokens || []) {
+    const text = String(token.text || '');
+    if (!text || text.startsWith('[_')) continue; // [_BEG_], [_TT_150] timing tokens
+    const startMs = Math.max(0, Math.round(token.offsets?.from ?? 0));
+    const endMs = Math.max(startMs, Math.round(token.offsets?.to ?? startMs));
+    const last = words[words.length - 1];
+    if (last && !/^\s/.test(text)) {
+      last.text += text;
+      last.endMs = Math.max(last.endMs, endMs);
+    } else {
+      words.push({ text, startMs, endMs });
+    }
+  }
+  return words;
+}
+
+function runWhisper(wavPath, outputBase) {
+  const args = [
+    '-m', WHISPER_MODEL,
+    '-f', wavPath,
+    '-t', String(WHISPER_THREADS),
+    '-l', WHISPER_LANGUAGE,
+    '-ojf',
+    '-of', outputBase,
+    '-np'
+  ];
+  return new Promise((resolve, reject) => {
+    const child = spawn(WHISPER_BIN, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    try {
+      os.setPriority(child.pid, WORKER_NICENESS);
+    } catch {
+      // not permitted / already exited; run at normal priority
+    }
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-2000);
+    });
+    const timer = setTimeout(() => child.kill('SIGKILL'), TIMEOUT_MS);
+    child.once('error', (err) => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`whisper.cpp binary not found: ${WHISPER_BIN}`) : err);
+    });
+    child.once('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const reason = signal === 'SIGKILL' ? `timed out after ${TIMEOUT_MS}ms` : `exited with code ${code}`;
+        reject(new Error(`whisper ${reason}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8')));
+      } catch (err) {
+        reject(new Error(`Unreadable whisper output: ${err.message}`));
+      }
+    });
+  });
+}
+
+async function transcribeRecording(storage, job) {
+  const outputBase = path.join(os.tmpdir(), `transcript_${job.fileId}_${process.pid}`);
+  const wavPath = `${outputBase}.wav`;
+  const startedAt = Date.now();
+  try {
+    const source = await writePlaybackWav(storage, job.filePath, wavPath);
+    const output = await runWhisper(wavPath, outputBase);
+    const segments = parseWhisperJson(output);
+    const redaction = isRedactionEnabled() ? redactTranscript(segments) : null;
+    if (redaction?.redactions.length) {
+      // Rendered before the transcript completes so restricted users never wait on it; if this
+      // fails the audio endpoints render it on demand instead
+      try {
+        await storeRedactedAudio(storage, job.filePath, wavPath, redaction.redactions);
+      } catch (err) {
+        console.warn(`⚠️ [REDACT] Redacted audio for ${job.filePath} not cached: ${err.message}`);
+      }
+    }
+    const processingMs = Date.now() - startedAt;
+    completeTranscript(job.fileId, {
+      model: path.basename(WHISPER_MODEL),
+      language: output.result?.language || WHISPER_LANGUAGE,
+      segments: segments.map(({ words, ...segment }) => segment),
+      processingMs,
+      redaction
+    });
+    const redacted = redaction?.redactions.length ? `, ${redaction.redactions.length} PII span(s) redacted` : '';
+    console.log(`📝 [TRANSCRIBE] ${job.filePath}: ${segments.length} segment(s) in ${(processingMs / 1000).toFixed(1)}s (audio from ${source}${redacted})`);
+  } catch (err) {
+    const retry = job.attempts < MAX_ATTEMPTS && !(err.message || '').startsWith('whisper.cpp binary not found');
+    failTranscript(job.fileId, err.message, { retry });
+    console.error(`❌ [TRANSCRIBE] ${job.filePath} (attempt ${job.attempts}${retry ? ', will retry' : ''}):`, err.message);
+  } finally {
+    for (const file of [wavPath, `${outputBase}.json`]) {
+      fs.rm(file, { force: true }, () => {});
+    }
+  }
+}
+
+async function runWorker(storage) {
+  activeWorkers++;
+  try {
+    let job;
+    while ((job = claimNextTranscript())) {
+      await transcribeRecording(storage, job);
+      if (PAUSE_MS) await new Promise(resolve => setTimeout(resolve, PAUSE_MS));
+    }
+  } catch (err) {
+    console.error('❌ [TRANSCRIBE] Worker error:', err);
+  } finally {
+    activeWorkers--;
+  }
+}
+
+function pollTranscriptions() {
+  if (!workerStorage) return;
+  try {
+    const since = new Date(Date.now() - BACKLOG_DAYS * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    const queued = enqueueNewTranscripts(since);
+    if (queued) console.log(`📥 [TRANSCRIBE] Queued ${queued} new recording(s)`);
+  } catch (err) {
+    console.error('❌ [TRANSCRIBE] Failed to queue new recordings:', err.message);
+  }
+  // A worker with nothing to claim finishes synchronously, so count the slots up front
+  const idleSlots = CONCURRENCY - activeWorkers;
+  for (let i = 0; i < idleSlots; i++) runWorker(workerStorage);
+}
+
+// On-demand request from the transcript endpoint; returns the transcript row as it now stands
+export function requestTranscription(fileId) {
+  const transcript = requestTranscript(fileId);
+  setImmediate(pollTranscriptions);
+  return transcript;
+}
+
+export function startTranscriptionWorker(storage) {
+  if (!isTranscriptionEnabled()) {
+    console.log('ℹ️  [TRANSCRIBE] WHISPER_MODEL not set; transcription and PII redaction disabled');
+    return;
+  }
+  workerStorage = storage;
+  try {
+    scanUnscannedTranscripts();
+  } catch (err) {
+    console.error('❌ [REDACT] Failed to scan existing transcripts:', err.message);
+  }
+  const requeued = requeueInterruptedTranscripts();
+  if (requeued) console.log(`🔁 [TRANSCRIBE] Re-queued ${requeued} interrupted transcription(s)`);
+  console.log(`🗣️  [TRANSCRIBE] Worker started (${WHISPER_BIN}, model ${path.basename(WHISPER_MODEL)}, ${CONCURRENCY} at a time, last ${BACKLOG_DAYS} day(s) queued automatically)`);
+  setInterval(pollTranscriptions, POLL_MS);
+  pollTranscriptions();
+}
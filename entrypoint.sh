@@ -7,11 +7,20 @@ if [ "$STORAGE_TYPE" = "b2" ]; then
     echo "Missing Backblaze B2 credentials or bucket. Set B2_ACCOUNT, B2_KEY, B2_BUCKET, SFTP_USER, and SFTP_PASS environment variables."
     exit 1
   fi
+  if [ -z "$B2_ENDPOINT" ] && [ -z "$B2_REGION" ]; then
+    echo "Missing Backblaze B2 S3 endpoint. Set B2_ENDPOINT (e.g. https://s3.us-west-004.backblazeb2.com) or B2_REGION."
+    exit 1
+  fi
 elif [ "$STORAGE_TYPE" = "aws" ]; then
   if [ -z "$AWS_ACCESS_KEY_ID" ] || [ -z "$AWS_SECRET_ACCESS_KEY" ] || [ -z "$AWS_BUCKET" ] || [ -z "$AWS_REGION" ]; then
     echo "Missing AWS S3 credentials or bucket. Set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, and AWS_BUCKET environment variables."
     exit 1
   fi
+elif [ "$STORAGE_TYPE" = "local" ]; then
+  if [ -z "$WAV_DIR" ]; then
+    echo "Missing WAV_DIR. Local storage serves recordings from the WAV_DIR directory."
+    exit 1
+  fi
 else
   echo "Unsupported storage type: $STORAGE_TYPE"
   exit 1
@@ -46,7 +55,7 @@ if [ "$STORAGE_TYPE" = "aws" ]; then
   s3fs $AWS_BUCKET "$WAV_DIR" -o passwd_file=/etc/s3fs/credentials -o allow_other 2>&1 | tee /tmp/s3fs.log &
   sleep 5
 fi
-if ! mountpoint -q "$WAV_DIR"; then
+if [ "$STORAGE_TYPE" != "local" ] && ! mountpoint -q "$WAV_DIR"; then
   echo "Mount failed: $WAV_DIR is not a valid mount point"
   cat /tmp/s3fs.log
   exit 1
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useUser, useAuth } from '@clerk/clerk-react';
+import { useAccess } from './access';
+import { useDisplayTimezone } from './timezone';
 import {
   Box,
   Typography,
@@ -37,16 +39,23 @@ import {
   Sync as SyncIcon,
   Warning as WarningIcon,
   Security as AuditIcon,
-  People as UsersIcon
+  People as UsersIcon,
+  AdminPanelSettings as RolesIcon,
+  Groups as TeamsIcon,
+  DeleteSweep as RetentionIcon,
+  Rule as ParseRulesIcon,
+  ArrowUpward as MoveUpIcon,
+  ArrowDownward as MoveDownIcon
 } from '@mui/icons-material';
 
 function AdminPage({ darkMode }) {
   const { user, isLoaded } = useUser();
   const { getToken } = useAuth();
+  const { format: formatTimestamp, timeZone } = useDisplayTimezone();
   const [dbStats, setDbStats] = useState(null);
-  const [syncing, setSyncing] = useState(false);
-  const [syncProgress, setSyncProgress] = useState("");
-  const [currentTab, setCurrentTab] = useState(0);
+  const [jobs, setJobs] = useState([]);
+  const [jobsMessage, setJobsMessage] = useState(null);
+  const [currentTab, setCurrentTab] = useState(null);
   
   // Audit state
   const [auditLogs, setAuditLogs] = useState([]);
@@ -90,18 +99,97 @@ function AdminPage({ darkMode }) {
   const [sessionsPage, setSessionsPage] = useState(1);
   const callIdDebounceRef = React.useRef(null);
 
-  // Check if user has admin role
-  const isAdmin = user?.publicMetadata?.role === 'admin';
+  // Tabs are shown per permission (roles come from the backend, not Clerk metadata)
+  const { loaded: accessLoaded, role, roleSource, can } = useAccess();
+  const canSync = can('run_sync');
+  const canViewAudit = can('view_audit');
+  const canManageUsers = can('manage_users');
+  const canManageRetention = can('manage_retention');
+  const isAdmin = canSync || canViewAudit || canManageUsers || canManageRetention;
+  const availableTabs = [
+    canSync && 'database',
+    canSync && 'parsing',
+    canViewAudit && 'audit',
+    canViewAudit && 'sessions',
+    canManageUsers && 'roles',
+    canManageUsers && 'teams',
+    canManageRetention && 'retention'
+  ].filter(Boolean);
+  const activeTab = availableTabs.includes(currentTab) ? currentTab : availableTabs[0];
+
+  // Roles state
+  const [roles, setRoles] = useState([]);
+  const [defaultRole, setDefaultRole] = useState(null);
+  const [roleUsers, setRoleUsers] = useState([]);
+  const [roleSearch, setRoleSearch] = useState('');
+  const [rolesLoading, setRolesLoading] = useState(false);
+  const [rolesMessage, setRolesMessage] = useState(null);
+
+  // Call details (Five9 call-log CSV import) state
+  const [callImports, setCallImports] = useState([]);
+  const [callDetailsTotal, setCallDetailsTotal] = useState(0);
+  const [callMapping, setCallMapping] = useState({});
+  const [callMappingFields, setCallMappingFields] = useState([]);
+  const [callImportMessage, setCallImportMessage] = useState(null);
+  const [callImportBusy, setCallImportBusy] = useState(false);
 
   useEffect(() => {
-    if (isLoaded && !isAdmin) {
-      // Redirect non-admin users or show error
-      return;
-    }
-    if (isAdmin) {
+    if (canSync) {
       fetchDatabaseStats();
+      fetchJobs();
+      fetchCallDetails();
+    }
+  }, [canSync]);
+
+  // Poll while anything is queued or running so the progress bars stay live
+  const hasActiveJobs = jobs.some(job => job.status === 'queued' || job.status === 'running');
+  useEffect(() => {
+    if (!hasActiveJobs || activeTab !== 'database') return undefined;
+    const timer = setInterval(fetchJobs, 2000);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, activeTab]);
+
+  // Stats change when a sync/backfill finishes
+  useEffect(() => {
+    if (canSync && !hasActiveJobs) fetchDatabaseStats();
+  }, [hasActiveJobs]);
+
+  // Retention state
+  const [retentionRules, setRetentionRules] = useState([]);
+  const [legalHolds, setLegalHolds] = useState([]);
+  const [retentionPreview, setRetentionPreview] = useState(null);
+  const [retentionMessage, setRetentionMessage] = useState(null);
+  const [retentionBusy, setRetentionBusy] = useState(false);
+  const [newRule, setNewRule] = useState({ name: '', retainDays: '', emailDomain: '', pathPrefix: '' });
+  const [newHold, setNewHold] = useState({ target: '', reason: '' });
+
+  // Filename parsing rules state
+  const emptyParseRule = { name: '', pattern: '', dateFormat: 'M_D_YYYY', timeFormat: 'h_mm_ss A', durationUnit: 'ms', fields: { date: 'date' }, enabled: true };
+  const [parseRules, setParseRules] = useState([]);
+  const [parseInfo, setParseInfo] = useState({ version: null, outdatedFiles: 0, fields: [], durationUnits: ['ms', 's'] });
+  const [parseEditor, setParseEditor] = useState(null); // rule being edited/added, null when closed
+  const [parseSamples, setParseSamples] = useState('');
+  const [parsePreview, setParsePreview] = useState(null);
+  const [parseMessage, setParseMessage] = useState(null);
+
+  // Teams state
+  const [teams, setTeams] = useState([]);
+  const [teamsLoading, setTeamsLoading] = useState(false);
+  const [teamsMessage, setTeamsMessage] = useState(null);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [teamInputs, setTeamInputs] = useState({}); // teamId -> { members: '', managers: '' }
+
+  useEffect(() => {
+    if (activeTab === 'roles') {
+      fetchRoles();
+    } else if (activeTab === 'teams') {
+      fetchTeams();
+    } else if (activeTab === 'retention') {
+      fetchRetention();
+    } else if (activeTab === 'parsing') {
+      fetchParseRules();
     }
-  }, [isLoaded, isAdmin]);
+  }, [activeTab]);
 
   const fetchDatabaseStats = async () => {
     try {
@@ -125,6 +213,7 @@ function AdminPage({ darkMode }) {
       const params = new URLSearchParams({
         limit: '50',
         offset: ((page - 1) * 50).toString(),
+        tz: timeZone,
         ...(auditFilters.actionType && { actionType: auditFilters.actionType }),
         ...(auditFilters.startDate && { startDate: auditFilters.startDate }),
         ...(auditFilters.endDate && { endDate: auditFilters.endDate }),
@@ -166,6 +255,7 @@ function AdminPage({ darkMode }) {
       const params = new URLSearchParams({
         limit: '50',
         offset: ((page - 1) * 50).toString(),
+        tz: timeZone,
         ...(auditFilters.startDate && { startDate: auditFilters.startDate }),
         ...(auditFilters.endDate && { endDate: auditFilters.endDate }),
         ...(auditFilters.userId && { userId: auditFilters.userId }),
@@ -204,37 +294,420 @@ function AdminPage({ darkMode }) {
     }
   };
 
-  const syncDatabase = async (dateRange = null) => {
-    setSyncing(true);
-    setSyncProgress("Starting database sync...");
-    
+  const fetchRoles = async (search = roleSearch) => {
+    if (!canManageUsers) return;
+    setRolesLoading(true);
+    try {
+      const headers = { 'Authorization': `Bearer ${await getToken()}` };
+      const [rolesResp, usersResp] = await Promise.all([
+        fetch('/api/roles', { headers }),
+        fetch(`/api/user-roles?limit=200${search ? `&q=${encodeURIComponent(search)}` : ''}`, { headers })
+      ]);
+      const rolesData = await rolesResp.json();
+      const usersData = await usersResp.json();
+      setRoles(rolesData.roles || []);
+      setDefaultRole(rolesData.defaultRole || null);
+      setRoleUsers(usersData.users || []);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      setRolesMessage({ severity: 'error', text: `Failed to load roles: ${error.message}` });
+    } finally {
+      setRolesLoading(false);
+    }
+  };
+
+  const assignRole = async (target, newRole) => {
+    setRolesMessage(null);
+    try {
+      const response = await fetch(`/api/user-roles/${encodeURIComponent(target.user_id)}`, newRole ? {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${await getToken()}`
+        },
+        body: JSON.stringify({ role: newRole, email: target.user_email })
+      } : {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${await getToken()}` }
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setRolesMessage({ severity: 'error', text: result.error || `Failed (${response.status})` });
+        return;
+      }
+      setRolesMessage({ severity: 'success', text: newRole ? `${target.user_email} is now ${newRole}` : `Removed role assignment for ${target.user_email}` });
+      await fetchRoles();
+    } catch (error) {
+      setRolesMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  const fetchTeams = async () => {
+    if (!canManageUsers) return;
+    setTeamsLoading(true);
+    try {
+      const response = await fetch('/api/teams', {
+        headers: { 'Authorization': `Bearer ${await getToken()}` }
+      });
+      const data = await response.json();
+      setTeams(data.teams || []);
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+      setTeamsMessage({ severity: 'error', text: `Failed to load teams: ${error.message}` });
+    } finally {
+      setTeamsLoading(false);
+    }
+  };
+
+  // Shared request helper for the team mutations; reloads the list on success
+  const teamRequest = async (url, method, body = null) => {
+    setTeamsMessage(null);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          'Authorization': `Bearer ${await getToken()}`
+        },
+        ...(body ? { body: JSON.stringify(body) } : {})
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setTeamsMessage({ severity: 'error', text: result.error || `Failed (${response.status})` });
+        return false;
+      }
+      await fetchTeams();
+      return true;
+    } catch (error) {
+      setTeamsMessage({ severity: 'error', text: error.message });
+      return false;
+    }
+  };
+
+  const addTeam = async () => {
+    if (!newTeamName.trim()) return;
+    if (await teamRequest('/api/teams', 'POST', { name: newTeamName.trim() })) setNewTeamName('');
+  };
+
+  const addToTeam = async (teamId, kind) => {
+    const email = (teamInputs[teamId]?.[kind] || '').trim();
+    if (!email) return;
+    if (await teamRequest(`/api/teams/${teamId}/${kind}`, 'POST', { email })) {
+      setTeamInputs({ ...teamInputs, [teamId]: { ...teamInputs[teamId], [kind]: '' } });
+    }
+  };
+
+  // JSON request helper for the admin panels; throws with the server's error message
+  const apiRequest = async (url, method = 'GET', body = null) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        'Authorization': `Bearer ${await getToken()}`
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Failed (${response.status})`);
+    return data;
+  };
+
+  const fetchRetention = async () => {
+    if (!canManageRetention) return;
+    try {
+      const [rulesData, holdsData] = await Promise.all([
+        apiRequest('/api/retention/rules'),
+        apiRequest('/api/retention/holds')
+      ]);
+      setRetentionRules(rulesData.rules || []);
+      setLegalHolds(holdsData.holds || []);
+    } catch (error) {
+      setRetentionMessage({ severity: 'error', text: `Failed to load retention settings: ${error.message}` });
+    }
+  };
+
+  // Wraps a retention mutation: shows errors, refreshes rules/holds and clears a stale preview
+  const retentionAction = async (action, successText) => {
+    setRetentionMessage(null);
+    try {
+      await action();
+      if (successText) setRetentionMessage({ severity: 'success', text: successText });
+      setRetentionPreview(null);
+      await fetchRetention();
+      return true;
+    } catch (error) {
+      setRetentionMessage({ severity: 'error', text: error.message });
+      return false;
+    }
+  };
+
+  const addRetentionRule = async () => {
+    const ok = await retentionAction(() => apiRequest('/api/retention/rules', 'POST', {
+      name: newRule.name,
+      retainDays: parseInt(newRule.retainDays, 10),
+      emailDomain: newRule.emailDomain || null,
+      pathPrefix: newRule.pathPrefix || null
+    }), `Rule "${newRule.name}" added`);
+    if (ok) setNewRule({ name: '', retainDays: '', emailDomain: '', pathPrefix: '' });
+  };
+
+  const addLegalHold = async () => {
+    const target = newHold.target.trim();
+    if (!target) return;
+    // Anything that looks like a path is a single recording, otherwise treat it as a call ID
+    const body = target.includes('/') || target.endsWith('.wav')
+      ? { filePath: target, reason: newHold.reason }
+      : { callId: target, reason: newHold.reason };
+    const ok = await retentionAction(() => apiRequest('/api/retention/holds', 'POST', body), 'Legal hold added');
+    if (ok) setNewHold({ target: '', reason: '' });
+  };
+
+  const previewPurge = async () => {
+    setRetentionBusy(true);
+    setRetentionMessage(null);
+    try {
+      setRetentionPreview(await apiRequest('/api/retention/preview?limit=50'));
+    } catch (error) {
+      setRetentionMessage({ severity: 'error', text: error.message });
+    } finally {
+      setRetentionBusy(false);
+    }
+  };
+
+  const purgeNow = async () => {
+    if (!window.confirm('Permanently delete all recordings that are past retention? This cannot be undone.')) return;
+    setRetentionBusy(true);
+    setRetentionMessage(null);
+    try {
+      const result = await apiRequest('/api/retention/purge', 'POST', {});
+      setRetentionMessage({ severity: result.failed ? 'warning' : 'success', text: `Removed ${result.removed} recording(s)${result.failed ? `, ${result.failed} failed` : ''}${result.remaining ? `, ${result.remaining} left for the next run` : ''}` });
+      setRetentionPreview(null);
+    } catch (error) {
+      setRetentionMessage({ severity: 'error', text: error.message });
+    } finally {
+      setRetentionBusy(false);
+    }
+  };
+
+  const fetchParseRules = async () => {
+    try {
+      const data = await apiRequest('/api/parse-rules');
+      setParseRules(data.rules || []);
+      setParseInfo({ version: data.version, outdatedFiles: data.outdatedFiles || 0, fields: data.fields || [], durationUnits: data.durationUnits || ['ms', 's'] });
+      if (!parseSamples && data.samples?.length) setParseSamples(data.samples.join('\n'));
+    } catch (error) {
+      setParseMessage({ severity: 'error', text: `Failed to load parsing rules: ${error.message}` });
+    }
+  };
+
+  const parseRuleAction = async (action, successText) => {
+    setParseMessage(null);
+    try {
+      await action();
+      if (successText) setParseMessage({ severity: 'success', text: successText });
+      await fetchParseRules();
+      return true;
+    } catch (error) {
+      setParseMessage({ severity: 'error', text: error.message });
+      return false;
+    }
+  };
+
+  const ruleBody = (rule) => ({
+    name: rule.name,
+    pattern: rule.pattern,
+    dateFormat: rule.dateFormat,
+    timeFormat: rule.timeFormat || null,
+    durationUnit: rule.durationUnit || 'ms',
+    fields: Object.fromEntries(Object.entries(rule.fields || {}).filter(([, group]) => String(group ?? '').trim() !== '')),
+    enabled: rule.enabled !== false
+  });
+
+  const saveParseRule = async () => {
+    const body = ruleBody(parseEditor);
+    const ok = await parseRuleAction(
+      () => parseEditor.id
+        ? apiRequest(`/api/parse-rules/${parseEditor.id}`, 'PUT', body)
+        : apiRequest('/api/parse-rules', 'POST', body),
+      `Rule "${body.name}" saved — existing rows need a re-parse to pick it up`
+    );
+    if (ok) setParseEditor(null);
+  };
+
+  const moveParseRule = (index, delta) => {
+    const ids = parseRules.map(rule => rule.id);
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    parseRuleAction(() => apiRequest('/api/parse-rules/order', 'PUT', { ids }));
+  };
+
+  // Runs the samples through the saved rules, or through the editor's draft in place of the rule it edits
+  const previewParseRules = async () => {
+    setParseMessage(null);
+    const samples = parseSamples.split('\n').map(line => line.trim()).filter(Boolean);
+    let rules;
+    if (parseEditor) {
+      const draft = ruleBody(parseEditor);
+      rules = parseEditor.id
+        ? parseRules.map(rule => (rule.id === parseEditor.id ? { ...draft, id: rule.id } : ruleBody(rule)))
+        : [...parseRules.map(ruleBody), { ...draft, id: null }];
+    }
+    try {
+      const data = await apiRequest('/api/parse-rules/preview', 'POST', { samples, ...(rules ? { rules } : {}) });
+      setParsePreview(data.results || []);
+    } catch (error) {
+      setParseMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  const startReparse = async () => {
+    setParseMessage(null);
+    try {
+      const result = await apiRequest('/api/parse-rules/reparse', 'POST', {});
+      setParseMessage({ severity: 'info', text: `Re-parse job #${result.jobId} ${result.existing ? 'is already running' : 'queued'} — follow its progress on the Database Management tab` });
+      fetchJobs();
+    } catch (error) {
+      setParseMessage({ severity: 'error', text: `Failed to start re-parse: ${error.message}` });
+    }
+  };
+
+  const fetchCallDetails = async () => {
+    try {
+      const [importsData, mappingData] = await Promise.all([
+        apiRequest('/api/call-details/imports'),
+        apiRequest('/api/call-details/mapping')
+      ]);
+      setCallImports(importsData.imports || []);
+      setCallDetailsTotal(importsData.totalCallDetails || 0);
+      setCallMapping(mappingData.mapping || {});
+      setCallMappingFields(mappingData.fields || []);
+    } catch (error) {
+      setCallImportMessage({ severity: 'error', text: `Failed to load call details: ${error.message}` });
+    }
+  };
+
+  const saveCallMapping = async () => {
+    setCallImportMessage(null);
     try {
-      const body = dateRange ? { dateRange } : {};
-      const response = await fetch('/api/sync-database', {
+      const data = await apiRequest('/api/call-details/mapping', 'PUT', { mapping: callMapping });
+      setCallMapping(data.mapping);
+      setCallImportMessage({ severity: 'success', text: 'Column mapping saved' });
+    } catch (error) {
+      setCallImportMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  // The CSV is sent as the raw request body; the server applies the saved column mapping
+  const importCallDetailsCsv = async (file) => {
+    if (!file) return;
+    setCallImportMessage(null);
+    setCallImportBusy(true);
+    try {
+      const response = await fetch(`/api/call-details/import?filename=${encodeURIComponent(file.name)}`, {
         method: 'POST',
-        headers: { 
+        headers: {
+          'Content-Type': 'text/csv',
+          'Authorization': `Bearer ${await getToken()}`
+        },
+        body: await file.text()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Failed (${response.status})`);
+      const { rows_imported: imported, rows_matched: matched, rows_skipped: skipped } = data.import;
+      const missing = data.missingColumns?.length ? ` Columns not found: ${data.missingColumns.join(', ')}.` : '';
+      setCallImportMessage({
+        severity: missing ? 'warning' : 'success',
+        text: `Imported ${imported} call(s) from ${file.name}, ${matched} matched to recordings${skipped ? `, ${skipped} row(s) skipped` : ''}.${missing}`
+      });
+      await fetchCallDetails();
+    } catch (error) {
+      setCallImportMessage({ severity: 'error', text: `Import failed: ${error.message}` });
+    } finally {
+      setCallImportBusy(false);
+    }
+  };
+
+  const fetchJobs = async () => {
+    try {
+      const response = await fetch('/api/jobs?limit=10', {
+        headers: { 'Authorization': `Bearer ${await getToken()}` }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setJobs(data.jobs || []);
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+    }
+  };
+
+  const startJob = async (endpoint, body = {}) => {
+    setJobsMessage(null);
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${await getToken()}`
         },
         body: JSON.stringify(body)
       });
-      
       const result = await response.json();
-      
-      if (result.success) {
-        setSyncProgress(`✅ Synced ${result.indexedFiles} files in ${result.duration}`);
-        await fetchDatabaseStats(); // Refresh stats
-      } else {
-        setSyncProgress(`❌ Sync failed: ${result.error}`);
+      if (!response.ok || !result.success) throw new Error(result.error || `HTTP ${response.status}`);
+      if (result.existing) {
+        setJobsMessage({ severity: 'info', text: `A ${result.job.type} job is already ${result.job.status} (#${result.jobId})` });
       }
+      await fetchJobs();
     } catch (error) {
-      setSyncProgress(`❌ Sync failed: ${error.message}`);
-    } finally {
-      setSyncing(false);
+      setJobsMessage({ severity: 'error', text: `Failed to start job: ${error.message}` });
+    }
+  };
+
+  const cancelJob = async (jobId) => {
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/cancel`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${await getToken()}` }
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+      await fetchJobs();
+    } catch (error) {
+      setJobsMessage({ severity: 'error', text: `Failed to cancel job: ${error.message}` });
     }
   };
 
-  if (!isLoaded) {
+  const jobTypeLabels = {
+    sync_database: 'Database sync',
+    backfill_files: 'File metadata backfill',
+    backfill_audit_callids: 'Audit call ID backfill',
+    reparse_files: 'Filename re-parse',
+    backfill_call_times: 'Call time (UTC) backfill',
+    repair_sessions: 'Session repair'
+  };
+
+  const jobStatusColors = {
+    queued: 'default',
+    running: 'primary',
+    completed: 'success',
+    failed: 'error',
+    cancelled: 'warning'
+  };
+
+  const isJobTypeActive = (type) => jobs.some(job => job.type === type && (job.status === 'queued' || job.status === 'running'));
+
+  const describeJobResult = (job) => {
+    if (job.error) return job.error;
+    if (!job.result) return job.progress.message || '';
+    const { listed, added, missing, processed, updated, sessionsClosed, durationMs } = job.result;
+    const seconds = durationMs != null ? ` in ${(durationMs / 1000).toFixed(1)}s` : '';
+    if (listed != null) return `${added} new, ${updated} changed, ${missing} missing of ${listed} listed${seconds}`;
+    if (updated != null) return `Updated ${updated} of ${processed} scanned${seconds}`;
+    if (sessionsClosed != null) return `Closed ${sessionsClosed} session(s)${seconds}`;
+    return `Done${seconds}`;
+  };
+
+  if (!isLoaded || !accessLoaded) {
     return <LinearProgress />;
   }
 
@@ -257,13 +730,17 @@ function AdminPage({ darkMode }) {
       
       <Divider sx={{ mb: 3 }} />
 
-      <Tabs value={currentTab} onChange={(e, newValue) => setCurrentTab(newValue)} sx={{ mb: 3 }}>
-        <Tab label="Database Management" icon={<DatabaseIcon />} />
-        <Tab label="Audit Logs" icon={<AuditIcon />} />
-        <Tab label="User Sessions" icon={<UsersIcon />} />
+      <Tabs value={activeTab} onChange={(e, newValue) => setCurrentTab(newValue)} sx={{ mb: 3 }}>
+        {canSync && <Tab value="database" label="Database Management" icon={<DatabaseIcon />} />}
+        {canSync && <Tab value="parsing" label="Filename Parsing" icon={<ParseRulesIcon />} />}
+        {canViewAudit && <Tab value="audit" label="Audit Logs" icon={<AuditIcon />} />}
+        {canViewAudit && <Tab value="sessions" label="User Sessions" icon={<UsersIcon />} />}
+        {canManageUsers && <Tab value="roles" label="Roles" icon={<RolesIcon />} />}
+        {canManageUsers && <Tab value="teams" label="Teams" icon={<TeamsIcon />} />}
+        {canManageRetention && <Tab value="retention" label="Retention" icon={<RetentionIcon />} />}
       </Tabs>
 
-      {currentTab === 0 && (
+      {activeTab === 'database' && (
         <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
           <Typography variant="h6" gutterBottom>
             Database Management - Scale: {dbStats ? `${dbStats.totalFiles.toLocaleString()} files` : 'Loading...'}
@@ -277,43 +754,418 @@ function AdminPage({ darkMode }) {
               <Typography variant="body2" color="text.secondary">
                 Database Path: {dbStats.databasePath}
               </Typography>
+              {dbStats.transcripts && (
+                <Typography variant="body2" color="text.secondary">
+                  Transcripts: {dbStats.transcripts.completed.toLocaleString()} done, {dbStats.transcripts.queued.toLocaleString()} queued, {dbStats.transcripts.running} running, {dbStats.transcripts.failed.toLocaleString()} failed
+                </Typography>
+              )}
+              {dbStats.missingFiles > 0 && (
+                <Typography variant="body2" color="warning.main">
+                  Missing from storage: {dbStats.missingFiles.toLocaleString()} indexed recording(s) no longer exist in the bucket
+                </Typography>
+              )}
             </Box>
           )}
 
           <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
             <Button
               variant="outlined"
-              onClick={() => syncDatabase()}
-              disabled={syncing}
+              onClick={() => startJob('/api/sync-database')}
+              disabled={isJobTypeActive('sync_database')}
               color="warning"
               startIcon={<WarningIcon />}
               title="WARNING: Will sync ALL files - may take time with 300k+ files"
             >
-              {syncing ? 'Syncing...' : 'Full Sync (⚠️ All Files)'}
+              {isJobTypeActive('sync_database') ? 'Syncing...' : 'Full Sync (⚠️ All Files)'}
+            </Button>
+
+            <Button
+              variant="outlined"
+              onClick={() => startJob('/api/backfill-files')}
+              disabled={isJobTypeActive('backfill_files')}
+            >
+              Backfill File Metadata
             </Button>
-            
+
+            <Button
+              variant="outlined"
+              onClick={() => startJob('/api/backfill-call-times')}
+              disabled={isJobTypeActive('backfill_call_times')}
+            >
+              Backfill Call Times (UTC)
+            </Button>
+
+            <Button
+              variant="outlined"
+              onClick={() => startJob('/api/backfill-audit-callids')}
+              disabled={isJobTypeActive('backfill_audit_callids')}
+            >
+              Backfill Audit Call IDs
+            </Button>
+
+            <Button
+              variant="outlined"
+              onClick={() => startJob('/api/repair-sessions')}
+              disabled={isJobTypeActive('repair_sessions')}
+            >
+              Repair Sessions
+            </Button>
+
             <Button
               variant="text"
-              onClick={fetchDatabaseStats}
-              disabled={syncing}
+              onClick={() => { fetchDatabaseStats(); fetchJobs(); }}
               startIcon={<SyncIcon />}
             >
               Refresh Stats
             </Button>
           </Box>
 
-          {syncProgress && (
-            <Box sx={{ mt: 2 }}>
-              <Typography variant="body2" color="text.secondary">
-                {syncProgress}
-              </Typography>
-              {syncing && <LinearProgress sx={{ mt: 1 }} />}
-            </Box>
+          {jobsMessage && (
+            <Alert severity={jobsMessage.severity} sx={{ mt: 2 }} onClose={() => setJobsMessage(null)}>
+              {jobsMessage.text}
+            </Alert>
+          )}
+
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Background Jobs
+          </Typography>
+          {jobs.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No jobs have run yet.</Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Job</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell sx={{ width: '40%' }}>Progress</TableCell>
+                    <TableCell>Started By</TableCell>
+                    <TableCell>Created</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {jobs.map(job => {
+                    const active = job.status === 'queued' || job.status === 'running';
+                    const { current, total } = job.progress;
+                    const percent = total ? Math.min(100, (current / total) * 100) : null;
+                    return (
+                      <TableRow key={job.id}>
+                        <TableCell>
+                          <Typography variant="body2">{jobTypeLabels[job.type] || job.type}</Typography>
+                          <Typography variant="caption" color="text.secondary">#{job.id}{job.attempts > 1 ? ` · attempt ${job.attempts}` : ''}</Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            label={job.cancelRequested && active ? 'cancelling' : job.status}
+                            color={jobStatusColors[job.status] || 'default'}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {active && (
+                            <LinearProgress
+                              variant={percent === null ? 'indeterminate' : 'determinate'}
+                              value={percent ?? 0}
+                              sx={{ mb: 0.5 }}
+                            />
+                          )}
+                          <Typography variant="caption" color="text.secondary">
+                            {active
+                              ? `${current.toLocaleString()}${total ? ` / ${total.toLocaleString()}` : ''}${job.progress.message ? ` · ${job.progress.message}` : ''}`
+                              : describeJobResult(job)}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{job.createdByEmail || 'system'}</TableCell>
+                        <TableCell>{formatTimestamp(job.createdAt)}</TableCell>
+                        <TableCell align="right">
+                          {active && (
+                            <Button size="small" color="error" onClick={() => cancelJob(job.id)} disabled={job.cancelRequested}>
+                              Cancel
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Call Details Import
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Upload a Five9 call-log CSV export to add disposition, campaign, skill, queue wait, direction and ANI/DNIS to recordings by call ID.
+            {' '}{callDetailsTotal.toLocaleString()} call(s) imported so far.
+          </Typography>
+
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {callMappingFields.map(field => (
+              <Grid item xs={12} sm={6} md={3} key={field}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={`${field} column`}
+                  value={callMapping[field] || ''}
+                  onChange={(e) => setCallMapping({ ...callMapping, [field]: e.target.value })}
+                  required={field === 'callId'}
+                />
+              </Grid>
+            ))}
+          </Grid>
+
+          <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+            <Button variant="outlined" onClick={saveCallMapping}>
+              Save Mapping
+            </Button>
+            <Button variant="contained" component="label" disabled={callImportBusy}>
+              {callImportBusy ? 'Importing...' : 'Upload CSV'}
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                hidden
+                onChange={(e) => {
+                  importCallDetailsCsv(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </Button>
+          </Box>
+
+          {callImportMessage && (
+            <Alert severity={callImportMessage.severity} sx={{ mt: 2 }} onClose={() => setCallImportMessage(null)}>
+              {callImportMessage.text}
+            </Alert>
+          )}
+
+          {callImports.length > 0 && (
+            <TableContainer sx={{ mt: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>File</TableCell>
+                    <TableCell align="right">Imported</TableCell>
+                    <TableCell align="right">Matched</TableCell>
+                    <TableCell align="right">Skipped</TableCell>
+                    <TableCell>Imported By</TableCell>
+                    <TableCell>When</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {callImports.map(entry => (
+                    <TableRow key={entry.id}>
+                      <TableCell>{entry.filename || `Import #${entry.id}`}</TableCell>
+                      <TableCell align="right">{entry.rows_imported}</TableCell>
+                      <TableCell align="right">{entry.rows_matched}</TableCell>
+                      <TableCell align="right">{entry.rows_skipped}</TableCell>
+                      <TableCell>{entry.imported_by}</TableCell>
+                      <TableCell>{formatTimestamp(entry.created_at)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Paper>
+      )}
+
+      {activeTab === 'parsing' && (
+        <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
+          <Typography variant="h6" gutterBottom>
+            Filename Parsing Rules {parseInfo.version !== null && <Chip size="small" label={`v${parseInfo.version}`} sx={{ ml: 1 }} />}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Each rule is a regular expression matched against the path below <code>recordings/</code>, with named (or numbered) capture groups mapped to fields. Rules are tried top to bottom and the first match wins; recordings no rule matches are not indexed.
+          </Typography>
+
+          {parseMessage && (
+            <Alert severity={parseMessage.severity} sx={{ mb: 2 }} onClose={() => setParseMessage(null)}>
+              {parseMessage.text}
+            </Alert>
+          )}
+
+          {parseInfo.outdatedFiles > 0 && (
+            <Alert
+              severity="warning"
+              sx={{ mb: 2 }}
+              action={
+                <Button color="inherit" size="small" onClick={startReparse} disabled={isJobTypeActive('reparse_files')}>
+                  {isJobTypeActive('reparse_files') ? 'Re-parsing...' : 'Re-parse'}
+                </Button>
+              }
+            >
+              {parseInfo.outdatedFiles.toLocaleString()} indexed recording(s) were parsed with an older version of these rules.
+            </Alert>
+          )}
+
+          <TableContainer sx={{ mb: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Order</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Pattern</TableCell>
+                  <TableCell>Date / Time Format</TableCell>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {parseRules.map((rule, index) => (
+                  <TableRow key={rule.id} selected={parseEditor?.id === rule.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" sx={{ minWidth: 0 }} disabled={index === 0} onClick={() => moveParseRule(index, -1)}><MoveUpIcon fontSize="small" /></Button>
+                      <Button size="small" sx={{ minWidth: 0 }} disabled={index === parseRules.length - 1} onClick={() => moveParseRule(index, 1)}><MoveDownIcon fontSize="small" /></Button>
+                    </TableCell>
+                    <TableCell>{rule.name}</TableCell>
+                    <TableCell sx={{ maxWidth: 360 }}>
+                      <Tooltip title={rule.pattern} arrow>
+                        <Typography variant="caption" sx={{ fontFamily: 'monospace', display: 'block', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {rule.pattern}
+                        </Typography>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{rule.dateFormat}{rule.timeFormat ? ` / ${rule.timeFormat}` : ''}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={rule.enabled ? 'Enabled' : 'Disabled'}
+                        color={rule.enabled ? 'success' : 'default'}
+                        onClick={() => parseRuleAction(() => apiRequest(`/api/parse-rules/${rule.id}`, 'PUT', { ...ruleBody(rule), enabled: !rule.enabled }))}
+                      />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => setParseEditor({ ...rule, fields: { ...rule.fields } })}>Edit</Button>
+                      <Button size="small" color="error" onClick={() => {
+                        if (window.confirm(`Delete rule "${rule.name}"?`)) parseRuleAction(() => apiRequest(`/api/parse-rules/${rule.id}`, 'DELETE'), 'Rule deleted');
+                      }}>
+                        Delete
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {parseRules.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No rules — nothing will be indexed.</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {parseEditor ? (
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+              <Typography variant="subtitle1" gutterBottom>{parseEditor.id ? `Edit "${parseEditor.name}"` : 'New Rule'}</Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={4}>
+                  <TextField fullWidth size="small" label="Name" value={parseEditor.name} onChange={(e) => setParseEditor({ ...parseEditor, name: e.target.value })} />
+                </Grid>
+                <Grid item xs={12} sm={4} md={3}>
+                  <TextField fullWidth size="small" label="Date format" placeholder="M_D_YYYY" value={parseEditor.dateFormat} onChange={(e) => setParseEditor({ ...parseEditor, dateFormat: e.target.value })} />
+                </Grid>
+                <Grid item xs={12} sm={4} md={3}>
+                  <TextField fullWidth size="small" label="Time format" placeholder="h_mm_ss A" value={parseEditor.timeFormat || ''} onChange={(e) => setParseEditor({ ...parseEditor, timeFormat: e.target.value })} />
+                </Grid>
+                <Grid item xs={12} sm={4} md={2}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Duration unit</InputLabel>
+                    <Select label="Duration unit" value={parseEditor.durationUnit || 'ms'} onChange={(e) => setParseEditor({ ...parseEditor, durationUnit: e.target.value })}>
+                      {parseInfo.durationUnits.map(unit => <MenuItem key={unit} value={unit}>{unit}</MenuItem>)}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Pattern (regular expression)"
+                    value={parseEditor.pattern}
+                    onChange={(e) => setParseEditor({ ...parseEditor, pattern: e.target.value })}
+                    InputProps={{ sx: { fontFamily: 'monospace' } }}
+                  />
+                </Grid>
+                {parseInfo.fields.map(field => (
+                  <Grid item xs={6} sm={4} md={2} key={field}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label={`${field} group`}
+                      value={parseEditor.fields?.[field] ?? ''}
+                      onChange={(e) => setParseEditor({ ...parseEditor, fields: { ...parseEditor.fields, [field]: e.target.value } })}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+              <Box display="flex" gap={2} sx={{ mt: 2 }}>
+                <Button variant="contained" onClick={saveParseRule} disabled={!parseEditor.name.trim() || !parseEditor.pattern.trim()}>Save Rule</Button>
+                <Button variant="outlined" onClick={previewParseRules}>Test Draft</Button>
+                <Button onClick={() => setParseEditor(null)}>Cancel</Button>
+              </Box>
+            </Paper>
+          ) : (
+            <Button variant="outlined" sx={{ mb: 3 }} onClick={() => setParseEditor({ ...emptyParseRule, fields: { ...emptyParseRule.fields } })}>
+              Add Rule
+            </Button>
+          )}
+
+          <Typography variant="subtitle1" gutterBottom>Test Against Sample Filenames</Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            size="small"
+            placeholder="9_26_2025/2012055255 by user@domain.com @ 9_47_43 AM_18600.wav"
+            value={parseSamples}
+            onChange={(e) => setParseSamples(e.target.value)}
+            InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+            sx={{ mb: 1 }}
+          />
+          <Button variant="outlined" onClick={previewParseRules} disabled={!parseSamples.trim()}>
+            {parseEditor ? 'Test With Draft' : 'Test Saved Rules'}
+          </Button>
+
+          {parsePreview && (
+            <TableContainer sx={{ mt: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Sample</TableCell>
+                    <TableCell>Rule</TableCell>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Time</TableCell>
+                    <TableCell>Phone</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell>Duration (ms)</TableCell>
+                    <TableCell>Call ID</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {parsePreview.map((result, index) => (
+                    <TableRow key={index}>
+                      <TableCell sx={{ maxWidth: 280, wordBreak: 'break-all', fontFamily: 'monospace', fontSize: 12 }}>{result.sample}</TableCell>
+                      <TableCell>
+                        {result.matched
+                          ? <Chip size="small" color="success" label={result.ruleName || 'Draft rule'} />
+                          : <Chip size="small" color="error" label="No match" />}
+                      </TableCell>
+                      <TableCell>{result.metadata?.callDate || '-'}</TableCell>
+                      <TableCell>{result.metadata?.callTime || '-'}</TableCell>
+                      <TableCell>{result.metadata?.phone || '-'}</TableCell>
+                      <TableCell>{result.metadata?.email || '-'}</TableCell>
+                      <TableCell>{result.metadata?.durationMs || '-'}</TableCell>
+                      <TableCell>{result.metadata?.callId || '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
           )}
         </Paper>
       )}
 
-      {currentTab === 1 && (
+      {activeTab === 'audit' && (
         <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
           <Typography variant="h6" gutterBottom>
             Audit Logs
@@ -333,6 +1185,15 @@ function AdminPage({ darkMode }) {
                   <MenuItem value="VIEW_FILES">View Files</MenuItem>
                   <MenuItem value="DOWNLOAD_FILE">Download File</MenuItem>
                   <MenuItem value="PLAY_FILE">Play File</MenuItem>
+                  <MenuItem value="VIEW_WAVEFORM">View Waveform</MenuItem>
+                  <MenuItem value="VIEW_TRANSCRIPT">View Transcript</MenuItem>
+                  <MenuItem value="ROLE_ASSIGNED">Role Assigned</MenuItem>
+                  <MenuItem value="ROLE_REVOKED">Role Revoked</MenuItem>
+                  <MenuItem value="TEAM_UPDATED">Team Updated</MenuItem>
+                  <MenuItem value="RETENTION_POLICY_UPDATED">Retention Policy Updated</MenuItem>
+                  <MenuItem value="RETENTION_PURGE">Retention Purge</MenuItem>
+                  <MenuItem value="PARSE_RULES_UPDATED">Parse Rules Updated</MenuItem>
+                  <MenuItem value="CALL_DETAILS_IMPORTED">Call Details Imported</MenuItem>
                 </Select>
               </FormControl>
             </Grid>
@@ -432,7 +1293,7 @@ function AdminPage({ darkMode }) {
                 <TableBody>
                   {auditLogs.map((log) => (
                     <TableRow key={log.id}>
-                      <TableCell>{new Date(log.action_timestamp).toLocaleString()}</TableCell>
+                      <TableCell>{formatTimestamp(log.action_timestamp)}</TableCell>
                       <TableCell>{log.user_email}</TableCell>
                       <TableCell>
                         <Chip 
@@ -496,7 +1357,7 @@ function AdminPage({ darkMode }) {
         </Paper>
       )}
 
-      {currentTab === 2 && (
+      {activeTab === 'sessions' && (
         <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
           <Typography variant="h6" gutterBottom>
             User Sessions
@@ -527,8 +1388,8 @@ function AdminPage({ darkMode }) {
                 {userSessions.map((session) => (
                   <TableRow key={session.id}>
                     <TableCell>{session.user_email}</TableCell>
-                    <TableCell>{new Date(session.login_time).toLocaleString()}</TableCell>
-                    <TableCell>{session.logout_time ? new Date(session.logout_time).toLocaleString() : 'Active'}</TableCell>
+                    <TableCell>{formatTimestamp(session.login_time)}</TableCell>
+                    <TableCell>{session.logout_time ? formatTimestamp(session.logout_time) : 'Active'}</TableCell>
                     <TableCell>
                       {session.session_duration_ms ? 
                         `${Math.round(session.session_duration_ms / 1000 / 60)} min` : 
@@ -559,6 +1420,324 @@ function AdminPage({ darkMode }) {
         </Paper>
       )}
 
+      {activeTab === 'roles' && (
+        <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
+          <Typography variant="h6" gutterBottom>
+            Roles & Permissions
+          </Typography>
+
+          <Box sx={{ mb: 2, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {roles.map(r => (
+              <Tooltip key={r.name} title={`${r.description || ''} — ${r.permissions.join(', ') || 'no permissions'}`} arrow>
+                <Chip label={`${r.name}${r.name === defaultRole ? ' (default)' : ''}`} size="small" variant="outlined" />
+              </Tooltip>
+            ))}
+          </Box>
+
+          <Box sx={{ mb: 2, display: 'flex', gap: 2, alignItems: 'center' }}>
+            <TextField
+              size="small"
+              label="Search users"
+              placeholder="Email or user id"
+              value={roleSearch}
+              onChange={(e) => setRoleSearch(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') fetchRoles(roleSearch); }}
+            />
+            <Button variant="contained" onClick={() => fetchRoles(roleSearch)} disabled={rolesLoading}>
+              Search
+            </Button>
+          </Box>
+
+          {rolesMessage && (
+            <Alert severity={rolesMessage.severity} sx={{ mb: 2 }} onClose={() => setRolesMessage(null)}>
+              {rolesMessage.text}
+            </Alert>
+          )}
+
+          {rolesLoading ? (
+            <LinearProgress />
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>User</TableCell>
+                    <TableCell>Role</TableCell>
+                    <TableCell>Assigned By</TableCell>
+                    <TableCell>Assigned At</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {roleUsers.map(u => (
+                    <TableRow key={u.user_id}>
+                      <TableCell>
+                        <Typography variant="body2">{u.user_email || '-'}</Typography>
+                        <Typography variant="caption" color="text.secondary">{u.user_id}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <FormControl size="small" sx={{ minWidth: 180 }}>
+                          <Select
+                            value={u.role || ''}
+                            displayEmpty
+                            onChange={(e) => assignRole(u, e.target.value || null)}
+                          >
+                            <MenuItem value=""><em>Not assigned (Clerk role / {defaultRole || 'default'})</em></MenuItem>
+                            {roles.map(r => (
+                              <MenuItem key={r.name} value={r.name}>{r.name}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </TableCell>
+                      <TableCell>{u.assigned_by || '-'}</TableCell>
+                      <TableCell>{u.assigned_at ? formatTimestamp(u.assigned_at) : '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {roleUsers.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={4} align="center">
+                        No users found. Users appear here once they have signed in.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Paper>
+      )}
+
+      {activeTab === 'teams' && (
+        <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
+          <Typography variant="h6" gutterBottom>
+            Teams
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Managers see recordings of the agents in the teams they manage. Agents are matched by the email in the recording filename.
+          </Typography>
+
+          <Box sx={{ mb: 2, display: 'flex', gap: 2, alignItems: 'center' }}>
+            <TextField
+              size="small"
+              label="New team name"
+              value={newTeamName}
+              onChange={(e) => setNewTeamName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') addTeam(); }}
+            />
+            <Button variant="contained" onClick={addTeam} disabled={!newTeamName.trim()}>
+              Create Team
+            </Button>
+          </Box>
+
+          {teamsMessage && (
+            <Alert severity={teamsMessage.severity} sx={{ mb: 2 }} onClose={() => setTeamsMessage(null)}>
+              {teamsMessage.text}
+            </Alert>
+          )}
+
+          {teamsLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {teams.map(team => (
+            <Paper key={team.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="subtitle1">{team.name}</Typography>
+                <Button size="small" color="error" onClick={() => {
+                  if (window.confirm(`Delete team "${team.name}"?`)) teamRequest(`/api/teams/${team.id}`, 'DELETE');
+                }}>
+                  Delete
+                </Button>
+              </Box>
+              <Grid container spacing={2}>
+                {[['managers', 'Managers', 'manager@company.com'], ['members', 'Agents', 'agent@company.com']].map(([kind, label, placeholder]) => (
+                  <Grid item xs={12} md={6} key={kind}>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>{label}</Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                      {team[kind].map(email => (
+                        <Chip
+                          key={email}
+                          label={email}
+                          size="small"
+                          onDelete={() => teamRequest(`/api/teams/${team.id}/${kind}/${encodeURIComponent(email)}`, 'DELETE')}
+                        />
+                      ))}
+                      {team[kind].length === 0 && <Typography variant="caption" color="text.secondary">None</Typography>}
+                    </Box>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <TextField
+                        size="small"
+                        placeholder={placeholder}
+                        value={teamInputs[team.id]?.[kind] || ''}
+                        onChange={(e) => setTeamInputs({ ...teamInputs, [team.id]: { ...teamInputs[team.id], [kind]: e.target.value } })}
+                        onKeyDown={(e) => { if (e.key === 'Enter') addToTeam(team.id, kind); }}
+                      />
+                      <Button size="small" onClick={() => addToTeam(team.id, kind)}>Add</Button>
+                    </Box>
+                  </Grid>
+                ))}
+              </Grid>
+            </Paper>
+          ))}
+          {!teamsLoading && teams.length === 0 && (
+            <Typography variant="body2" color="text.secondary">No teams yet.</Typography>
+          )}
+        </Paper>
+      )}
+
+      {activeTab === 'retention' && (
+        <Paper elevation={1} sx={{ p: 3, mb: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
+          <Typography variant="h6" gutterBottom>
+            Retention
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            A recording is deleted (original, cached audio and waveform) once it is older than the longest matching rule. Recordings no rule matches are kept. Legal holds always win.
+          </Typography>
+
+          {retentionMessage && (
+            <Alert severity={retentionMessage.severity} sx={{ mb: 2 }} onClose={() => setRetentionMessage(null)}>
+              {retentionMessage.text}
+            </Alert>
+          )}
+
+          <Typography variant="subtitle1" gutterBottom>Rules</Typography>
+          <TableContainer sx={{ mb: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Keep (days)</TableCell>
+                  <TableCell>Agent Domain</TableCell>
+                  <TableCell>Path Prefix</TableCell>
+                  <TableCell>Enabled</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {retentionRules.map(rule => (
+                  <TableRow key={rule.id}>
+                    <TableCell>{rule.name}</TableCell>
+                    <TableCell>{rule.retain_days}</TableCell>
+                    <TableCell>{rule.email_domain ? `@${rule.email_domain}` : 'Any'}</TableCell>
+                    <TableCell>{rule.path_prefix || 'Any'}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={rule.enabled ? 'Enabled' : 'Disabled'}
+                        color={rule.enabled ? 'success' : 'default'}
+                        onClick={() => retentionAction(() => apiRequest(`/api/retention/rules/${rule.id}`, 'PUT', { name: rule.name, retainDays: rule.retain_days, emailDomain: rule.email_domain, pathPrefix: rule.path_prefix, enabled: !rule.enabled }))}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button size="small" color="error" onClick={() => {
+                        if (window.confirm(`Delete rule "${rule.name}"?`)) retentionAction(() => apiRequest(`/api/retention/rules/${rule.id}`, 'DELETE'), 'Rule deleted');
+                      }}>
+                        Delete
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {retentionRules.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">No retention rules — recordings are kept forever.</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField fullWidth size="small" label="Rule name" value={newRule.name} onChange={(e) => setNewRule({ ...newRule, name: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <TextField fullWidth size="small" label="Keep days" type="number" value={newRule.retainDays} onChange={(e) => setNewRule({ ...newRule, retainDays: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField fullWidth size="small" label="Agent domain (optional)" placeholder="example.com" value={newRule.emailDomain} onChange={(e) => setNewRule({ ...newRule, emailDomain: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <TextField fullWidth size="small" label="Path prefix (optional)" placeholder="recordings/1_" value={newRule.pathPrefix} onChange={(e) => setNewRule({ ...newRule, pathPrefix: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <Button fullWidth variant="contained" onClick={addRetentionRule} disabled={!newRule.name.trim() || !(parseInt(newRule.retainDays, 10) > 0)}>
+                Add Rule
+              </Button>
+            </Grid>
+          </Grid>
+
+          <Typography variant="subtitle1" gutterBottom>Legal Holds</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+            {legalHolds.map(hold => (
+              <Tooltip key={hold.id} title={`${hold.reason || 'No reason given'} — by ${hold.created_by || 'unknown'} on ${formatTimestamp(hold.created_at)}`} arrow>
+                <Chip
+                  size="small"
+                  color="warning"
+                  label={hold.call_id ? `Call ${hold.call_id}` : hold.file_path.split('/').pop()}
+                  onDelete={() => {
+                    if (window.confirm('Release this legal hold?')) retentionAction(() => apiRequest(`/api/retention/holds/${hold.id}`, 'DELETE'), 'Legal hold released');
+                  }}
+                />
+              </Tooltip>
+            ))}
+            {legalHolds.length === 0 && <Typography variant="caption" color="text.secondary">No legal holds.</Typography>}
+          </Box>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={5}>
+              <TextField fullWidth size="small" label="Call ID or recording path" value={newHold.target} onChange={(e) => setNewHold({ ...newHold, target: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <TextField fullWidth size="small" label="Reason" value={newHold.reason} onChange={(e) => setNewHold({ ...newHold, reason: e.target.value })} />
+            </Grid>
+            <Grid item xs={12} md={2}>
+              <Button fullWidth variant="contained" color="warning" onClick={addLegalHold} disabled={!newHold.target.trim()}>
+                Add Hold
+              </Button>
+            </Grid>
+          </Grid>
+
+          <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+            <Button variant="outlined" onClick={previewPurge} disabled={retentionBusy}>
+              Preview Purge (dry run)
+            </Button>
+            <Button variant="outlined" color="error" startIcon={<WarningIcon />} onClick={purgeNow} disabled={retentionBusy || retentionRules.length === 0}>
+              Purge Now
+            </Button>
+          </Box>
+          {retentionBusy && <LinearProgress sx={{ mt: 2 }} />}
+
+          {retentionPreview && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" gutterBottom>
+                {retentionPreview.totalEligible.toLocaleString()} recording(s) would be deleted; {retentionPreview.heldCount.toLocaleString()} skipped because of legal holds.
+              </Typography>
+              {retentionPreview.sample.length > 0 && (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Date</TableCell>
+                        <TableCell>Agent</TableCell>
+                        <TableCell>Call ID</TableCell>
+                        <TableCell>File</TableCell>
+                        <TableCell>Keep (days)</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {retentionPreview.sample.map(f => (
+                        <TableRow key={f.filePath}>
+                          <TableCell>{f.callDate}</TableCell>
+                          <TableCell>{f.email || '-'}</TableCell>
+                          <TableCell>{f.callId || '-'}</TableCell>
+                          <TableCell>{f.filePath.split('/').pop()}</TableCell>
+                          <TableCell>{f.retainDays}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </Box>
+          )}
+        </Paper>
+      )}
+
       <Paper elevation={1} sx={{ p: 3, backgroundColor: darkMode ? 'grey.900' : 'grey.50' }}>
         <Typography variant="h6" gutterBottom>
           System Information
@@ -567,7 +1746,7 @@ function AdminPage({ darkMode }) {
           Admin User: {user?.emailAddresses?.[0]?.emailAddress}
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          Role: {user?.publicMetadata?.role || 'No role assigned'}
+          Role: {role || 'No role assigned'}{roleSource ? ` (${roleSource})` : ''}
         </Typography>
         <Typography variant="body2" color="text.secondary">
           Auto-sync: Current day files are synced every 5 minutes automatically
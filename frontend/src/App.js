@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { ClerkProvider, SignIn, SignUp, SignedIn, SignedOut, UserButton, useUser, useClerk } from '@clerk/clerk-react';
+import { ClerkProvider, SignIn, SignUp, SignedIn, SignedOut, UserButton, useUser, useClerk, useAuth } from '@clerk/clerk-react';
 import { BrowserRouter as Router, Routes, Route, Navigate, Link } from 'react-router-dom';
 import {
   AppBar,
@@ -19,23 +19,61 @@ import { LocalizationProvider } from "@mui/x-date-pickers/LocalizationProvider";
 import { AdapterDayjs } from "@mui/x-date-pickers/AdapterDayjs";
 import FileViewer from './FileViewer';
 import AdminPage from './AdminPage';
+import { AccessProvider, useAccess } from './access';
+import { TimezoneProvider, TimezoneSelect } from './timezone';
 
 // Try build-time env var first, then runtime config
 const CLERK_PUBLISHABLE_KEY = process.env.REACT_APP_CLERK_PUBLISHABLE_KEY;
 
+// Used until /api/config answers (and if it can't be reached)
+const DEFAULT_APP_CONFIG = {
+  appTitle: 'MTGPros Five9 Recordings',
+  allowedEmailDomains: ['mtgpros.com'],
+  hasAllowedEmails: false,
+  businessTimezone: null
+};
+
+const formatDomains = (domains) => {
+  const list = (domains || []).map(d => `@${d}`);
+  if (list.length <= 1) return list[0] || 'approved';
+  return `${list.slice(0, -1).join(', ')} or ${list[list.length - 1]}`;
+};
+
 // Domain validation component
-function DomainValidator({ children }) {
+function DomainValidator({ appConfig, children }) {
   const { user, isLoaded } = useUser();
-  
-  if (!isLoaded) {
-    return <div>Loading...</div>;
-  }
+  const { getToken } = useAuth();
+  const [serverAllowed, setServerAllowed] = useState(null);
   
   const userEmail = user?.emailAddresses?.[0]?.emailAddress;
   const isEmailVerified = user?.emailAddresses?.[0]?.verification?.status === 'verified';
+  const emailDomain = userEmail ? userEmail.slice(userEmail.lastIndexOf('@') + 1).toLowerCase() : null;
+  const domainAllowed = !!emailDomain && (appConfig.allowedEmailDomains || []).includes(emailDomain);
+  // Individually allowlisted addresses aren't published, so ask the server about those users
+  const needsServerCheck = isLoaded && !!userEmail && !domainAllowed && appConfig.hasAllowedEmails;
+
+  useEffect(() => {
+    if (!needsServerCheck) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const token = await getToken();
+        const res = await fetch('/api/access-check', { headers: { 'Authorization': `Bearer ${token}` } });
+        if (!cancelled) setServerAllowed(res.ok);
+      } catch (e) {
+        console.error('Access check failed', e);
+        if (!cancelled) setServerAllowed(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [needsServerCheck, userEmail, getToken]);
+  
+  if (!isLoaded || (needsServerCheck && serverAllowed === null)) {
+    return <div>Loading...</div>;
+  }
   
   // Check if user email is from allowed domain AND verified
-  if (!userEmail || !userEmail.endsWith('@mtgpros.com')) {
+  if (!userEmail || !(domainAllowed || (needsServerCheck && serverAllowed))) {
     return (
       <Container maxWidth="md" sx={{ mt: 8 }}>
         <Paper sx={{ p: 4, textAlign: 'center' }}>
@@ -44,7 +82,7 @@ function DomainValidator({ children }) {
               Access Denied
             </Typography>
             <Typography variant="body1" paragraph>
-              Access to this application is restricted to users with <strong>@mtgpros.com</strong> email addresses only.
+              Access to this application is restricted to users with <strong>{formatDomains(appConfig.allowedEmailDomains)}</strong> email addresses only.
             </Typography>
             <Typography variant="body2" color="text.secondary">
               Your current email: <strong>{userEmail || 'No email found'}</strong>
@@ -71,7 +109,7 @@ function DomainValidator({ children }) {
               Email Verification Required
             </Typography>
             <Typography variant="body1" paragraph>
-              Please verify your email address to access MTGPros Five9 Recordings.
+              Please verify your email address to access {appConfig.appTitle}.
             </Typography>
             <Typography variant="body2" color="text.secondary">
               Your email: <strong>{userEmail}</strong> needs to be verified.
@@ -92,10 +130,10 @@ function DomainValidator({ children }) {
   return children;
 }
 
-function Navigation({ darkMode, setDarkMode }) {
-  const { user } = useUser();
+function Navigation({ appConfig, darkMode, setDarkMode }) {
   const { signOut } = useClerk();
-  const isAdmin = user?.publicMetadata?.role === 'admin';
+  const { can } = useAccess();
+  const showAdmin = can('view_audit') || can('run_sync') || can('manage_users') || can('manage_retention');
 
   const handleLogout = async () => {
     try {
@@ -111,11 +149,11 @@ function Navigation({ darkMode, setDarkMode }) {
     <AppBar position="static" color="default" elevation={1}>
       <Toolbar>
         <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
-          MTGPros Five9 Recordings
+          {appConfig.appTitle}
         </Typography>
         
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-          {isAdmin && (
+          {showAdmin && (
             <Button component={Link} to="/admin" variant="outlined" size="small">
               Admin Dashboard
             </Button>
@@ -125,6 +163,8 @@ function Navigation({ darkMode, setDarkMode }) {
             Files
           </Button>
           
+          <TimezoneSelect />
+
           <FormControlLabel
             control={<Switch checked={darkMode} onChange={(e) => setDarkMode(e.target.checked)} />}
             label="Dark Mode"
@@ -137,9 +177,13 @@ function Navigation({ darkMode, setDarkMode }) {
   );
 }
 
-function AppContent() {
+function AppContent({ appConfig }) {
   const [darkMode, setDarkMode] = useState(localStorage.getItem('darkMode') === 'true');
 
+  useEffect(() => {
+    document.title = appConfig.appTitle;
+  }, [appConfig.appTitle]);
+
   React.useEffect(() => {
     localStorage.setItem('darkMode', darkMode);
   }, [darkMode]);
@@ -154,20 +198,24 @@ function AppContent() {
       <LocalizationProvider dateAdapter={AdapterDayjs}>
         <Router>
           <SignedIn>
-            <DomainValidator>
-              <Navigation darkMode={darkMode} setDarkMode={setDarkMode} />
-              <Routes>
-                <Route path="/" element={<FileViewer darkMode={darkMode} />} />
-                <Route path="/admin" element={<AdminPage darkMode={darkMode} />} />
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Routes>
+            <DomainValidator appConfig={appConfig}>
+              <AccessProvider>
+                <TimezoneProvider businessTimezone={appConfig.businessTimezone}>
+                  <Navigation appConfig={appConfig} darkMode={darkMode} setDarkMode={setDarkMode} />
+                  <Routes>
+                    <Route path="/" element={<FileViewer darkMode={darkMode} appTitle={appConfig.appTitle} />} />
+                    <Route path="/admin" element={<AdminPage darkMode={darkMode} />} />
+                    <Route path="*" element={<Navigate to="/" replace />} />
+                  </Routes>
+                </TimezoneProvider>
+              </AccessProvider>
             </DomainValidator>
           </SignedIn>
           
           <SignedOut>
             <Container maxWidth="sm" sx={{ mt: 8 }}>
               <Typography variant="h4" gutterBottom align="center">
-                MTGPros Five9 Recordings
+                {appConfig.appTitle}
               </Typography>
               <Box sx={{ display: 'flex', justifyContent: 'center' }}>
                 <SignIn routing="hash" />
@@ -186,26 +234,24 @@ function ClerkConfigLoader() {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // If we have a build-time key, use it immediately
-    if (CLERK_PUBLISHABLE_KEY) {
-      setConfig({ clerkPublishableKey: CLERK_PUBLISHABLE_KEY });
-      setLoading(false);
-      return;
-    }
-
-    // Otherwise, fetch config from backend at runtime
+    // Always fetch runtime config (title, allowed domains); a build-time key still wins for Clerk
     fetch('/api/config')
       .then(res => res.json())
       .then(data => {
-        if (data.clerkPublishableKey) {
-          setConfig(data);
+        const clerkPublishableKey = CLERK_PUBLISHABLE_KEY || data.clerkPublishableKey;
+        if (clerkPublishableKey) {
+          setConfig({ ...DEFAULT_APP_CONFIG, ...data, clerkPublishableKey });
         } else {
           setError('Clerk publishable key not configured on server');
         }
       })
       .catch(err => {
         console.error('Failed to load config:', err);
-        setError('Failed to load configuration');
+        if (CLERK_PUBLISHABLE_KEY) {
+          setConfig({ ...DEFAULT_APP_CONFIG, clerkPublishableKey: CLERK_PUBLISHABLE_KEY });
+        } else {
+          setError('Failed to load configuration');
+        }
       })
       .finally(() => setLoading(false));
   }, []);
@@ -243,7 +289,7 @@ function ClerkConfigLoader() {
 
   return (
     <ClerkProvider publishableKey={config.clerkPublishableKey}>
-      <AppContent />
+      <AppContent appConfig={config} />
     </ClerkProvider>
   );
 }
@@ -1,12 +1,12 @@
 import React, { useEffect, useState } from "react";
 import { useUser, useAuth } from '@clerk/clerk-react';
+import { useAccess } from './access';
 import {
   Container,
   Typography,
   IconButton,
   Paper,
   Box,
-  Pagination,
   TextField,
   Table,
   TableBody,
@@ -29,6 +29,7 @@ import {
   Button,
   Alert,
   Slider,
+  Chip,
 } from "@mui/material";
 import PlayArrowIcon from "@mui/icons-material/PlayArrow";
 import PauseIcon from "@mui/icons-material/Pause";
@@ -43,6 +44,9 @@ import { AdapterDayjs } from "@mui/x-date-pickers/AdapterDayjs";
 import { DatePicker } from "@mui/x-date-pickers/DatePicker";
 import { TimePicker } from "@mui/x-date-pickers/TimePicker";
 import dayjs from "dayjs";
+import { useDisplayTimezone, zonedDateTime } from "./timezone";
+import { TranscriptPanel, useTranscript, findTranscriptMatches, formatClock } from "./transcript";
+import { ChannelControls, CHANNEL_LABELS, DEFAULT_CHANNEL_MIX, channelGains, createChannelMixer, loadStereoPreference, saveStereoPreference } from "./stereo";
 
 // Backend now returns structured file objects; this is a passthrough mapper for safety/future
 function normalizeFile(rec) {
@@ -52,12 +56,31 @@ function normalizeFile(rec) {
     phone: rec.phone || '',
     email: rec.email || '',
     time: rec.time || '',
+    callAt: rec.callAt || null,
+    callTz: rec.callTz || null,
     callId: rec.callId || '',
     durationMs: rec.durationMs || 0,
-    size: rec.size || 0
+    size: rec.size || 0,
+    disposition: rec.disposition || '',
+    campaign: rec.campaign || '',
+    direction: rec.direction || '',
+    transcriptHit: rec.transcriptHit || null // { startMs, endMs, snippet: [{ text, match }], hitCount }
   };
 }
 
+// Quick duration ranges for finding abandoned or unusually long calls
+const DURATION_PRESETS = [
+  { label: 'Under 30s', min: '', max: '0:30' },
+  { label: '1–5 min', min: '1:00', max: '5:00' },
+  { label: 'Over 20 min', min: '20:00', max: '' },
+];
+
+// Seconds ("90") or [h:]m:ss ("1:30"); blank counts as valid (no bound)
+function isValidDuration(value) {
+  const text = String(value || '').trim();
+  return !text || /^(\d+(\.\d+)?|\d+:\d{1,2}(:\d{1,2})?)$/.test(text);
+}
+
 function formatDuration(ms) {
   const totalSec = Math.floor(ms / 1000);
   const min = Math.floor(totalSec / 60);
@@ -65,7 +88,10 @@ function formatDuration(ms) {
   return `${min}:${sec.toString().padStart(2, '0')}`;
 }
 
-function FileViewer({ darkMode }) {
+function FileViewer({ darkMode, appTitle = 'MTGPros Five9 Recordings' }) {
+  const { timeZone, businessTimezone } = useDisplayTimezone();
+  // Recordings with a UTC instant follow the display timezone; older rows show the filename's wall clock
+  const shownDateTime = (fileInfo) => zonedDateTime(fileInfo.callAt, timeZone) || fileInfo;
   const { user, isLoaded } = useUser();
   const { getToken } = useAuth();
   const [files, setFiles] = useState([]);
@@ -77,35 +103,62 @@ function FileViewer({ darkMode }) {
   const [volume, setVolume] = useState(0.5); // Default volume 50%
   const [waveformData, setWaveformData] = useState(null); // Audio waveform data
   const [isGeneratingWaveform, setIsGeneratingWaveform] = useState(false);
+  const [stereo, setStereo] = useState(loadStereoPreference); // agent / customer on separate channels
+  const [channelMix, setChannelMix] = useState(DEFAULT_CHANNEL_MIX);
+  const channelMixerRef = React.useRef(null);
+  // Waveform lanes: the mono waveform, or [agent, customer] from ?channels=stereo
+  const waveformLanes = Array.isArray(waveformData) ? (Array.isArray(waveformData[0]) ? waveformData : [waveformData]) : null;
+  const { transcript, retry: retryTranscript } = useTranscript(currentTrack);
+  const [transcriptQuery, setTranscriptQuery] = useState("");
+  const showTranscript = !!transcript && transcript.status !== 'disabled';
+  // Segments matching the transcript search, marked on the seek bar
+  const transcriptMatches = findTranscriptMatches(transcript?.segments, transcriptQuery)
+    .map(index => transcript.segments[index]);
 
   const [calendarDateStart, setCalendarDateStart] = useState(null);
   const [calendarDateEnd, setCalendarDateEnd] = useState(null);
   const [timePickerStart, setTimePickerStart] = useState(null);
   const [timePickerEnd, setTimePickerEnd] = useState(null);
   const [phoneFilter, setPhoneFilter] = useState("");
+  const [searchQuery, setSearchQuery] = useState(""); // free text over phone, email and call ID
+  const [transcriptSearch, setTranscriptSearch] = useState(""); // words / "phrases" spoken in the call
   const [emailFilter, setEmailFilter] = useState("");
   const [sortColumn, setSortColumn] = useState("date");
   const [sortDirection, setSortDirection] = useState("asc");
+  // Duration range, each bound in seconds or m:ss (blank = open-ended)
   const [durationMin, setDurationMin] = useState("");
-  // Removed durationMode; durationMin now always interpreted as minutes
+  const [durationMax, setDurationMax] = useState("");
   const [timeMode, setTimeMode] = useState("range");
   const [callIdFilter, setCallIdFilter] = useState("");
   const callIdDebounceRef = React.useRef(null);
+  // Call details imported from Five9 call-log CSVs (Admin Dashboard)
+  const [dispositionFilter, setDispositionFilter] = useState("");
+  const [campaignFilter, setCampaignFilter] = useState("");
+  const [directionFilter, setDirectionFilter] = useState("");
+  const [callFacets, setCallFacets] = useState({ dispositions: [], campaigns: [], directions: [] });
   const [error500, setError500] = useState(false);
   const [loading, setLoading] = useState(false);
   const [filesPerPage, setFilesPerPage] = useState(25);
   const [totalCount, setTotalCount] = useState(0);
   const [hasMore, setHasMore] = useState(false);
-  const [currentOffset, setCurrentOffset] = useState(0);
+  // Cursor pagination: the request that produced the current page, plus the neighbours' cursors
+  const [currentPaging, setCurrentPaging] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [prevCursor, setPrevCursor] = useState(null);
+  const [pageStart, setPageStart] = useState(0); // row number of the first row shown; null after a jump
+  const [jumpDate, setJumpDate] = useState(null);
 
-  // Get user role for admin features
-  const userRole = user?.publicMetadata?.role;
-  const isAdmin = userRole === 'admin';
-  const isManager = userRole === 'manager';
-  const canDownload = isAdmin || isManager;
+  // Role/permissions resolved by the backend (local role store, Clerk role as fallback)
+  const { can } = useAccess();
+  const isAdmin = can('view_all_files');
+  // The server always limits the list to the user's scope (own calls, managed teams or all);
+  // only users who can see other agents get a free-form email filter
+  const canFilterByAgent = can('view_all_files') || can('view_team_files');
+  const canDownload = can('download');
 
   // Fetch files only when a date is selected or changed
-  const fetchFiles = (start, end, offset = 0, limit = filesPerPage, customSortColumn = null, customSortDirection = null, customDurationMin = null, customPhoneFilter = null, customEmailFilter = null, customTimePickerStart = null, customTimePickerEnd = null, customTimeMode = null) => {
+  // `paging` is null for the first page, or { cursor } / { jumpToDate } with the row number it starts at
+  const fetchFiles = (start, end, offset = 0, limit = filesPerPage, customSortColumn = null, customSortDirection = null, customDurationMin = null, customPhoneFilter = null, customEmailFilter = null, customTimePickerStart = null, customTimePickerEnd = null, customTimeMode = null, paging = null) => {
     if (!start) return;
     setLoading(true);
     setError500(false);
@@ -113,21 +166,30 @@ function FileViewer({ darkMode }) {
     let url = `/api/wav-files?dateStart=${encodeURIComponent(dayjs(start).format("M_D_YYYY"))}`;
     if (end) url += `&dateEnd=${encodeURIComponent(dayjs(end).format("M_D_YYYY"))}`;
     
-    // Add role-based email filtering
-    // Only members are restricted to their own files
-    // Admins, managers, and users with no role can see all files
-    const effectiveEmailFilter = isAdmin || userRole === undefined
+    // Email filter (visibility scope itself is enforced server-side, so users limited to their
+    // own calls send none)
+    const effectiveEmailFilter = canFilterByAgent
       ? (customEmailFilter !== null ? customEmailFilter : emailFilter)
-      : userEmail; // Only members are restricted to their own files
+      : "";
     
   url += `&offset=${offset}&limit=${limit}`;
+    // The total only changes with the filters, so it is counted on the first page and reused after
+    if (paging?.cursor) url += `&cursor=${encodeURIComponent(paging.cursor)}&includeCount=false`;
+    if (paging?.jumpToDate) url += `&jumpToDate=${encodeURIComponent(paging.jumpToDate)}&includeCount=false`;
   if (callIdFilter) url += `&callId=${encodeURIComponent(callIdFilter.trim())}`;
-    url += `&sortBy=${customSortColumn || sortColumn}&sortOrder=${customSortDirection || sortDirection}`;
+    if (searchQuery.trim()) url += `&q=${encodeURIComponent(searchQuery.trim())}`;
+    if (transcriptSearch.trim()) url += `&transcript=${encodeURIComponent(transcriptSearch.trim())}`;
+    if (dispositionFilter) url += `&disposition=${encodeURIComponent(dispositionFilter)}`;
+    if (campaignFilter) url += `&campaign=${encodeURIComponent(campaignFilter)}`;
+    if (directionFilter) url += `&direction=${encodeURIComponent(directionFilter)}`;
+    url += `&sortColumn=${customSortColumn || sortColumn}&sortDirection=${customSortDirection || sortDirection}`;
     
-    if (customDurationMin !== null && customDurationMin !== "") {
-      url += `&durationMin=${encodeURIComponent(customDurationMin)}`;
-    } else if (durationMin !== "") {
-      url += `&durationMin=${encodeURIComponent(durationMin)}`;
+    const minDuration = customDurationMin !== null ? customDurationMin : durationMin;
+    if (minDuration.trim() && isValidDuration(minDuration)) {
+      url += `&durationMin=${encodeURIComponent(minDuration.trim())}`;
+    }
+    if (durationMax.trim() && isValidDuration(durationMax)) {
+      url += `&durationMax=${encodeURIComponent(durationMax.trim())}`;
     }
     
     if (customPhoneFilter !== null && customPhoneFilter !== "") {
@@ -140,12 +202,15 @@ function FileViewer({ darkMode }) {
       url += `&email=${encodeURIComponent(effectiveEmailFilter)}`;
     }
     
+    // Picked times are sent as wall clock; the server reads them in the business timezone.
+    // A range whose start is after its end wraps midnight (e.g. 10 PM - 2 AM).
     const currentTimeMode = customTimeMode !== null ? customTimeMode : timeMode;
-    if (currentTimeMode === "range") {
+    if (currentTimeMode !== "none") {
       const startTime = customTimePickerStart !== null ? customTimePickerStart : timePickerStart;
       const endTime = customTimePickerEnd !== null ? customTimePickerEnd : timePickerEnd;
-      if (startTime) url += `&timeStart=${encodeURIComponent(dayjs(startTime).format("h:mm A"))}`;
-      if (endTime) url += `&timeEnd=${encodeURIComponent(dayjs(endTime).format("h:mm A"))}`;
+      if (startTime || (currentTimeMode === "range" && endTime)) url += `&timeMode=${currentTimeMode}`;
+      if (startTime) url += `&timeStart=${encodeURIComponent(dayjs(startTime).format("HH:mm"))}`;
+      if (endTime && currentTimeMode === "range") url += `&timeEnd=${encodeURIComponent(dayjs(endTime).format("HH:mm"))}`;
     }
 
     const makeRequest = async () => {
@@ -167,9 +232,12 @@ function FileViewer({ darkMode }) {
       })
       .then((data) => {
         setFiles((data.files || []).map(normalizeFile));
-        setTotalCount(data.totalCount);
+        if (!data.totalCountEstimated) setTotalCount(data.totalCount || 0);
         setHasMore(data.hasMore);
-        setCurrentOffset(offset);
+        setNextCursor(data.nextCursor || null);
+        setPrevCursor(data.prevCursor || null);
+        setCurrentPaging(paging);
+        setPageStart(paging ? (paging.rowStart ?? null) : offset);
       })
       .catch((err) => {
         console.error("Error fetching files:", err);
@@ -179,8 +247,7 @@ function FileViewer({ darkMode }) {
   };
 
   const refreshFiles = (reset = false) => {
-    const newOffset = reset ? 0 : currentOffset;
-    fetchFiles(calendarDateStart, calendarDateEnd, newOffset);
+    fetchFiles(calendarDateStart, calendarDateEnd, 0, filesPerPage, null, null, null, null, null, null, null, null, reset ? null : currentPaging);
   };
 
   // Debounced fetch when callIdFilter changes (consistent auto behavior)
@@ -204,9 +271,15 @@ function FileViewer({ darkMode }) {
     fetchFiles(calendarDateStart, calendarDateEnd, 0, filesPerPage, column, newDirection);
   };
 
-  const handlePageChange = (event, value) => {
-    const newOffset = (value - 1) * filesPerPage;
-    fetchFiles(calendarDateStart, calendarDateEnd, newOffset);
+  const goToPage = (cursor, rowStart) => {
+    fetchFiles(calendarDateStart, calendarDateEnd, 0, filesPerPage, null, null, null, null, null, null, null, null, { cursor, rowStart });
+  };
+
+  // Start the date-sorted list at a given day (row numbers are unknown from there)
+  const handleJumpToDate = (value) => {
+    setJumpDate(value);
+    if (!value || !value.isValid()) return;
+    fetchFiles(calendarDateStart, calendarDateEnd, 0, filesPerPage, null, null, null, null, null, null, null, null, { jumpToDate: value.format("YYYY-MM-DD"), rowStart: null });
   };
 
   // Optimized waveform generation with chunked processing
@@ -402,7 +475,9 @@ function FileViewer({ darkMode }) {
     }
   };
 
-  const playAudio = async (filename) => {
+  // `startAt` (seconds) starts playback there, e.g. at a transcript search hit; `transcriptQuery`
+  // pre-fills the transcript panel's search so the hit is marked on the seek bar
+  const playAudio = async (filename, { startAt = 0, transcriptQuery = "", stereo: useStereo = stereo } = {}) => {
     // Stop current audio if playing
     if (playing) {
       playing.pause();
@@ -410,9 +485,11 @@ function FileViewer({ darkMode }) {
       setIsPlaying(false);
       setCurrentTrack(null);
     }
+    closeChannelMixer();
 
     // Clear old waveform data when starting new track
     setWaveformData(null);
+    setTranscriptQuery(transcriptQuery);
 
     try {
       // Get authentication token
@@ -424,6 +501,7 @@ function FileViewer({ darkMode }) {
       // OPTIMIZATION 1: Set up event listeners FIRST
       audio.addEventListener('loadedmetadata', () => {
         setDuration(audio.duration);
+        if (startAt > 0) audio.currentTime = Math.min(startAt, audio.duration);
       });
       
       audio.addEventListener('timeupdate', () => {
@@ -436,6 +514,7 @@ function FileViewer({ darkMode }) {
         setCurrentTrack(null);
         setCurrentTime(0);
         setWaveformData(null);
+        closeChannelMixer();
       });
       
       audio.addEventListener('error', (e) => {
@@ -459,27 +538,37 @@ function FileViewer({ darkMode }) {
       // No blob creation - direct streaming!
       const streamUrl = `/api/audio/${encodeURIComponent(filename)}`;
       
-      // For direct streaming, we need to handle auth differently
-      // Create a fetch request but don't await the blob - use the URL directly
-      const authResponse = await fetch(streamUrl, {
-        method: 'HEAD', // Just check auth
+      // <audio> can't send an Authorization header, so exchange the session token for a
+      // short-lived ticket that only unlocks this recording and put that in the URL instead
+      const ticketResponse = await fetch('/api/playback-tickets', {
+        method: 'POST',
         headers: {
-          'Authorization': `Bearer ${token}`
-        }
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ file: filename })
       });
       
-      if (!authResponse.ok) {
-        console.error('Failed to authenticate for audio stream:', authResponse.status);
+      if (!ticketResponse.ok) {
+        console.error('Failed to get playback ticket:', ticketResponse.status);
         setCurrentTrack(null);
+        // 409: the recording has not been checked for personal data yet (PII redaction)
+        if (ticketResponse.status === 409) {
+          const { error } = await ticketResponse.json().catch(() => ({}));
+          alert(error || 'This recording is not available yet. Please try again shortly.');
+        }
         return;
       }
       
-      // Now set the audio source to stream directly
-      // Note: This won't work with auth headers, so we need a different approach
-      // Let's create a signed URL or use a session-based approach
-      audio.src = `${streamUrl}?auth=${encodeURIComponent(token)}`;
-      
-      console.log('🔗 Audio streaming URL set:', streamUrl);
+      const { ticket } = await ticketResponse.json();
+      const channelsParam = useStereo ? '&channels=stereo' : '';
+      audio.src = `${streamUrl}?ticket=${encodeURIComponent(ticket)}${channelsParam}`;
+
+      // Stereo: each channel gets its own gain and pan (see stereo.js)
+      if (useStereo) {
+        channelMixerRef.current = createChannelMixer(audio);
+        channelMixerRef.current?.apply(channelMix);
+      }
       
       const loadTime = performance.now() - startTime;
       console.log(`⚡ Audio stream URL set in ${loadTime.toFixed(2)}ms`);
@@ -489,6 +578,7 @@ function FileViewer({ darkMode }) {
       
       try {
         await audio.play();
+        await channelMixerRef.current?.resume();
         const playTime = performance.now() - playStartTime;
         console.log(`🚀 Playback started in ${playTime.toFixed(0)}ms (Total: ${(performance.now() - startTime).toFixed(0)}ms)`);
         
@@ -506,7 +596,7 @@ function FileViewer({ darkMode }) {
       setTimeout(async () => {
         console.log('🌊 Starting backend waveform generation...');
         try {
-          const waveformResponse = await fetch(`/api/waveform/${encodeURIComponent(filename)}`, {
+          const waveformResponse = await fetch(`/api/waveform/${encodeURIComponent(filename)}${useStereo ? '?channels=stereo' : ''}`, {
             headers: {
               'Authorization': `Bearer ${token}`
             }
@@ -515,7 +605,7 @@ function FileViewer({ darkMode }) {
           if (waveformResponse.ok) {
             const waveformResult = await waveformResponse.json();
             setWaveformData(waveformResult.waveform);
-            console.log(`📊 Waveform loaded: ${waveformResult.waveform.length} points (${waveformResult.cached ? 'cached' : 'generated'})`);
+            console.log(`📊 Waveform loaded: ${waveformResult.channels || 1} channel(s) (${waveformResult.cached ? 'cached' : 'generated'})`);
             if (!waveformResult.cached && waveformResult.generationTime) {
               console.log(`⏱️ Waveform generation took: ${waveformResult.generationTime}ms`);
               if (waveformResult.duration) {
@@ -537,6 +627,23 @@ function FileViewer({ darkMode }) {
     }
   };
 
+  const closeChannelMixer = () => {
+    channelMixerRef.current?.close();
+    channelMixerRef.current = null;
+  };
+
+  // Switching mode restarts the current recording from the same position in the other conversion
+  const toggleStereo = () => {
+    const next = !stereo;
+    setStereo(next);
+    saveStereoPreference(next);
+    if (currentTrack) playAudio(currentTrack, { startAt: currentTime, transcriptQuery, stereo: next });
+  };
+
+  useEffect(() => {
+    channelMixerRef.current?.apply(channelMix);
+  }, [channelMix]);
+
   const pauseAudio = () => {
     if (playing) {
       playing.pause();
@@ -560,6 +667,7 @@ function FileViewer({ darkMode }) {
       setCurrentTrack(null);
       setCurrentTime(0);
       setWaveformData(null); // Clear waveform data
+      closeChannelMixer();
     }
   };
 
@@ -619,6 +727,9 @@ function FileViewer({ darkMode }) {
       if (!response.ok) {
         if (response.status === 403) {
           return;
+        } else if (response.status === 409) {
+          const { error } = await response.json().catch(() => ({}));
+          alert(error || 'This recording is not available yet. Please try again shortly.');
         } else {
           alert('Failed to download file. Please try again.');
         }
@@ -630,7 +741,9 @@ function FileViewer({ darkMode }) {
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = filename.split('/').pop();
+      // Redacted copies come back as <name>_redacted.wav
+      const disposition = response.headers.get('Content-Disposition') || '';
+      a.download = disposition.match(/filename="([^"]+)"/)?.[1] || filename.split('/').pop();
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -641,6 +754,11 @@ function FileViewer({ darkMode }) {
     }
   };
 
+  // Rows found by transcript search play from their first hit
+  const playbackStart = (fileInfo) => (fileInfo.transcriptHit
+    ? { startAt: fileInfo.transcriptHit.startMs / 1000, transcriptQuery: transcriptSearch.replace(/["*]/g, '').trim() }
+    : undefined);
+
   const handleFilesPerPageChange = (event) => {
     const newLimit = event.target.value;
     setFilesPerPage(newLimit);
@@ -658,7 +776,22 @@ function FileViewer({ darkMode }) {
       }
     }, 300);
     return () => clearTimeout(delayedFilterChange);
-  }, [phoneFilter, emailFilter, durationMin, timePickerStart, timePickerEnd, timeMode]);
+  }, [phoneFilter, emailFilter, durationMin, durationMax, timePickerStart, timePickerEnd, timeMode, dispositionFilter, campaignFilter, directionFilter, searchQuery, transcriptSearch]);
+
+  // Dropdown values for the call detail filters
+  useEffect(() => {
+    if (!isLoaded || !user) return;
+    (async () => {
+      try {
+        const res = await fetch('/api/call-details/facets', {
+          headers: { 'Authorization': `Bearer ${await getToken()}` }
+        });
+        if (res.ok) setCallFacets(await res.json());
+      } catch (err) {
+        console.error("Error fetching call detail facets:", err);
+      }
+    })();
+  }, [isLoaded, user]);
 
   // Keyboard controls for audio player
   useEffect(() => {
@@ -736,7 +869,7 @@ function FileViewer({ darkMode }) {
     <LocalizationProvider dateAdapter={AdapterDayjs}>
       <Container maxWidth="xl" sx={{ py: 4 }}>
         <Typography variant="h4" gutterBottom>
-          MTGPros Five9 Recordings {isAdmin && '(Admin View)'}
+          {appTitle} {isAdmin && '(Admin View)'}
         </Typography>
         
         {/* Audio Player */}
@@ -751,16 +884,17 @@ function FileViewer({ darkMode }) {
               p: 2, 
               zIndex: 1000,
               minWidth: 600,
-              maxWidth: 800,
+              maxWidth: showTranscript ? 1160 : 800,
               background: darkMode ? '#424242' : '#fff'
             }}
           >
-            <Box>
+            <Box display="flex" gap={2}>
+            <Box sx={{ flex: 1, minWidth: 0 }}>
               <Typography variant="subtitle2" noWrap sx={{ mb: 2 }}>
                 Now Playing: {currentTrack.split('/').pop()}
-                {waveformData && Array.isArray(waveformData) && (
+                {waveformLanes && (
                   <span style={{ fontSize: '0.7em', opacity: 0.7, marginLeft: '10px' }}>
-                    (Waveform: {waveformData.length} points)
+                    (Waveform: {waveformLanes[0].length} points{waveformLanes.length > 1 ? `, ${waveformLanes.length} channels` : ''})
                   </span>
                 )}
               </Typography>
@@ -783,7 +917,7 @@ function FileViewer({ darkMode }) {
                   }}
                 >
                   {/* Waveform Visualization */}
-                  {waveformData && Array.isArray(waveformData) && currentTrack ? (
+                  {waveformLanes && currentTrack ? (
                     <Box sx={{ 
                       position: 'absolute', 
                       top: 0, 
@@ -791,16 +925,28 @@ function FileViewer({ darkMode }) {
                       right: 0, 
                       bottom: 0,
                       display: 'flex',
-                      alignItems: 'flex-end', // Align bars to bottom
-                      justifyContent: 'space-between',
-                      px: 1,
-                      gap: 0.1
+                      flexDirection: 'column',
+                      px: 1
                     }}>
-                      {/* Waveform bars */}
-                      {waveformData && Array.isArray(waveformData) && waveformData.map((amplitude, index) => {
+                      {/* Waveform bars, one lane per channel (stereo: agent above customer) */}
+                      {waveformLanes.map((lane, laneIndex) => (
+                      <Box
+                        key={laneIndex}
+                        title={waveformLanes.length > 1 ? CHANNEL_LABELS[laneIndex] : undefined}
+                        sx={{
+                          flex: 1,
+                          display: 'flex',
+                          alignItems: 'flex-end', // Align bars to bottom
+                          justifyContent: 'space-between',
+                          gap: 0.1,
+                          // Dim a channel that is muted or not soloed
+                          opacity: waveformLanes.length > 1 && !channelGains(channelMix)[laneIndex] ? 0.3 : 1
+                        }}
+                      >
+                      {lane.map((amplitude, index) => {
                         // Enhanced amplitude scaling for better visibility
                         const minHeight = 2;
-                        const maxHeight = 45;
+                        const maxHeight = 45 / waveformLanes.length;
                         const scaledHeight = Math.max(minHeight, amplitude * maxHeight);
                         
                         // Color intensity based on amplitude
@@ -824,6 +970,8 @@ function FileViewer({ darkMode }) {
                         />
                         );
                       })}
+                      </Box>
+                      ))}
                       
                       {/* Progress overlay */}
                       <Box sx={{
@@ -902,6 +1050,29 @@ function FileViewer({ darkMode }) {
                       />
                     </Box>
                   )}
+
+                  {/* Transcript search hits */}
+                  {duration > 0 && transcriptMatches.map((segment, index) => (
+                    <Box
+                      key={index}
+                      title={segment.text}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        seekTo(segment.startMs / 1000);
+                      }}
+                      sx={{
+                        position: 'absolute',
+                        top: 0,
+                        left: `${Math.min(100, (segment.startMs / 1000 / duration) * 100)}%`,
+                        height: '100%',
+                        width: '4px',
+                        transform: 'translateX(-2px)',
+                        backgroundColor: '#ffb300',
+                        opacity: 0.9,
+                        zIndex: 1
+                      }}
+                    />
+                  ))}
                 </Box>
                 
                 {/* Time display under the seek bar */}
@@ -937,6 +1108,16 @@ function FileViewer({ darkMode }) {
                   <IconButton onClick={stopAudio} size="small">
                     <StopIcon />
                   </IconButton>
+
+                  <Chip
+                    label="Stereo"
+                    size="small"
+                    color={stereo ? 'primary' : 'default'}
+                    variant={stereo ? 'filled' : 'outlined'}
+                    onClick={toggleStereo}
+                    title="Play agent and customer on separate channels"
+                    sx={{ ml: 1 }}
+                  />
                 </Box>
                 
                 <Box sx={{ display: 'flex', alignItems: 'center', minWidth: 120 }}>
@@ -959,6 +1140,8 @@ function FileViewer({ darkMode }) {
                 </Box>
               </Box>
               
+              {stereo && <ChannelControls mix={channelMix} onChange={setChannelMix} />}
+              
               {/* Keyboard shortcuts hint */}
               <Typography 
                 variant="caption" 
@@ -973,6 +1156,19 @@ function FileViewer({ darkMode }) {
                 ← → arrow keys: seek ±5s | spacebar: play/pause
               </Typography>
             </Box>
+
+            {showTranscript && (
+              <TranscriptPanel
+                transcript={transcript}
+                onRetry={retryTranscript}
+                currentTime={currentTime}
+                onSeek={seekTo}
+                query={transcriptQuery}
+                onQueryChange={setTranscriptQuery}
+                darkMode={darkMode}
+              />
+            )}
+            </Box>
           </Paper>
         )}
 
@@ -1024,9 +1220,37 @@ function FileViewer({ darkMode }) {
           </Box>
         </Paper>
 
+        {/* Free-text search */}
+        <TextField
+          fullWidth
+          size="small"
+          label="Search"
+          placeholder="Phone, email or call ID (partial matches)"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          InputProps={{
+            startAdornment: <InputAdornment position="start">🔍</InputAdornment>,
+          }}
+          sx={{ mb: 2 }}
+        />
+
+        {/* Transcript search */}
+        <TextField
+          fullWidth
+          size="small"
+          label="Transcript Search"
+          placeholder='Words or "exact phrase" spoken in the call (disclos* for prefixes)'
+          value={transcriptSearch}
+          onChange={(e) => setTranscriptSearch(e.target.value)}
+          InputProps={{
+            startAdornment: <InputAdornment position="start">💬</InputAdornment>,
+          }}
+          sx={{ mb: 2 }}
+        />
+
         {/* Column filters */}
         <Grid container spacing={2} mb={2}>
-          <Grid item xs={12} md={3}>
+          <Grid item xs={12} md={4}>
             <TextField
               fullWidth
               size="small"
@@ -1038,7 +1262,7 @@ function FileViewer({ darkMode }) {
               }}
             />
           </Grid>
-          <Grid item xs={12} md={3}>
+          <Grid item xs={12} md={4}>
             <TextField
               fullWidth
               size="small"
@@ -1052,39 +1276,79 @@ function FileViewer({ darkMode }) {
               helperText={callIdFilter ? 'Substring match (2+ chars auto)' : 'Enter 2+ chars for auto filter'}
             />
           </Grid>
-          <Grid item xs={12} md={3}>
+          <Grid item xs={12} md={4}>
             <TextField
               fullWidth
               size="small"
               label="Email"
-              value={(isAdmin || userRole === undefined) ? emailFilter : userEmail}
-              onChange={(e) => (isAdmin || userRole === undefined) && setEmailFilter(e.target.value)}
-              disabled={!(isAdmin || userRole === undefined)}
+              value={canFilterByAgent ? emailFilter : (user?.primaryEmailAddress?.emailAddress || "")}
+              onChange={(e) => canFilterByAgent && setEmailFilter(e.target.value)}
               InputProps={{
+                readOnly: !canFilterByAgent,
                 startAdornment: <InputAdornment position="start">📧</InputAdornment>,
               }}
             />
           </Grid>
-          <Grid item xs={12} md={2}>
+        </Grid>
+        <Grid container spacing={2} mb={2} alignItems="center">
+          <Grid item xs={6} md={2}>
             <TextField
               fullWidth
               size="small"
               label="Min Duration"
+              placeholder="sec or m:ss"
               value={durationMin}
               onChange={(e) => setDurationMin(e.target.value)}
+              error={!isValidDuration(durationMin)}
+              InputProps={{
+                startAdornment: <InputAdornment position="start">⏱️</InputAdornment>,
+              }}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Max Duration"
+              placeholder="sec or m:ss"
+              value={durationMax}
+              onChange={(e) => setDurationMax(e.target.value)}
+              error={!isValidDuration(durationMax)}
               InputProps={{
                 startAdornment: <InputAdornment position="start">⏱️</InputAdornment>,
               }}
             />
           </Grid>
+          <Grid item xs={12} md={8}>
+            <Box display="flex" gap={1} flexWrap="wrap">
+              {DURATION_PRESETS.map(preset => {
+                const active = durationMin === preset.min && durationMax === preset.max;
+                return (
+                  <Chip
+                    key={preset.label}
+                    label={preset.label}
+                    color={active ? 'primary' : 'default'}
+                    variant={active ? 'filled' : 'outlined'}
+                    onClick={() => {
+                      setDurationMin(active ? '' : preset.min);
+                      setDurationMax(active ? '' : preset.max);
+                    }}
+                  />
+                );
+              })}
+              {(durationMin || durationMax) && (
+                <Chip label="Any duration" variant="outlined" onClick={() => { setDurationMin(''); setDurationMax(''); }} />
+              )}
+            </Box>
+          </Grid>
         </Grid>
         <Grid container spacing={2} mb={2}>
           <Grid item xs={6} md={3}>
             <TimePicker
-              label="Start Time"
+              label={timeMode === 'range' ? 'Start Time' : 'Time'}
               value={timePickerStart}
               onChange={setTimePickerStart}
-              disabled={timeMode !== 'range'}
+              disabled={timeMode === 'none'}
               slotProps={{ textField: { size: 'small', fullWidth: true } }}
             />
           </Grid>
@@ -1102,11 +1366,42 @@ function FileViewer({ darkMode }) {
               <InputLabel>Time Filter</InputLabel>
               <Select value={timeMode} onChange={(e) => setTimeMode(e.target.value)}>
                 <MenuItem value="range">Time Range</MenuItem>
+                <MenuItem value="older">Older Than (earlier in day)</MenuItem>
+                <MenuItem value="newer">Newer Than (later in day)</MenuItem>
                 <MenuItem value="none">No Time Filter</MenuItem>
               </Select>
             </FormControl>
           </Grid>
+          <Grid item xs={12} md={3} sx={{ display:'flex', alignItems:'center' }}>
+            <Typography variant="caption" color="text.secondary">
+              {timeMode === 'range' && timePickerStart && timePickerEnd && dayjs(timePickerStart).format('HH:mm') > dayjs(timePickerEnd).format('HH:mm')
+                ? 'Overnight window (wraps midnight). '
+                : ''}
+              {businessTimezone ? `Date and time filters use ${businessTimezone}; times are shown in ${timeZone}.` : ''}
+            </Typography>
+          </Grid>
         </Grid>
+        {(callFacets.dispositions.length > 0 || callFacets.campaigns.length > 0 || callFacets.directions.length > 0) && (
+          <Grid container spacing={2} mb={2}>
+            {[
+              { label: 'Disposition', value: dispositionFilter, onChange: setDispositionFilter, options: callFacets.dispositions },
+              { label: 'Campaign', value: campaignFilter, onChange: setCampaignFilter, options: callFacets.campaigns },
+              { label: 'Direction', value: directionFilter, onChange: setDirectionFilter, options: callFacets.directions }
+            ].map(filter => (
+              <Grid item xs={12} md={3} key={filter.label}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>{filter.label}</InputLabel>
+                  <Select label={filter.label} value={filter.value} onChange={(e) => filter.onChange(e.target.value)}>
+                    <MenuItem value="">Any</MenuItem>
+                    {filter.options.map(option => (
+                      <MenuItem key={option} value={option}>{option}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            ))}
+          </Grid>
+        )}
 
         {/* Results and pagination controls */}
         <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
@@ -1208,24 +1503,31 @@ function FileViewer({ darkMode }) {
                         Duration
                       </TableSortLabel>
                     </TableCell>
+                    <TableCell>Disposition</TableCell>
+                    <TableCell>Campaign</TableCell>
+                    <TableCell>Direction</TableCell>
                     <TableCell align="center">Actions</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
                   {files.map((fileInfo, index) => (
-                    <TableRow key={index} hover>
-                      <TableCell>{fileInfo.date}</TableCell>
-                      <TableCell>{fileInfo.time}</TableCell>
+                    <React.Fragment key={index}>
+                    <TableRow hover sx={fileInfo.transcriptHit ? { '& > td': { borderBottom: 'none' } } : undefined}>
+                      <TableCell>{shownDateTime(fileInfo).date}</TableCell>
+                      <TableCell title={fileInfo.callTz ? `${fileInfo.date} ${fileInfo.time} ${fileInfo.callTz}` : undefined}>{shownDateTime(fileInfo).time}</TableCell>
                       <TableCell>{fileInfo.callId || '-'}</TableCell>
                       <TableCell>{fileInfo.phone}</TableCell>
                       <TableCell>{fileInfo.email}</TableCell>
                       <TableCell>{formatDuration(fileInfo.durationMs)}</TableCell>
+                      <TableCell>{fileInfo.disposition || '-'}</TableCell>
+                      <TableCell>{fileInfo.campaign || '-'}</TableCell>
+                      <TableCell>{fileInfo.direction || '-'}</TableCell>
                       <TableCell align="center">
                         <IconButton 
                           color="primary" 
-                          onClick={() => playAudio(fileInfo.file)}
+                          onClick={() => playAudio(fileInfo.file, playbackStart(fileInfo))}
                           size="small"
-                          title="Play"
+                          title={fileInfo.transcriptHit ? `Play from ${formatClock(fileInfo.transcriptHit.startMs / 1000)}` : "Play"}
                         >
                           <PlayArrowIcon />
                         </IconButton>
@@ -1242,19 +1544,72 @@ function FileViewer({ darkMode }) {
                         )}
                       </TableCell>
                     </TableRow>
+                    {fileInfo.transcriptHit && (
+                      <TableRow>
+                        <TableCell colSpan={10} sx={{ pt: 0 }}>
+                          <Box
+                            onClick={() => playAudio(fileInfo.file, playbackStart(fileInfo))}
+                            sx={{ display: 'flex', gap: 1, alignItems: 'baseline', cursor: 'pointer', opacity: 0.85, '&:hover': { opacity: 1 } }}
+                          >
+                            <Typography variant="caption" color="primary">
+                              ▶ {formatClock(fileInfo.transcriptHit.startMs / 1000)}
+                            </Typography>
+                            <Typography variant="body2" color="text.secondary">
+                              {fileInfo.transcriptHit.snippet.map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text))}
+                            </Typography>
+                            {fileInfo.transcriptHit.hitCount > 1 && (
+                              <Typography variant="caption" sx={{ opacity: 0.6, whiteSpace: 'nowrap' }}>
+                                +{fileInfo.transcriptHit.hitCount - 1} more
+                              </Typography>
+                            )}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                    </React.Fragment>
                   ))}
                 </TableBody>
               </Table>
             </TableContainer>
 
-            <Box display="flex" justifyContent="center">
-              <Pagination
-                count={Math.ceil(totalCount / filesPerPage)}
-                page={Math.floor(currentOffset / filesPerPage) + 1}
-                onChange={handlePageChange}
-                color="primary"
-                showFirstButton
-                showLastButton
+            <Box display="flex" justifyContent="center" alignItems="center" gap={2} flexWrap="wrap">
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => refreshFiles(true)}
+                disabled={loading || !prevCursor}
+              >
+                First
+              </Button>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => goToPage(prevCursor, pageStart !== null ? Math.max(0, pageStart - filesPerPage) : null)}
+                disabled={loading || !prevCursor}
+              >
+                Previous
+              </Button>
+              <Typography variant="body2" color="text.secondary">
+                {pageStart !== null
+                  ? `${(pageStart + 1).toLocaleString()}–${(pageStart + files.length).toLocaleString()} of ${totalCount.toLocaleString()}`
+                  : `${files.length} files from ${jumpDate ? jumpDate.format("MMM D, YYYY") : 'selected date'}`}
+              </Typography>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => goToPage(nextCursor, pageStart !== null ? pageStart + files.length : null)}
+                disabled={loading || !nextCursor}
+              >
+                Next
+              </Button>
+              <DatePicker
+                label="Jump to date"
+                value={jumpDate}
+                onChange={handleJumpToDate}
+                disabled={sortColumn !== 'date'}
+                minDate={calendarDateStart || undefined}
+                maxDate={calendarDateEnd || undefined}
+                slotProps={{ textField: { size: 'small', helperText: sortColumn !== 'date' ? 'Sort by date to jump' : null } }}
               />
             </Box>
           </>
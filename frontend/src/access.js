@@ -0,0 +1,41 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+// The signed-in user's role and permissions as resolved by the backend (/api/me). Roles live in
+// the server's database, so the UI asks instead of reading Clerk publicMetadata.
+const AccessContext = createContext({ loaded: false, role: null, permissions: [], refresh: () => {} });
+
+export function AccessProvider({ children }) {
+  const { getToken } = useAuth();
+  const [access, setAccess] = useState({ loaded: false, role: null, roleSource: null, permissions: [] });
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch('/api/me', {
+        headers: { 'Authorization': `Bearer ${await getToken()}` }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      setAccess({ loaded: true, role: data.role || null, roleSource: data.roleSource || null, permissions: data.permissions || [] });
+    } catch (e) {
+      console.error('Failed to load permissions:', e);
+      setAccess({ loaded: true, role: null, roleSource: null, permissions: [] });
+    }
+  }, [getToken]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return (
+    <AccessContext.Provider value={{ ...access, refresh }}>
+      {children}
+    </AccessContext.Provider>
+  );
+}
+
+export function useAccess() {
+  const access = useContext(AccessContext);
+  const can = (permission) => access.permissions.includes(permission);
+  return { ...access, can };
+}
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Box, Slider, ToggleButton, Typography } from '@mui/material';
+
+// Dual-channel playback. Five9 stereo recordings carry the agent on the left channel and the
+// customer on the right; with stereo on, the player asks the backend for the channel-preserving
+// conversion (?channels=stereo) and routes each channel through its own gain and panner, so a
+// reviewer can mute, solo or move either side when both talk at once. The choice is remembered
+// in localStorage.
+const STORAGE_KEY = 'stereoPlayback';
+export const CHANNEL_LABELS = ['Agent', 'Customer'];
+
+// Both sides audible and panned hard to where they were recorded
+export const DEFAULT_CHANNEL_MIX = [
+  { muted: false, solo: false, pan: -1 },
+  { muted: false, solo: false, pan: 1 }
+];
+
+export function loadStereoPreference() {
+  return localStorage.getItem(STORAGE_KEY) === 'true';
+}
+
+export function saveStereoPreference(enabled) {
+  localStorage.setItem(STORAGE_KEY, String(enabled));
+}
+
+// Gain per channel: while any channel is soloed only soloed channels play, otherwise mute decides
+export function channelGains(mix) {
+  const soloed = mix.some(channel => channel.solo);
+  return mix.map(channel => (soloed ? (channel.solo ? 1 : 0) : (channel.muted ? 0 : 1)));
+}
+
+// Split an <audio> element's two channels into separate gain + pan strips. An element can only be
+// attached to Web Audio once, so create one mixer per element and close it with the element.
+export function createChannelMixer(audio) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  const context = new AudioContextClass();
+  const splitter = context.createChannelSplitter(2);
+  context.createMediaElementSource(audio).connect(splitter);
+  const strips = [0, 1].map(channel => {
+    const gain = context.createGain();
+    const panner = context.createStereoPanner();
+    splitter.connect(gain, channel);
+    gain.connect(panner);
+    panner.connect(context.destination);
+    return { gain, panner };
+  });
+  return {
+    apply(mix) {
+      channelGains(mix).forEach((value, i) => {
+        strips[i].gain.gain.value = value;
+        strips[i].panner.pan.value = mix[i].pan;
+      });
+    },
+    // Contexts created outside a click start suspended
+    resume: () => context.resume(),
+    close: () => context.close()
+  };
+}
+
+// Mute / solo / pan row per channel
+export function ChannelControls({ mix, onChange }) {
+  const update = (index, changes) => onChange(mix.map((channel, i) => (i === index ? { ...channel, ...changes } : channel)));
+  const gains = channelGains(mix);
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mt: 1 }}>
+      {mix.map((channel, index) => (
+        <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, opacity: gains[index] ? 1 : 0.6 }}>
+          <Typography variant="caption" sx={{ minWidth: 64 }}>{CHANNEL_LABELS[index]}</Typography>
+          <ToggleButton
+            size="small"
+            value="mute"
+            selected={channel.muted}
+            onChange={() => update(index, { muted: !channel.muted })}
+            title={`Mute ${CHANNEL_LABELS[index].toLowerCase()}`}
+            sx={{ py: 0, px: 1, minWidth: 32 }}
+          >
+            M
+          </ToggleButton>
+          <ToggleButton
+            size="small"
+            value="solo"
+            selected={channel.solo}
+            onChange={() => update(index, { solo: !channel.solo })}
+            title={`Solo ${CHANNEL_LABELS[index].toLowerCase()}`}
+            sx={{ py: 0, px: 1, minWidth: 32 }}
+          >
+            S
+          </ToggleButton>
+          <Typography variant="caption" sx={{ opacity: 0.7, ml: 1 }}>L</Typography>
+          <Slider
+            size="small"
+            value={channel.pan}
+            min={-1}
+            max={1}
+            step={0.1}
+            track={false}
+            onChange={(_, value) => update(index, { pan: value })}
+            onDoubleClick={() => update(index, { pan: DEFAULT_CHANNEL_MIX[index].pan })}
+            title="Pan (double-click to reset)"
+            sx={{ width: 100, '& .MuiSlider-thumb': { width: 12, height: 12 } }}
+          />
+          <Typography variant="caption" sx={{ opacity: 0.7 }}>R</Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { FormControl, InputLabel, MenuItem, Select } from '@mui/material';
+
+// Timezone timestamps are shown in. The backend stores and returns instants as ISO-8601 UTC; each
+// user picks their browser's zone, the business timezone from /api/config, or a fixed zone, and
+// the choice is remembered in localStorage.
+const STORAGE_KEY = 'displayTimezone';
+export const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const FIXED_TIMEZONES = ['UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'];
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Rows written before the ISO migration come back as 'YYYY-MM-DD HH:MM:SS', which is UTC
+export function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function formatTimestamp(value, timeZone, options = {}) {
+  const date = parseTimestamp(value);
+  if (!date) return value || '';
+  return date.toLocaleString(undefined, { timeZone, timeZoneName: 'short', ...options });
+}
+
+// { date: 'YYYY/MM/DD', time: 'HH:MM:SS' } of an instant in `timeZone`, matching the files list columns
+export function zonedDateTime(value, timeZone) {
+  const date = parseTimestamp(value);
+  if (!date) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { date: `${parts.year}/${parts.month}/${parts.day}`, time: `${parts.hour}:${parts.minute}:${parts.second}` };
+}
+
+const TimezoneContext = createContext({
+  preference: 'browser',
+  setPreference: () => {},
+  timeZone: BROWSER_TIMEZONE,
+  businessTimezone: null,
+  format: (value, options) => formatTimestamp(value, BROWSER_TIMEZONE, options)
+});
+
+export function TimezoneProvider({ businessTimezone, children }) {
+  const [preference, setPreference] = useState(() => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored === 'browser' || stored === 'business' || (stored && isValidTimeZone(stored)) ? stored : 'browser';
+  });
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, preference);
+  }, [preference]);
+
+  const timeZone = preference === 'browser' ? BROWSER_TIMEZONE
+    : preference === 'business' ? (businessTimezone || BROWSER_TIMEZONE)
+    : preference;
+
+  const value = useMemo(() => ({
+    preference,
+    setPreference,
+    timeZone,
+    businessTimezone,
+    format: (timestamp, options) => formatTimestamp(timestamp, timeZone, options)
+  }), [preference, timeZone, businessTimezone]);
+
+  return <TimezoneContext.Provider value={value}>{children}</TimezoneContext.Provider>;
+}
+
+export function useDisplayTimezone() {
+  return useContext(TimezoneContext);
+}
+
+export function TimezoneSelect() {
+  const { preference, setPreference, businessTimezone } = useDisplayTimezone();
+  const fixed = FIXED_TIMEZONES.includes(preference) || ['browser', 'business'].includes(preference)
+    ? FIXED_TIMEZONES
+    : [...FIXED_TIMEZONES, preference];
+
+  return (
+    <FormControl size="small" sx={{ minWidth: 200 }}>
+      <InputLabel>Time Zone</InputLabel>
+      <Select label="Time Zone" value={preference} onChange={(e) => setPreference(e.target.value)}>
+        <MenuItem value="browser">Browser ({BROWSER_TIMEZONE})</MenuItem>
+        {businessTimezone && <MenuItem value="business">Business ({businessTimezone})</MenuItem>}
+        {fixed.map(zone => <MenuItem key={zone} value={zone}>{zone}</MenuItem>)}
+      </Select>
+    </FormControl>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import { Box, Button, CircularProgress, IconButton, InputAdornment, TextField, Typography } from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+
+// Transcript of the playing recording (GET /api/transcript/*). Segment times come from the same
+// playback conversion the <audio> element streams, so they line up with currentTime directly.
+const PENDING_POLL_MS = 15000;
+
+export function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+// Loads the transcript for `filename` and re-checks every 15s while it is queued or running.
+// `retry` re-requests a failed transcription.
+export function useTranscript(filename) {
+  const { getToken } = useAuth();
+  const [transcript, setTranscript] = useState(null);
+  const retryRef = useRef(() => {});
+
+  useEffect(() => {
+    setTranscript(null);
+    if (!filename) return;
+    let cancelled = false;
+    let timer = null;
+
+    const load = async (retry = false) => {
+      try {
+        const response = await fetch(`/api/transcript/${encodeURIComponent(filename)}${retry ? '?retry=true' : ''}`, {
+          headers: { 'Authorization': `Bearer ${await getToken()}` }
+        });
+        if (cancelled) return;
+        if (!response.ok) {
+          setTranscript({ status: response.status === 404 ? 'unavailable' : 'error', segments: [] });
+          return;
+        }
+        const data = await response.json();
+        if (cancelled) return;
+        setTranscript({ ...data, segments: data.segments || [] });
+        if (data.status === 'queued' || data.status === 'running') {
+          timer = setTimeout(() => load(), PENDING_POLL_MS);
+        }
+      } catch (e) {
+        console.error('Failed to load transcript:', e);
+        if (!cancelled) setTranscript({ status: 'error', segments: [] });
+      }
+    };
+
+    retryRef.current = () => {
+      clearTimeout(timer);
+      setTranscript({ status: 'loading', segments: [] });
+      load(true);
+    };
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filename]);
+
+  return { transcript, retry: () => retryRef.current() };
+}
+
+// Indexes of segments containing every whitespace-separated term of `query` (case-insensitive)
+export function findTranscriptMatches(segments, query) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length || !segments?.length) return [];
+  const matches = [];
+  segments.forEach((segment, index) => {
+    const text = segment.text.toLowerCase();
+    if (terms.every(term => text.includes(term))) matches.push(index);
+  });
+  return matches;
+}
+
+// Index of the segment playing at `seconds`, or -1 between segments
+export function activeSegmentIndex(segments, seconds) {
+  const ms = seconds * 1000;
+  for (let i = 0; i < (segments?.length || 0); i++) {
+    if (ms >= segments[i].startMs && ms < segments[i].endMs) return i;
+    if (segments[i].startMs > ms) break;
+  }
+  return -1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function HighlightedText({ text, query }) {
+  const terms = (query || '').split(/\s+/).filter(Boolean);
+  if (!terms.length) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part));
+}
+
+const STATUS_MESSAGES = {
+  loading: 'Loading transcript...',
+  queued: 'Transcript queued - it will appear here once ready.',
+  running: 'Transcribing this call...',
+  disabled: 'Transcription is not enabled on this server.',
+  unavailable: 'This recording has no transcript.',
+  error: 'Could not load the transcript.'
+};
+
+// Scrolling transcript beside the player: follows playback, click a line to seek, search to find
+// wording. `query` is owned by the caller so the player can mark matches on the waveform.
+export function TranscriptPanel({ transcript, onRetry, currentTime, onSeek, query, onQueryChange, darkMode }) {
+  const listRef = useRef(null);
+  const segmentRefs = useRef([]);
+  const segments = transcript?.segments || [];
+  const active = activeSegmentIndex(segments, currentTime);
+  const matches = findTranscriptMatches(segments, query);
+
+  // Keep the playing line in view without scrolling the page behind the fixed player
+  useEffect(() => {
+    const list = listRef.current;
+    const row = segmentRefs.current[active];
+    if (!list || !row) return;
+    if (row.offsetTop < list.scrollTop || row.offsetTop + row.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = row.offsetTop - list.clientHeight / 3;
+    }
+  }, [active]);
+
+  // Next / previous match relative to the playhead, wrapping around
+  const jumpToMatch = (direction) => {
+    if (!matches.length) return;
+    const now = currentTime * 1000;
+    const target = direction > 0
+      ? matches.find(i => segments[i].startMs > now + 250) ?? matches[0]
+      : [...matches].reverse().find(i => segments[i].startMs < now - 1000) ?? matches[matches.length - 1];
+    onSeek(segments[target].startMs / 1000);
+  };
+
+  const status = transcript?.status || 'loading';
+  const message = status === 'failed'
+    ? `Transcription failed${transcript.error ? `: ${transcript.error}` : ''}`
+    : STATUS_MESSAGES[status];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', width: 320, minWidth: 320, height: '100%' }}>
+      <TextField
+        size="small"
+        placeholder="Search transcript"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            jumpToMatch(e.shiftKey ? -1 : 1);
+          }
+        }}
+        disabled={status !== 'completed'}
+        InputProps={{
+          startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment>,
+          endAdornment: query ? (
+            <InputAdornment position="end">
+              <Typography variant="caption" sx={{ opacity: 0.7, mr: 0.5 }}>{matches.length}</Typography>
+              <IconButton size="small" onClick={() => jumpToMatch(-1)} disabled={!matches.length} title="Previous match (Shift+Enter)">
+                <KeyboardArrowUpIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => jumpToMatch(1)} disabled={!matches.length} title="Next match (Enter)">
+                <KeyboardArrowDownIcon fontSize="small" />
+              </IconButton>
+            </InputAdornment>
+          ) : null
+        }}
+      />
+      {transcript?.redacted && transcript.redactions?.length > 0 && (
+        <Typography variant="caption" sx={{ mt: 0.5, opacity: 0.7 }}>
+          🔏 {transcript.redactions.length} passage(s) with card numbers or SSNs are redacted in this recording.
+        </Typography>
+      )}
+      <Box ref={listRef} sx={{ position: 'relative', flex: 1, overflowY: 'auto', mt: 1, maxHeight: 170 }}>
+        {status === 'completed' ? (
+          segments.length ? segments.map((segment, index) => (
+            <Box
+              key={index}
+              ref={el => { segmentRefs.current[index] = el; }}
+              onClick={() => onSeek(segment.startMs / 1000)}
+              sx={{
+                display: 'flex',
+                gap: 1,
+                px: 0.5,
+                py: 0.25,
+                cursor: 'pointer',
+                borderRadius: 1,
+                backgroundColor: index === active ? (darkMode ? 'rgba(144, 202, 249, 0.25)' : 'rgba(25, 118, 210, 0.15)') : 'transparent',
+                opacity: query && !matches.includes(index) ? 0.5 : 1,
+                '&:hover': { backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.05)' }
+              }}
+            >
+              <Typography variant="caption" sx={{ opacity: 0.6, minWidth: 32, pt: '2px' }}>
+                {formatClock(segment.startMs / 1000)}
+              </Typography>
+              <Typography variant="body2">
+                <HighlightedText text={segment.text} query={query} />
+              </Typography>
+            </Box>
+          )) : (
+            <Typography variant="body2" sx={{ opacity: 0.7 }}>No speech detected.</Typography>
+          )
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, opacity: 0.7 }}>
+            {['loading', 'running'].includes(status) && <CircularProgress size={14} />}
+            <Typography variant="body2">{message}</Typography>
+            {status === 'failed' && onRetry && (
+              <Button size="small" onClick={onRetry}>Retry</Button>
+            )}
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+}